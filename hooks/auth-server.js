@@ -0,0 +1,142 @@
+// auth-server.js
+"use strict";
+
+// Reference SRS HTTP hook server for token-protected playback.
+//
+//   HOOK_SECRET=... node hooks/auth-server.js
+//       serves on_play on http://0.0.0.0:8085/api/v1/play
+//   HOOK_SECRET=... node hooks/auth-server.js sign live/cam1 3600
+//       prints a token for live/cam1 valid for an hour
+//
+// A token is "<expires>.<signature>": the Unix time it expires at, and the
+// base64url HMAC-SHA256 of "<scope>:<expires>" keyed with HOOK_SECRET. The
+// scope is "app/stream", "app/*" for every stream of an app, or "*".
+
+const crypto = require("crypto");
+const http = require("http");
+
+const PORT = parseInt(process.env.PORT) || 8085;
+const SECRET = process.env.HOOK_SECRET;
+const DEFAULT_TTL = 3600;
+const MAX_BODY_SIZE = 64 * 1024;
+
+function sign(scope, expires) {
+  return crypto
+    .createHmac("sha256", SECRET)
+    .update(`${scope}:${expires}`)
+    .digest("base64url");
+}
+
+function createToken(scope, ttl = DEFAULT_TTL) {
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  return `${expires}.${sign(scope, expires)}`;
+}
+
+// null when the token lets the viewer play app/stream, else the reason
+function checkToken(token, app, stream) {
+  if (!token) return "no token";
+
+  const [expires, signature] = token.split(".");
+  if (!/^\d+$/.test(expires) || !signature) return "malformed token";
+  if (parseInt(expires) * 1000 < Date.now()) return "token expired";
+
+  const given = Buffer.from(signature);
+  const valid = [`${app}/${stream}`, `${app}/*`, "*"].some((scope) => {
+    const expected = Buffer.from(sign(scope, expires));
+    return (
+      expected.length === given.length &&
+      crypto.timingSafeEqual(expected, given)
+    );
+  });
+  return valid ? null : "bad signature";
+}
+
+// SRS passes the play URL's query as `param`, e.g. "?token=..."
+function getToken(param) {
+  return new URLSearchParams(param || "").get("token");
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+// SRS lets the client in when the hook answers 200 with code 0, and refuses
+// it on any other answer
+function reply(res, status, code) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify({ code }));
+}
+
+async function handleHook(req, res) {
+  if (req.method !== "POST" || req.url !== "/api/v1/play") {
+    reply(res, 404, 404);
+    return;
+  }
+
+  let hook;
+  try {
+    hook = JSON.parse(await readBody(req));
+  } catch (error) {
+    reply(res, 400, 400);
+    return;
+  }
+
+  // Only playback is protected; other hooks pointed here are let through
+  if (hook.action !== "on_play") {
+    reply(res, 200, 0);
+    return;
+  }
+
+  const reason = checkToken(getToken(hook.param), hook.app, hook.stream);
+  const client = `${hook.ip} ${hook.app}/${hook.stream}`;
+  if (reason) {
+    console.log(`Denied ${client}: ${reason}`);
+    reply(res, 403, 403);
+    return;
+  }
+  console.log(`Allowed ${client}`);
+  reply(res, 200, 0);
+}
+
+function main() {
+  if (!SECRET) {
+    console.error("Set HOOK_SECRET to the secret tokens are signed with");
+    process.exit(1);
+  }
+
+  const [command, scope, ttl] = process.argv.slice(2);
+  if (command === "sign") {
+    if (!scope) {
+      console.error("Usage: node auth-server.js sign <app/stream> [ttl]");
+      process.exit(1);
+    }
+    console.log(createToken(scope, parseInt(ttl) || DEFAULT_TTL));
+    return;
+  }
+
+  http
+    .createServer((req, res) =>
+      handleHook(req, res).catch((error) => {
+        console.error("Hook failed:", error);
+        reply(res, 500, 500);
+      })
+    )
+    .listen(PORT, () =>
+      console.log(
+        `on_play hook listening on http://0.0.0.0:${PORT}/api/v1/play`
+      )
+    );
+}
+
+main();
@@ -0,0 +1,270 @@
+// abr.js
+"use strict";
+
+// Optional rendition manifest served next to the page, keyed by app/stream:
+// { "live/livestream": [{ "stream": "livestream", "label": "1080p",
+//   "bitrate": 4500000 }, { "stream": "livestream_720", ... }] }
+const RENDITIONS_URL = "renditions.json";
+const RENDITIONS_REQUEST_TIMEOUT = 5000;
+// Without a manifest, <stream>_<height> (livestream_720, livestream_360p)
+// are renditions of <stream>
+const RENDITION_NAME_PATTERN = /^(.+)_(\d+)p?$/;
+// Bad stats reports (one per second) in a row before stepping down, and
+// clean ones before stepping up
+const ABR_DOWN_SAMPLES = 3;
+const ABR_UP_SAMPLES = 10;
+// Available bandwidth needed to step up, as a multiple of the bitrate
+const ABR_UP_HEADROOM = 1.5;
+// Wait after stepping down before trying to step up again. It doubles each
+// time a step up has to be undone soon after, up to the maximum.
+const ABR_HOLD_TIME = 15000;
+const ABR_MAX_HOLD_TIME = 240000;
+// Weight of each new sample in the measured bitrate average
+const ABR_BITRATE_SMOOTHING = 0.2;
+// Freezes are counted over the last minute, like QUALITY_THRESHOLDS.freezes
+const ABR_FREEZE_WINDOW = 60000;
+
+const renditionManifests = new Map();
+
+async function fetchRenditionManifest(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(
+    () => controller.abort(),
+    RENDITIONS_REQUEST_TIMEOUT
+  );
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      const error = new Error(
+        `Rendition manifest request failed: ${response.status} ${response.statusText}`
+      );
+      error.status = response.status;
+      throw error;
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// One request per URL for every player on the page; null when the page has
+// no manifest
+function loadRenditionManifest(url) {
+  if (!renditionManifests.has(url)) {
+    renditionManifests.set(
+      url,
+      fetchRenditionManifest(url).catch((error) => {
+        if (error.status !== 404) {
+          console.warn("Couldn't load rendition manifest:", error);
+        }
+        return null;
+      })
+    );
+  }
+  return renditionManifests.get(url);
+}
+
+// { stream, label, bitrate (bps or null), height (or null) }, best first
+function normalizeRenditions(renditions) {
+  return renditions
+    .filter((rendition) => rendition && rendition.stream)
+    .map((rendition) => {
+      const match = RENDITION_NAME_PATTERN.exec(rendition.stream);
+      const height =
+        parseInt(rendition.height) || (match ? parseInt(match[2]) : null);
+      return {
+        stream: rendition.stream,
+        label: rendition.label || (height ? `${height}p` : rendition.stream),
+        bitrate: parseInt(rendition.bitrate) || null,
+        height,
+      };
+    });
+}
+
+// The renditions app/stream belongs to: the manifest's entry listing it, or
+// else the live streams named after the same base stream. The manifest's
+// order is kept; discovered ones are sorted by height, then bitrate.
+async function loadRenditions(app, stream, options = {}) {
+  const manifest = options.manifestUrl
+    ? await loadRenditionManifest(options.manifestUrl)
+    : null;
+  if (manifest) {
+    const entry = Object.entries(manifest).find(
+      ([key, renditions]) =>
+        key === `${app}/${stream}` ||
+        (key.startsWith(`${app}/`) &&
+          Array.isArray(renditions) &&
+          renditions.some(
+            (rendition) => rendition && rendition.stream === stream
+          ))
+    );
+    if (entry && Array.isArray(entry[1])) {
+      return normalizeRenditions(entry[1]);
+    }
+  }
+
+  if (!options.api) return [];
+  const match = RENDITION_NAME_PATTERN.exec(stream);
+  const base = match ? match[1] : stream;
+  const streams = await options.api.getStreams();
+  const renditions = streams
+    .filter(
+      (info) =>
+        info.app === app &&
+        info.publish &&
+        info.publish.active &&
+        (info.name === base ||
+          (RENDITION_NAME_PATTERN.exec(info.name) || [])[1] === base)
+    )
+    .map((info) => ({
+      stream: info.name,
+      height:
+        (RENDITION_NAME_PATTERN.exec(info.name) || [])[2] ||
+        (info.video && info.video.height),
+      bitrate: info.kbps && info.kbps.recv_30s * 1000,
+    }));
+
+  return normalizeRenditions(renditions).sort(
+    (a, b) =>
+      (b.height || 0) - (a.height || 0) || (b.bitrate || 0) - (a.bitrate || 0)
+  );
+}
+
+// Picks a rendition from the player's stats reports: steps down when the
+// available download bandwidth (where the browser reports it) drops below the
+// bitrate, or packet loss, freezes or decode load (report.quality, with
+// qoe.js) turn bad; steps up one rendition at a time once things have been
+// clean for a while. Thresholds are the player's.
+class AbrController {
+  constructor(renditions, current, thresholds = QUALITY_THRESHOLDS) {
+    this.renditions = renditions;
+    this.thresholds = thresholds;
+    // Bitrates measured while playing, for renditions without one
+    this.measured = {};
+    this.holdTime = ABR_HOLD_TIME;
+    this.holdUntil = 0;
+    this.lastSwitch = null;
+    this.current = null;
+    this.setCurrent(current);
+  }
+
+  // After any switch, manual or not
+  setCurrent(stream) {
+    const index = this.getIndex(stream);
+    const previous = this.getIndex(this.current);
+    const now = Date.now();
+
+    if (previous >= 0 && index > previous) {
+      // Undoing a recent step up: wait longer before the next one
+      const undone =
+        this.lastSwitch &&
+        this.lastSwitch.up &&
+        now - this.lastSwitch.time < this.holdTime;
+      this.holdTime = undone
+        ? Math.min(ABR_MAX_HOLD_TIME, this.holdTime * 2)
+        : ABR_HOLD_TIME;
+      this.holdUntil = now + this.holdTime;
+    }
+    if (previous >= 0 && index !== previous) {
+      this.lastSwitch = { up: index < previous, time: now };
+    }
+
+    this.current = stream;
+    this.badSamples = 0;
+    this.goodSamples = 0;
+    this.freezes = [];
+    this.lastFreezeCount = null;
+  }
+
+  // After a switch that failed: wait before trying again
+  hold() {
+    this.holdUntil = Date.now() + this.holdTime;
+    this.goodSamples = 0;
+  }
+
+  getIndex(stream) {
+    return this.renditions.findIndex((r) => r.stream === stream);
+  }
+
+  getBitrate(rendition) {
+    return rendition.bitrate || this.measured[rendition.stream] || null;
+  }
+
+  // { stream, reason } of the rendition to switch to, or null to stay
+  update(report) {
+    const index = this.getIndex(this.current);
+    if (index < 0 || !report.video) return null;
+    const rendition = this.renditions[index];
+
+    const now = Date.now();
+    const freezeCount = report.video.freezeCount;
+    if (this.lastFreezeCount !== null && freezeCount > this.lastFreezeCount) {
+      this.freezes.push(now);
+    }
+    this.lastFreezeCount = freezeCount ?? null;
+    this.freezes = this.freezes.filter(
+      (time) => now - time < ABR_FREEZE_WINDOW
+    );
+
+    const received = report.video.bitrate;
+    if (received > 0) {
+      const measured = this.measured[rendition.stream];
+      this.measured[rendition.stream] = measured
+        ? measured + (received - measured) * ABR_BITRATE_SMOOTHING
+        : received;
+    }
+
+    const reason = this.getDownReason(report, this.getBitrate(rendition));
+    if (reason) {
+      this.goodSamples = 0;
+      this.badSamples++;
+      if (
+        this.badSamples >= ABR_DOWN_SAMPLES &&
+        index < this.renditions.length - 1
+      ) {
+        return { stream: this.renditions[index + 1].stream, reason };
+      }
+      return null;
+    }
+    this.badSamples = 0;
+
+    if (index === 0 || now < this.holdUntil) return null;
+    const target = this.renditions[index - 1];
+    const available = report.connection.availableIncomingBitrate;
+    const needed = this.getBitrate(target);
+    if (available && needed && available < needed * ABR_UP_HEADROOM) {
+      this.goodSamples = 0;
+      return null;
+    }
+    this.goodSamples++;
+    if (this.goodSamples < ABR_UP_SAMPLES) return null;
+    return { stream: target.stream, reason: "recovered" };
+  }
+
+  // "bandwidth", "packet-loss", "freezes", "decode-load" or null
+  getDownReason(report, bitrate) {
+    const available = report.connection.availableIncomingBitrate;
+    if (available && bitrate && available < bitrate) return "bandwidth";
+
+    const loss = report.video.packetLossRate;
+    if (
+      loss !== undefined &&
+      getQualityLevel(loss, this.thresholds.packetLoss) === "bad"
+    ) {
+      return "packet-loss";
+    }
+
+    if (
+      getQualityLevel(this.freezes.length, this.thresholds.freezes) === "bad"
+    ) {
+      return "freezes";
+    }
+
+    const metrics = (report.quality && report.quality.metrics) || {};
+    if (metrics.decodeLoad && metrics.decodeLoad.level === "bad") {
+      return "decode-load";
+    }
+    return null;
+  }
+}
@@ -0,0 +1,388 @@
+// chart.js
+"use strict";
+
+const CHART_DEFAULT_SPAN = 60 * 1000;
+const CHART_MIN_SPAN = 10 * 1000;
+const CHART_ZOOM_STEP = 1.25;
+const CHART_PADDING = { top: 10, right: 10, bottom: 20, left: 10 };
+const CHART_MARKER_COLORS = {
+  reconnect: "#f44336",
+  keyframe: "rgba(255, 255, 255, 0.3)",
+  resolution: "#2196f3",
+  codec: "#ff9800",
+  rendition: "#e040fb",
+};
+
+// Time-series chart on a canvas: several series on one time axis, each
+// scaled to its own range, with event markers and a hover tooltip. The view
+// follows live data until it's dragged; the wheel zooms the time range and a
+// double click goes back to live.
+class TimeSeriesChart {
+  // options: span (ms shown), end (paused view end, null for live), format
+  // (value, series) => text
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.series = [];
+    this.data = {};
+    this.markers = [];
+    this.span = options.span || CHART_DEFAULT_SPAN;
+    this.end = options.end || null;
+    this.format = options.format || ((value) => value.toFixed(1));
+    this.hoverX = null;
+    // Called when the view is paused, resumed or zoomed
+    this.onviewchange = null;
+
+    this.setupEvents();
+  }
+
+  get paused() {
+    return this.end !== null;
+  }
+
+  // series: [{ column, label, color }]; data: { column: [{ time, value }] }
+  setData(series, data, markers = []) {
+    this.series = series;
+    this.data = data;
+    this.markers = markers;
+  }
+
+  pause() {
+    this.end = Date.now();
+    this.changeView();
+  }
+
+  resume() {
+    this.end = null;
+    this.changeView();
+  }
+
+  getRange() {
+    const end = this.end === null ? Date.now() : this.end;
+    return [end - this.span, end];
+  }
+
+  getOldestTime() {
+    return Math.min(
+      Date.now(),
+      ...Object.values(this.data)
+        .filter((points) => points.length)
+        .map((points) => points[0].time)
+    );
+  }
+
+  zoom(factor, anchor) {
+    const [start, end] = this.getRange();
+    const maxSpan = Math.max(
+      CHART_DEFAULT_SPAN,
+      Date.now() - this.getOldestTime()
+    );
+    const span = Math.min(
+      maxSpan,
+      Math.max(CHART_MIN_SPAN, this.span * factor)
+    );
+
+    // Keep the time under the pointer in place
+    if (this.paused && anchor !== undefined) {
+      const ratio = (anchor - start) / (end - start);
+      this.end = anchor + (1 - ratio) * span;
+    }
+    this.span = span;
+    this.clampView();
+    this.changeView();
+  }
+
+  pan(delta) {
+    const [, end] = this.getRange();
+    this.end = end + delta;
+    this.clampView();
+    this.changeView();
+  }
+
+  clampView() {
+    if (this.end === null) return;
+    const oldest = this.getOldestTime();
+    this.end = Math.max(oldest + this.span, this.end);
+    // Panned all the way to now: follow live again
+    if (this.end >= Date.now()) {
+      this.end = null;
+    }
+  }
+
+  changeView() {
+    this.draw();
+    if (this.onviewchange) {
+      this.onviewchange(this);
+    }
+  }
+
+  // Plot area in CSS pixels
+  getPlot() {
+    const width = this.canvas.clientWidth;
+    const height = this.canvas.clientHeight;
+    return {
+      left: CHART_PADDING.left,
+      top: CHART_PADDING.top,
+      width: width - CHART_PADDING.left - CHART_PADDING.right,
+      height: height - CHART_PADDING.top - CHART_PADDING.bottom,
+    };
+  }
+
+  xToTime(x) {
+    const plot = this.getPlot();
+    const [start, end] = this.getRange();
+    return start + ((x - plot.left) / plot.width) * (end - start);
+  }
+
+  timeToX(time) {
+    const plot = this.getPlot();
+    const [start, end] = this.getRange();
+    return plot.left + ((time - start) / (end - start)) * plot.width;
+  }
+
+  setupEvents() {
+    // Canvases are replaced with the debug panel content, taking these along
+    let dragX = null;
+
+    this.canvas.addEventListener(
+      "wheel",
+      (e) => {
+        e.preventDefault();
+        this.zoom(
+          e.deltaY > 0 ? CHART_ZOOM_STEP : 1 / CHART_ZOOM_STEP,
+          this.xToTime(e.offsetX)
+        );
+      },
+      { passive: false }
+    );
+    this.canvas.addEventListener("pointerdown", (e) => {
+      dragX = e.offsetX;
+      this.canvas.setPointerCapture(e.pointerId);
+    });
+    this.canvas.addEventListener("pointermove", (e) => {
+      if (dragX !== null && e.offsetX !== dragX) {
+        const plot = this.getPlot();
+        this.pan(((dragX - e.offsetX) / plot.width) * this.span);
+        dragX = e.offsetX;
+      }
+      this.hoverX = e.offsetX;
+      this.draw();
+    });
+    this.canvas.addEventListener("pointerup", () => {
+      dragX = null;
+    });
+    this.canvas.addEventListener("pointerleave", () => {
+      this.hoverX = null;
+      this.draw();
+    });
+    this.canvas.addEventListener("dblclick", () => {
+      this.span = CHART_DEFAULT_SPAN;
+      this.resume();
+    });
+  }
+
+  draw() {
+    const { canvas, ctx } = this;
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (!width || !height) return;
+
+    if (canvas.width !== width * ratio || canvas.height !== height * ratio) {
+      canvas.width = width * ratio;
+      canvas.height = height * ratio;
+    }
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = "rgba(255, 255, 255, 0.02)";
+    ctx.fillRect(0, 0, width, height);
+
+    const plot = this.getPlot();
+    const [start, end] = this.getRange();
+    this.drawGrid(plot, start, end);
+    this.drawMarkers(plot, start, end);
+    this.series.forEach((series) => this.drawSeries(plot, series, start, end));
+    if (this.hoverX !== null) {
+      this.drawTooltip(plot, start, end);
+    }
+  }
+
+  drawGrid(plot, start, end) {
+    const { ctx } = this;
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.1)";
+    ctx.lineWidth = 1;
+    ctx.fillStyle = "rgba(255, 255, 255, 0.5)";
+    ctx.font = "10px sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+
+    for (let i = 0; i <= 4; i++) {
+      const y = plot.top + (plot.height / 4) * i;
+      ctx.beginPath();
+      ctx.moveTo(plot.left, y);
+      ctx.lineTo(plot.left + plot.width, y);
+      ctx.stroke();
+    }
+
+    for (let i = 0; i <= 4; i++) {
+      const x = plot.left + (plot.width / 4) * i;
+      const time = start + ((end - start) / 4) * i;
+      ctx.textAlign = i === 0 ? "left" : i === 4 ? "right" : "center";
+      ctx.fillText(this.formatTime(time), x, plot.top + plot.height + 5);
+    }
+  }
+
+  drawMarkers(plot, start, end) {
+    const { ctx } = this;
+    this.markers
+      .filter((marker) => marker.time >= start && marker.time <= end)
+      .forEach((marker) => {
+        const x = this.timeToX(marker.time);
+        ctx.strokeStyle = CHART_MARKER_COLORS[marker.type] || "#fff";
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        // Keyframes are frequent, so they only get a tick at the bottom
+        ctx.moveTo(
+          x,
+          marker.type === "keyframe" ? plot.top + plot.height - 8 : plot.top
+        );
+        ctx.lineTo(x, plot.top + plot.height);
+        ctx.stroke();
+      });
+  }
+
+  // Points in view plus one on each side, so lines run to the edges
+  getVisiblePoints(points, start, end) {
+    const first = points.findIndex((p) => p.time >= start);
+    if (first === -1) return points.slice(-1);
+    let last = first;
+    while (last < points.length && points[last].time <= end) last++;
+    return points.slice(Math.max(0, first - 1), last + 1);
+  }
+
+  getScale(points) {
+    const max = Math.max(
+      0,
+      ...points.map((p) => p.value).filter((v) => isFinite(v))
+    );
+    return max > 0 ? max * 1.1 : 1;
+  }
+
+  drawSeries(plot, series, start, end) {
+    const points = this.getVisiblePoints(
+      (this.data[series.column] || []).filter(
+        (p) => typeof p.value === "number"
+      ),
+      start,
+      end
+    );
+    if (!points.length) return;
+
+    const { ctx } = this;
+    const max = this.getScale(points);
+    const toY = (value) => plot.top + plot.height - (value / max) * plot.height;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(plot.left, plot.top, plot.width, plot.height);
+    ctx.clip();
+
+    ctx.strokeStyle = series.color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    points.forEach((p, i) => {
+      const x = this.timeToX(p.time);
+      if (i === 0) {
+        ctx.moveTo(x, toY(p.value));
+      } else {
+        ctx.lineTo(x, toY(p.value));
+      }
+    });
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  getNearest(points, time) {
+    let nearest = null;
+    points.forEach((p) => {
+      if (!nearest || Math.abs(p.time - time) < Math.abs(nearest.time - time)) {
+        nearest = p;
+      }
+    });
+    return nearest;
+  }
+
+  drawTooltip(plot, start, end) {
+    const { ctx } = this;
+    const time = this.xToTime(this.hoverX);
+    if (time < start || time > end) return;
+
+    const lines = [];
+    let snapped = null;
+    this.series.forEach((series) => {
+      const points = this.getVisiblePoints(
+        this.data[series.column] || [],
+        start,
+        end
+      );
+      const nearest = this.getNearest(points, time);
+      if (!nearest) return;
+      if (snapped === null) snapped = nearest.time;
+      lines.push({
+        color: series.color,
+        text: `${series.label}: ${
+          typeof nearest.value === "number"
+            ? this.format(nearest.value, series)
+            : nearest.value
+        }`,
+      });
+    });
+    if (snapped === null) return;
+
+    // Events within a few pixels of the pointer
+    const tolerance = ((end - start) / plot.width) * 4;
+    this.markers
+      .filter((marker) => Math.abs(marker.time - time) <= tolerance)
+      .forEach((marker) =>
+        lines.push({
+          color: CHART_MARKER_COLORS[marker.type] || "#fff",
+          text: marker.label,
+        })
+      );
+    lines.unshift({ color: "#fff", text: this.formatTime(snapped, true) });
+
+    // Crosshair at the sample the values belong to
+    const x = this.timeToX(snapped);
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.4)";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x, plot.top);
+    ctx.lineTo(x, plot.top + plot.height);
+    ctx.stroke();
+
+    ctx.font = "11px sans-serif";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    const lineHeight = 14;
+    const boxWidth =
+      Math.max(...lines.map((line) => ctx.measureText(line.text).width)) + 12;
+    const boxHeight = lines.length * lineHeight + 8;
+    const boxX =
+      x + boxWidth + 8 > plot.left + plot.width ? x - boxWidth - 8 : x + 8;
+    const boxY = plot.top;
+
+    ctx.fillStyle = "rgba(0, 0, 0, 0.85)";
+    ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+    lines.forEach((line, i) => {
+      ctx.fillStyle = line.color;
+      ctx.fillText(line.text, boxX + 6, boxY + 4 + i * lineHeight);
+    });
+  }
+
+  formatTime(time, withMilliseconds = false) {
+    const text = new Date(time).toTimeString().slice(0, 8);
+    return withMilliseconds
+      ? `${text}.${String(Math.floor(time % 1000)).padStart(3, "0")}`
+      : text;
+  }
+}
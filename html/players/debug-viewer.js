@@ -0,0 +1,304 @@
+// DebugViewer.js
+"use strict";
+
+// Markup for one pane; the same debug panel the player shows, minus the
+// live-only Charts tab
+const DEBUG_VIEW_TEMPLATE = `
+  <div class="debug-panel show">
+    <div class="debug-header">
+      <select class="toolbar-select dump-select" aria-label="Dump"></select>
+      <span class="pane-close" title="Unload">×</span>
+    </div>
+    <div class="dump-info"></div>
+    <div class="debug-tabs">
+      <div class="debug-tab active" data-tab="stats">Statistics</div>
+      <div class="debug-tab" data-tab="connection">Connection</div>
+      <div class="debug-tab" data-tab="media">Media</div>
+      <div class="debug-tab" data-tab="health">Health</div>
+      <div class="debug-tab" data-tab="sdp">SDP</div>
+    </div>
+    <div class="debug-content"></div>
+  </div>
+`;
+
+// A debug panel rendering an exportDebugData() dump instead of a live
+// session. Everything the tabs read from the player comes from the dump.
+class DebugDumpView extends WebRTCPlayer {
+  // options.dump: parsed webrtc-debug-*.json. Dumps come from anywhere, so
+  // only fields of the expected type are taken; the tabs escape what they
+  // render.
+  init() {
+    const dump = this.options.dump;
+    const stats = dump.stats || {};
+    const text = (value) => (typeof value === "string" ? value : null);
+    const list = (value) => (Array.isArray(value) ? value : []);
+
+    Object.entries(stats.history || {}).forEach(([name, values]) => {
+      if (Array.isArray(this.statsHistory[name])) {
+        this.statsHistory[name] = list(values).filter(Number.isFinite);
+      }
+    });
+    this.sdpInfo = {
+      local: text((dump.sdp || {}).local),
+      remote: text((dump.sdp || {}).remote),
+    };
+    this.iceInfo =
+      dump.ice && Array.isArray(dump.ice.servers)
+        ? {
+            servers: dump.ice.servers.filter((url) => text(url)),
+            policy: text(dump.ice.policy) || "all",
+          }
+        : null;
+    this.state.codecs = parseCodecs(
+      list((dump.codecSupport || {}).requested).join(",")
+    );
+    this.state.codecType = text(dump.codec);
+    this.state.connectionQuality = dump.connectionQuality;
+    if (LATENCY_MODES[(dump.playerState || {}).latencyMode]) {
+      this.state.latencyMode = dump.playerState.latencyMode;
+    }
+    this.performanceMetrics.maxFpsAchieved = stats.maxFpsAchieved || 0;
+    this.performanceMetrics.lastPresentedFrames =
+      stats.lastPresentedFrames || 0;
+    this.performanceMetrics.keyFrameTimestamps =
+      (dump.performance || {}).keyFrameIntervals || [];
+    this.lastReport = stats.report || this.rebuildReport(stats);
+
+    this.setupDebugPanel();
+    this.updateDebugInfo();
+  }
+
+  // Dumps from before the parsed report was exported only have the raw
+  // inbound-rtp stats
+  rebuildReport(stats) {
+    const raw = new Map();
+    Object.entries(stats.current || {}).forEach(([kind, stat]) => {
+      if (stat && stat.type) {
+        raw.set(stat.id || kind, stat);
+      }
+    });
+
+    const report = this.parseStats(raw);
+    if (stats.latency) {
+      report.latency = stats.latency;
+    }
+    return report;
+  }
+
+  hasDebugData() {
+    return !!this.lastReport;
+  }
+
+  showTab(tab) {
+    this.activeDebugTab = tab;
+    this.elements.debugTabs.forEach((t) =>
+      t.classList.toggle("active", t.dataset.tab === tab)
+    );
+    this.updateDebugInfo();
+  }
+
+  getPlayerState() {
+    return {
+      uptime: 0,
+      connectionState: "unknown",
+      readyState: 0,
+      networkState: 0,
+      videoWidth: 0,
+      videoHeight: 0,
+      displayWidth: 0,
+      displayHeight: 0,
+      currentTime: 0,
+      buffered: 0,
+      volume: 1,
+      muted: false,
+      playbackRate: 1,
+      ...this.options.dump.playerState,
+    };
+  }
+
+  getEnvironment() {
+    const dump = this.options.dump;
+    return {
+      userAgent: dump.userAgent || "N/A",
+      videoFrameCallbackSupported: !!(dump.performance || {})
+        .videoFrameCallbackSupported,
+      decodableCodecs: (dump.codecSupport || {}).decodable || null,
+    };
+  }
+
+  // Exporting or calibrating a dump makes no sense
+  renderExportButtons() {
+    return "";
+  }
+
+  renderCalibrateButton() {
+    return "";
+  }
+
+  destroy() {
+    this.abortController.abort();
+    this.container.innerHTML = "";
+  }
+}
+
+// Class for the offline debug viewer page. Dumps are loaded by drag and drop
+// or the file picker; up to two are shown side by side, switching tabs
+// together.
+class DebugViewer {
+  constructor(root = document.querySelector(".viewer-page")) {
+    this.root = root;
+    this.elements = this.getElements();
+    this.dumps = [];
+    // Dump index shown in each pane
+    this.selection = [];
+    this.views = [];
+
+    this.init();
+  }
+
+  getElements() {
+    return {
+      fileInput: this.root.querySelector(".file-input"),
+      openBtn: this.root.querySelector(".open-btn"),
+      message: this.root.querySelector(".viewer-message"),
+      panes: this.root.querySelector(".viewer-panes"),
+    };
+  }
+
+  init() {
+    this.setupEventListeners();
+    this.render();
+  }
+
+  setupEventListeners() {
+    this.elements.openBtn.addEventListener("click", () =>
+      this.elements.fileInput.click()
+    );
+    this.elements.fileInput.addEventListener("change", () => {
+      this.loadFiles(this.elements.fileInput.files);
+      this.elements.fileInput.value = "";
+    });
+
+    // The whole page is the drop zone
+    document.addEventListener("dragover", (e) => {
+      e.preventDefault();
+      this.root.classList.add("dragging");
+    });
+    document.addEventListener("dragleave", (e) => {
+      if (!e.relatedTarget) {
+        this.root.classList.remove("dragging");
+      }
+    });
+    document.addEventListener("drop", (e) => {
+      e.preventDefault();
+      this.root.classList.remove("dragging");
+      this.loadFiles(e.dataTransfer.files);
+    });
+
+    // Keep both panes on the same tab
+    this.elements.panes.addEventListener("click", (e) => {
+      const tab = e.target.closest(".debug-tab");
+      if (tab) {
+        this.views.forEach((view) => view.showTab(tab.dataset.tab));
+      }
+    });
+  }
+
+  async loadFiles(files) {
+    const errors = [];
+
+    for (const file of files) {
+      try {
+        const dump = JSON.parse(await file.text());
+        if (!dump.stats || !dump.timestamp) {
+          throw new Error("not a debug export");
+        }
+        this.dumps.push({ name: file.name, dump });
+      } catch (error) {
+        errors.push(`${file.name}: ${error.message}`);
+      }
+    }
+
+    // Show the newest dumps, the latest on the right
+    this.selection = [];
+    this.fillSelection();
+    this.selection.sort((a, b) => a - b);
+    this.showMessage(errors.length ? `Couldn't load ${errors.join(", ")}` : "");
+    this.render();
+  }
+
+  render() {
+    this.views.forEach((view) => view.destroy());
+    this.views = [];
+    this.elements.panes.replaceChildren();
+    this.root.classList.toggle("empty", !this.dumps.length);
+
+    this.selection.forEach((index, pane) => {
+      const container = document.createElement("div");
+      container.className = "viewer-pane";
+      container.innerHTML = DEBUG_VIEW_TEMPLATE;
+      this.elements.panes.appendChild(container);
+
+      const select = container.querySelector(".dump-select");
+      select.replaceChildren(
+        ...this.dumps.map(
+          ({ name, dump }, i) => new Option(`${name} (${dump.timestamp})`, i)
+        )
+      );
+      select.value = index;
+      select.addEventListener("change", () => {
+        this.selection[pane] = parseInt(select.value);
+        this.render();
+      });
+      container
+        .querySelector(".pane-close")
+        .addEventListener("click", () => this.removeDump(index));
+
+      const { dump } = this.dumps[index];
+      container.querySelector(".dump-info").textContent = [
+        dump.stream ? `${dump.stream.app}/${dump.stream.stream}` : dump.url,
+        dump.codec,
+        dump.connectionQuality,
+      ]
+        .filter(Boolean)
+        .join(" · ");
+
+      const view = new DebugDumpView(container, {
+        dump,
+        autoplay: false,
+        keyboard: false,
+        persistSettings: false,
+        autoUnmute: false,
+      });
+      if (this.views.length) {
+        view.showTab(this.views[0].activeDebugTab);
+      }
+      this.views.push(view);
+    });
+  }
+
+  // Up to two panes, keeping the dumps already shown
+  fillSelection() {
+    this.selection = this.selection.filter((i) => i < this.dumps.length);
+    for (let i = this.dumps.length - 1; i >= 0; i--) {
+      if (this.selection.length >= 2) break;
+      if (!this.selection.includes(i)) {
+        this.selection.push(i);
+      }
+    }
+  }
+
+  removeDump(index) {
+    this.dumps.splice(index, 1);
+    this.selection = this.selection
+      .filter((i) => i !== index)
+      .map((i) => (i > index ? i - 1 : i));
+    this.fillSelection();
+    this.render();
+  }
+
+  showMessage(text) {
+    this.elements.message.textContent = text;
+    this.elements.message.classList.toggle("show", !!text);
+  }
+}
@@ -0,0 +1,337 @@
+// directory.js
+"use strict";
+
+const DIRECTORY_REFRESH_INTERVAL = 5000;
+// Each thumbnail is a full WebRTC session, so only cards in view play
+const DIRECTORY_MAX_THUMBNAILS = 12;
+
+// Class for the landing page listing live streams from the SRS HTTP API.
+// Cards are keyed by stream id and updated in place on every refresh, so
+// thumbnails keep playing.
+class StreamDirectory {
+  constructor(root = document.querySelector(".directory-page")) {
+    this.root = root;
+    this.elements = this.getElements();
+    this.api = new SrsApi();
+    this.streams = [];
+    this.vhosts = new Map();
+    this.cards = new Map();
+    this.thumbnails = new Map();
+    this.refreshTimer = null;
+    this.error = null;
+    this.filters = {
+      query: params.get("q") || "",
+      app: params.get("app") || "",
+      vhost: params.get("vhost") || "",
+    };
+    // Passed on to the thumbnails and the player, for servers with on_play
+    // hooks
+    this.token = params.get("token");
+
+    this.init();
+  }
+
+  getElements() {
+    return {
+      searchInput: this.root.querySelector(".search-input"),
+      appSelect: this.root.querySelector(".app-select"),
+      vhostSelect: this.root.querySelector(".vhost-select"),
+      count: this.root.querySelector(".stream-count"),
+      list: this.root.querySelector(".stream-list"),
+      message: this.root.querySelector(".directory-message"),
+    };
+  }
+
+  init() {
+    this.elements.searchInput.value = this.filters.query;
+    this.observer = new IntersectionObserver(
+      (entries) => this.onCardsVisibility(entries),
+      { rootMargin: "100px" }
+    );
+    this.setupEventListeners();
+    this.refresh();
+  }
+
+  setupEventListeners() {
+    this.elements.searchInput.addEventListener("input", () =>
+      this.setFilter("query", this.elements.searchInput.value.trim())
+    );
+    this.elements.appSelect.addEventListener("change", () =>
+      this.setFilter("app", this.elements.appSelect.value)
+    );
+    this.elements.vhostSelect.addEventListener("change", () =>
+      this.setFilter("vhost", this.elements.vhostSelect.value)
+    );
+
+    // Hidden tabs don't need live thumbnails or polling
+    document.addEventListener("visibilitychange", () => {
+      if (document.hidden) {
+        clearTimeout(this.refreshTimer);
+        this.thumbnails.forEach((thumbnail, id) => this.stopThumbnail(id));
+      } else {
+        this.refresh();
+        // Re-observing reports the cards in view again, restarting them
+        this.cards.forEach((card) => {
+          this.observer.unobserve(card);
+          this.observer.observe(card);
+        });
+      }
+    });
+  }
+
+  async refresh() {
+    clearTimeout(this.refreshTimer);
+
+    try {
+      const [streams, clients, vhosts] = await Promise.all([
+        this.api.getStreams(),
+        this.api.getClients(),
+        this.api.getVhosts(),
+      ]);
+
+      this.vhosts = new Map(vhosts.map((vhost) => [vhost.id, vhost.name]));
+      this.streams = streams
+        .filter((s) => s.publish && s.publish.active)
+        .map((s) => ({
+          ...s,
+          vhostName: this.vhosts.get(s.vhost) || s.vhost,
+          viewers: this.countViewers(s.id, clients),
+        }))
+        .sort((a, b) =>
+          `${a.app}/${a.name}`.localeCompare(`${b.app}/${b.name}`)
+        );
+      this.error = null;
+    } catch (error) {
+      console.error("Error loading streams:", error);
+      this.streams = [];
+      this.error = `Can't reach the SRS API at ${this.api.baseUrl}. Retrying...`;
+    }
+
+    this.renderFilters();
+    this.render();
+
+    if (!document.hidden) {
+      this.refreshTimer = setTimeout(
+        () => this.refresh(),
+        DIRECTORY_REFRESH_INTERVAL
+      );
+    }
+  }
+
+  setFilter(name, value) {
+    this.filters[name] = value;
+
+    // Keep the filters in the URL so the view can be shared
+    const next = new URLSearchParams(location.search);
+    const key = name === "query" ? "q" : name;
+    if (value) {
+      next.set(key, value);
+    } else {
+      next.delete(key);
+    }
+    history.replaceState(null, "", `?${next}`);
+
+    this.render();
+  }
+
+  renderFilters() {
+    const fill = (select, key, label) => {
+      const current = this.filters[select.dataset.filter];
+      // Keep a filtered value selectable even when its streams went offline
+      const values = new Set(this.streams.map((s) => s[key]));
+      if (current) values.add(current);
+
+      select.replaceChildren(
+        new Option(label, ""),
+        ...[...values].sort().map((value) => new Option(value, value))
+      );
+      select.value = current;
+    };
+
+    fill(this.elements.appSelect, "app", "All apps");
+    fill(this.elements.vhostSelect, "vhostName", "All vhosts");
+  }
+
+  getVisibleStreams() {
+    const { query, app, vhost } = this.filters;
+    const needle = query.toLowerCase();
+
+    return this.streams.filter(
+      (s) =>
+        (!app || s.app === app) &&
+        (!vhost || s.vhostName === vhost) &&
+        (!needle || `${s.app}/${s.name}`.toLowerCase().includes(needle))
+    );
+  }
+
+  render() {
+    const streams = this.getVisibleStreams();
+    const ids = new Set(streams.map((s) => s.id));
+
+    // Drop cards for streams that ended or are filtered out
+    this.cards.forEach((card, id) => {
+      if (!ids.has(id)) {
+        this.observer.unobserve(card);
+        this.stopThumbnail(id);
+        card.remove();
+        this.cards.delete(id);
+      }
+    });
+
+    streams.forEach((s) => {
+      let card = this.cards.get(s.id);
+      if (!card) {
+        card = this.createCard(s);
+        this.cards.set(s.id, card);
+        this.observer.observe(card);
+      }
+      this.updateCard(card, s);
+      // Appending an existing node moves it, keeping the list in order
+      this.elements.list.appendChild(card);
+    });
+
+    this.elements.count.textContent = `${streams.length} live`;
+    if (this.error) {
+      this.showMessage(this.error);
+    } else if (!streams.length) {
+      this.showMessage(
+        this.streams.length
+          ? "No streams match the filters."
+          : "Nobody is streaming right now."
+      );
+    } else {
+      this.showMessage("");
+    }
+  }
+
+  createCard(s) {
+    const card = document.createElement("a");
+    card.className = "stream-card";
+    card.href = withToken(
+      `index.html?app=${encodeURIComponent(s.app)}&stream=${encodeURIComponent(
+        s.name
+      )}`,
+      this.token
+    );
+    card.dataset.id = s.id;
+    card.innerHTML = `
+      <div class="stream-thumb">
+        <video muted autoplay playsinline></video>
+        <span class="stream-badge">LIVE</span>
+        <span class="stream-duration"></span>
+      </div>
+      <div class="stream-info">
+        <div class="stream-title"></div>
+        <div class="stream-meta"></div>
+      </div>
+    `;
+    return card;
+  }
+
+  // Players of the stream, less this page's own thumbnail. SRS can't tell
+  // other directory pages' thumbnails apart, so those still count.
+  countViewers(id, clients) {
+    const players = clients.filter((c) => c.stream === id && !c.publish);
+    const thumbnail = this.thumbnails.get(id);
+    const own =
+      thumbnail && thumbnail.pc.connectionState === "connected" ? 1 : 0;
+    return Math.max(0, players.length - own);
+  }
+
+  updateCard(card, s) {
+    const video = s.video
+      ? `${s.video.codec} ${s.video.width}x${s.video.height}`
+      : "No video";
+    const audio = s.audio ? s.audio.codec : "No audio";
+    const kbps = s.kbps ? s.kbps.recv_30s : 0;
+    const viewers = `${s.viewers} viewer${s.viewers === 1 ? "" : "s"}`;
+
+    card.querySelector(".stream-title").textContent = `${s.app}/${s.name}`;
+    const meta = card.querySelector(".stream-meta");
+    meta.title = "Viewers include thumbnails on other open directory pages";
+    meta.textContent = [
+      video,
+      audio,
+      `${kbps} kbps`,
+      viewers,
+      s.vhostName,
+    ].join(" · ");
+    card.querySelector(".stream-duration").textContent = this.formatDuration(
+      Date.now() - s.live_ms
+    );
+  }
+
+  // Thumbnails
+  onCardsVisibility(entries) {
+    entries.forEach((entry) => {
+      const id = entry.target.dataset.id;
+      if (entry.isIntersecting) {
+        this.startThumbnail(id, entry.target);
+      } else {
+        this.stopThumbnail(id);
+      }
+    });
+  }
+
+  async startThumbnail(id, card) {
+    if (
+      this.thumbnails.has(id) ||
+      this.thumbnails.size >= DIRECTORY_MAX_THUMBNAILS ||
+      document.hidden
+    ) {
+      return;
+    }
+
+    const s = this.streams.find((stream) => stream.id === id);
+    if (!s || !s.video) return;
+
+    const player = new WhepPlayerAsync();
+    this.thumbnails.set(id, player);
+
+    const video = card.querySelector("video");
+    video.srcObject = player.stream;
+
+    try {
+      await player.play(
+        withToken(
+          `${SRS_API_BASE}/rtc/v1/whep/?app=${encodeURIComponent(
+            s.app
+          )}&stream=${encodeURIComponent(s.name)}`,
+          this.token
+        )
+      );
+    } catch (error) {
+      // Closed by stopThumbnail() while connecting
+      if (this.thumbnails.get(id) !== player) return;
+      console.warn(`Thumbnail for ${s.app}/${s.name} failed:`, error);
+      this.stopThumbnail(id);
+    }
+  }
+
+  stopThumbnail(id) {
+    const player = this.thumbnails.get(id);
+    if (!player) return;
+
+    player.close();
+    this.thumbnails.delete(id);
+    const card = this.cards.get(id);
+    if (card) {
+      card.querySelector("video").srcObject = null;
+    }
+  }
+
+  // Helpers
+  showMessage(text) {
+    this.elements.message.textContent = text;
+    this.elements.message.classList.toggle("show", !!text);
+  }
+
+  formatDuration(ms) {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = seconds % 60;
+    const pad = (n) => String(n).padStart(2, "0");
+    return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${m}:${pad(s)}`;
+  }
+}
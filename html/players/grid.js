@@ -0,0 +1,231 @@
+// WebRTCGrid.js
+"use strict";
+
+// Layouts offered in the layout picker; any "<cols>x<rows>" works via ?layout=
+const GRID_LAYOUTS = ["1x1", "2x2", "3x3", "4x4"];
+
+// Class for watching several app/stream pairs at once. Every tile is an
+// independent WebRTCPlayer; the grid only handles layout, focus and audio.
+class WebRTCGrid {
+  constructor(root = document.querySelector(".grid-page")) {
+    this.root = root;
+    this.elements = this.getElements();
+    this.streams = this.parseStreams(params.get("streams"));
+    this.layout = this.parseLayout(params.get("layout"));
+    this.tiles = [];
+    this.players = [];
+    this.focusedIndex = -1;
+    this.enlargedIndex = -1;
+
+    this.init();
+  }
+
+  getElements() {
+    return {
+      grid: this.root.querySelector(".grid"),
+      layoutSelect: this.root.querySelector(".layout-select"),
+      streamsInput: this.root.querySelector(".streams-input"),
+      applyBtn: this.root.querySelector(".apply-btn"),
+      restoreBtn: this.root.querySelector(".restore-btn"),
+    };
+  }
+
+  init() {
+    this.renderControls();
+    this.renderTiles();
+    this.setupEventListeners();
+    this.setupKeyboardShortcuts();
+  }
+
+  // "live/cam1, cam2" -> [{ app: "live", stream: "cam1" }, { app: "live", ... }]
+  parseStreams(value) {
+    if (!value) return [{ app, stream }];
+
+    return value
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry) => {
+        const parts = entry.split("/");
+        return parts.length > 1
+          ? { app: parts[0], stream: parts.slice(1).join("/") }
+          : { app: "live", stream: parts[0] };
+      });
+  }
+
+  // "3x2" -> { cols: 3, rows: 2 }; defaults to the smallest grid that fits
+  parseLayout(value) {
+    const match = /^(\d+)x(\d+)$/.exec(value || "");
+    if (match) {
+      return {
+        cols: Math.max(1, parseInt(match[1])),
+        rows: Math.max(1, parseInt(match[2])),
+      };
+    }
+
+    const cols = Math.ceil(Math.sqrt(this.streams.length));
+    return { cols, rows: Math.ceil(this.streams.length / cols) };
+  }
+
+  renderControls() {
+    const current = `${this.layout.cols}x${this.layout.rows}`;
+    const layouts = GRID_LAYOUTS.includes(current)
+      ? GRID_LAYOUTS
+      : [...GRID_LAYOUTS, current];
+
+    this.elements.layoutSelect.innerHTML = layouts
+      .map((layout) => `<option value="${layout}">${layout}</option>`)
+      .join("");
+    this.elements.layoutSelect.value = current;
+    this.elements.streamsInput.value = this.streams
+      .map((s) => `${s.app}/${s.stream}`)
+      .join(", ");
+  }
+
+  renderTiles() {
+    const { cols, rows } = this.layout;
+    this.elements.grid.style.setProperty("--cols", cols);
+    this.elements.grid.style.setProperty("--rows", rows);
+
+    for (let index = 0; index < cols * rows; index++) {
+      const tile = document.createElement("div");
+      tile.className = "grid-tile";
+      this.elements.grid.appendChild(tile);
+      this.tiles.push(tile);
+
+      const entry = this.streams[index];
+      if (!entry) {
+        tile.classList.add("empty");
+        tile.innerHTML = `<div class="grid-empty">No stream</div>`;
+        this.players.push(null);
+        continue;
+      }
+
+      const container = document.createElement("div");
+      container.className = "player-container";
+      const label = document.createElement("div");
+      label.className = "grid-label";
+      label.textContent = `${index + 1}. ${entry.app}/${entry.stream}`;
+      tile.append(container, label);
+
+      this.players.push(
+        new WebRTCPlayer(container, {
+          app: entry.app,
+          stream: entry.stream,
+          url: null,
+          keyboard: false,
+          streamPicker: false,
+          persistSettings: false,
+          autoUnmute: false,
+        })
+      );
+
+      tile.addEventListener("click", (e) => {
+        // Toolbar and debug panel clicks belong to the player
+        if (e.target.closest(".toolbar, .debug-panel")) return;
+        if (this.enlargedIndex !== index) {
+          this.enlarge(index);
+        }
+      });
+    }
+  }
+
+  setupEventListeners() {
+    this.elements.layoutSelect.addEventListener("change", () =>
+      this.navigate({ layout: this.elements.layoutSelect.value })
+    );
+    this.elements.applyBtn.addEventListener("click", () =>
+      this.navigate({ streams: this.elements.streamsInput.value })
+    );
+    this.elements.streamsInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        this.navigate({ streams: this.elements.streamsInput.value });
+      }
+    });
+    this.elements.restoreBtn.addEventListener("click", () => this.restore());
+  }
+
+  setupKeyboardShortcuts() {
+    document.addEventListener("keydown", (e) => {
+      // Prevent shortcuts when typing
+      if (
+        e.target.tagName === "INPUT" ||
+        e.target.tagName === "TEXTAREA" ||
+        e.target.tagName === "SELECT"
+      )
+        return;
+
+      const player = this.players[this.focusedIndex];
+      const key = e.key.toLowerCase();
+
+      if (/^[1-9]$/.test(key)) {
+        const index = parseInt(key) - 1;
+        if (this.players[index]) {
+          this.enlarge(index);
+        }
+        return;
+      }
+
+      switch (key) {
+        case "escape":
+          this.restore();
+          break;
+        case "m":
+          if (player) player.toggleMute();
+          break;
+        case "f":
+          if (player) player.toggleFullscreen();
+          break;
+        case "d":
+          if (player && this.enlargedIndex === this.focusedIndex) {
+            player.toggleDebugPanel();
+          }
+          break;
+      }
+    });
+  }
+
+  // Layout and stream changes rebuild every tile, so reload with new params
+  navigate(changes) {
+    const next = new URLSearchParams(location.search);
+    Object.entries(changes).forEach(([key, value]) => next.set(key, value));
+    location.search = next.toString();
+  }
+
+  enlarge(index) {
+    if (this.enlargedIndex >= 0) {
+      this.tiles[this.enlargedIndex].classList.remove("enlarged");
+    }
+    this.enlargedIndex = index;
+    this.tiles[index].classList.add("enlarged");
+    this.elements.restoreBtn.disabled = false;
+    this.focus(index);
+  }
+
+  restore() {
+    if (this.enlargedIndex < 0) return;
+
+    const player = this.players[this.enlargedIndex];
+    if (player.elements.debugPanel.classList.contains("show")) {
+      player.toggleDebugPanel();
+    }
+    player.resetZoom();
+
+    this.tiles[this.enlargedIndex].classList.remove("enlarged");
+    this.enlargedIndex = -1;
+    this.elements.restoreBtn.disabled = true;
+  }
+
+  // Audio follows the focused tile only
+  focus(index) {
+    this.focusedIndex = index;
+    this.tiles.forEach((tile, i) =>
+      tile.classList.toggle("focused", i === index)
+    );
+    this.players.forEach((player, i) => {
+      if (!player) return;
+      player.elements.video.muted = i !== index;
+      player.updateVolumeIcon();
+    });
+  }
+}
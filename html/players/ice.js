@@ -0,0 +1,137 @@
+// ice.js
+"use strict";
+
+// Optional ICE configuration served next to the page
+const ICE_CONFIG_URL = "ice.json";
+const ICE_REQUEST_TIMEOUT = 5000;
+const ICE_TRANSPORT_POLICIES = ["all", "relay"];
+// TURN credentials are fetched again when less than this is left
+const ICE_CREDENTIAL_MARGIN = 60 * 1000;
+
+// One request per URL for every player on the page
+const iceConfigFiles = new Map();
+const turnCredentials = new Map();
+
+async function fetchIceJson(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), ICE_REQUEST_TIMEOUT);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      const error = new Error(
+        `ICE config request failed: ${response.status} ${response.statusText}`
+      );
+      error.status = response.status;
+      throw error;
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// { iceServers, iceTransportPolicy, turnRestUrl }, or null when the page has
+// no config file
+function loadIceConfigFile(url) {
+  if (!iceConfigFiles.has(url)) {
+    iceConfigFiles.set(
+      url,
+      fetchIceJson(url).catch((error) => {
+        if (error.status !== 404) {
+          console.warn("Couldn't load ICE config:", error);
+        }
+        return null;
+      })
+    );
+  }
+  return iceConfigFiles.get(url);
+}
+
+// RTCIceServers from a TURN credentials response: the TURN REST API's
+// { username, password, ttl, uris } (as served for coturn's use-auth-secret),
+// { iceServers: [...] } or a bare list
+// @see https://datatracker.ietf.org/doc/html/draft-uberti-behave-turn-rest-00
+function parseTurnServers(data) {
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data.iceServers)) return data.iceServers;
+  if (data.uris || data.urls) {
+    return [
+      {
+        urls: data.uris || data.urls,
+        username: data.username,
+        credential: data.password || data.credential,
+      },
+    ];
+  }
+  throw new Error("TURN credentials response has no servers");
+}
+
+// Time-limited TURN credentials, reused until shortly before their ttl runs
+// out (or just once without a ttl)
+function fetchTurnCredentials(url) {
+  const cached = turnCredentials.get(url);
+  if (
+    cached &&
+    (cached.expires === null ||
+      cached.expires - ICE_CREDENTIAL_MARGIN > Date.now())
+  ) {
+    return cached.servers;
+  }
+
+  // expires is null while the request is pending
+  const entry = { servers: null, expires: null };
+  entry.servers = fetchIceJson(url)
+    .then((data) => {
+      entry.expires = data.ttl ? Date.now() + data.ttl * 1000 : 0;
+      return parseTurnServers(data);
+    })
+    .catch((error) => {
+      if (turnCredentials.get(url) === entry) {
+        turnCredentials.delete(url);
+      }
+      throw error;
+    });
+  turnCredentials.set(url, entry);
+  return entry.servers;
+}
+
+// RTCConfiguration from `base` and, later ones winning:
+//   the config file (configUrl, ice.json by default),
+//   iceServers and iceTransportPolicy given to the player (URL params),
+//   TURN credentials from turnRestUrl (the option, or the file's), added to
+//   the servers
+async function getIceConfiguration(base, options = {}) {
+  const config = { ...base };
+  const file = options.configUrl
+    ? await loadIceConfigFile(options.configUrl)
+    : null;
+
+  if (file && Array.isArray(file.iceServers)) {
+    config.iceServers = file.iceServers;
+  }
+  if (options.iceServers) {
+    config.iceServers = options.iceServers;
+  }
+
+  const policy =
+    options.iceTransportPolicy || (file && file.iceTransportPolicy);
+  if (ICE_TRANSPORT_POLICIES.includes(policy)) {
+    config.iceTransportPolicy = policy;
+  } else if (policy) {
+    console.warn(`Ignoring unknown ICE transport policy "${policy}"`);
+  }
+
+  const turnRestUrl = options.turnRestUrl || (file && file.turnRestUrl);
+  if (turnRestUrl) {
+    try {
+      const servers = await fetchTurnCredentials(turnRestUrl);
+      config.iceServers = [...(config.iceServers || []), ...servers];
+    } catch (error) {
+      // Connect without TURN rather than not at all
+      console.warn("Couldn't fetch TURN credentials:", error);
+    }
+  }
+
+  return config;
+}
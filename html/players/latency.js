@@ -0,0 +1,72 @@
+// latency.js
+"use strict";
+
+// Binary clock burned into the publisher's test pattern and read back by the
+// player's latency calibration. A strip across the top of the frame holds
+// marker cells (white, black), Date.now() as 42 bits MSB first (good until
+// 2109), then markers (black, white). Comparing it with the local clock gives
+// true glass-to-glass latency when both clocks are in sync (e.g. same host).
+const TIMESTAMP_OVERLAY_BITS = 42;
+const TIMESTAMP_OVERLAY_CELLS = TIMESTAMP_OVERLAY_BITS + 4;
+// Strip height as a share of the frame height
+const TIMESTAMP_OVERLAY_HEIGHT = 1 / 24;
+// Decoded clocks further off than this are misreads, not latency
+const TIMESTAMP_OVERLAY_MAX_SKEW = 60000;
+
+function drawTimestampOverlay(ctx, width, height, time = Date.now()) {
+  const cellWidth = width / TIMESTAMP_OVERLAY_CELLS;
+  const cellHeight = Math.ceil(height * TIMESTAMP_OVERLAY_HEIGHT);
+  const cells = [1, 0];
+  for (let bit = TIMESTAMP_OVERLAY_BITS - 1; bit >= 0; bit--) {
+    cells.push(Math.floor(time / 2 ** bit) % 2);
+  }
+  cells.push(0, 1);
+
+  cells.forEach((value, i) => {
+    ctx.fillStyle = value ? "#fff" : "#000";
+    ctx.fillRect(i * cellWidth, 0, cellWidth + 1, cellHeight);
+  });
+}
+
+// Returns the timestamp shown in the current frame, or null when the video
+// carries no overlay. `canvas` is a scratch canvas reused between calls.
+function readTimestampOverlay(video, canvas) {
+  if (!video.videoWidth || !video.videoHeight) return null;
+
+  // Scale the strip down to one pixel per cell, which averages each cell
+  canvas.width = TIMESTAMP_OVERLAY_CELLS;
+  canvas.height = 1;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  const stripHeight = video.videoHeight * TIMESTAMP_OVERLAY_HEIGHT;
+  ctx.drawImage(
+    video,
+    0,
+    stripHeight * 0.25,
+    video.videoWidth,
+    stripHeight * 0.5,
+    0,
+    0,
+    TIMESTAMP_OVERLAY_CELLS,
+    1
+  );
+
+  const pixels = ctx.getImageData(0, 0, TIMESTAMP_OVERLAY_CELLS, 1).data;
+  const cells = [];
+  for (let i = 0; i < TIMESTAMP_OVERLAY_CELLS; i++) {
+    const luma =
+      0.299 * pixels[i * 4] +
+      0.587 * pixels[i * 4 + 1] +
+      0.114 * pixels[i * 4 + 2];
+    cells.push(luma > 128 ? 1 : 0);
+  }
+
+  const last = TIMESTAMP_OVERLAY_CELLS - 1;
+  if (cells[0] !== 1 || cells[1] !== 0 || cells[last - 1] !== 0) return null;
+  if (cells[last] !== 1) return null;
+
+  let time = 0;
+  for (let i = 2; i < last - 1; i++) {
+    time = time * 2 + cells[i];
+  }
+  return Math.abs(Date.now() - time) < TIMESTAMP_OVERLAY_MAX_SKEW ? time : null;
+}
@@ -0,0 +1,366 @@
+// metrics.js
+"use strict";
+
+const METRICS_DB_NAME = "webrtc-player-metrics";
+const METRICS_DB_VERSION = 3;
+const METRICS_STORE_NAME = "samples";
+const METRICS_EVENTS_STORE_NAME = "events";
+const METRICS_RETENTION_HOURS = 24;
+// Samples keep full resolution this long, then are averaged into buckets
+const METRICS_RAW_WINDOW = 15 * 60 * 1000;
+const METRICS_BUCKET_SIZE = 60 * 1000;
+const METRICS_COMPACT_INTERVAL = 60 * 1000;
+// parseStats() sections stored as columns; candidates and streams are lists,
+// not time series
+const METRICS_SECTIONS = [
+  "video",
+  "audio",
+  "connection",
+  "codecs",
+  "latency",
+  "quality",
+];
+
+// Time series of every stats report for one stream, kept in memory and in
+// IndexedDB (keyed by stream and time) so history survives reloads. Each
+// sample is { key, time, expires, count, data, bucket } where data holds flat
+// columns such as "video.fps", count is the number of reports averaged into
+// it and bucket marks downsampled samples. Events ({ key, time, expires,
+// type, label }) mark reconnects, resolution changes and the like on the same
+// timeline. expires is the time plus the retention of the page that wrote it.
+class MetricsStore {
+  // options: retentionHours, persist
+  constructor(key, options = {}) {
+    this.key = key;
+    this.retention =
+      (options.retentionHours || METRICS_RETENTION_HOURS) * 3600 * 1000;
+    this.samples = [];
+    this.events = [];
+    this.columns = new Set();
+    this.lastCompaction = Date.now();
+    this.db = null;
+    this.closed = false;
+
+    const persist =
+      options.persist !== false && typeof indexedDB !== "undefined";
+    this.ready = persist
+      ? this.open()
+          .then(() => this.load())
+          .catch((error) =>
+            console.warn("Metrics history won't be persisted:", error)
+          )
+      : Promise.resolve();
+  }
+
+  static flatten(report) {
+    const data = {};
+    METRICS_SECTIONS.forEach((section) => {
+      Object.entries(report[section] || {}).forEach(([name, value]) => {
+        if (value === null || typeof value !== "object") {
+          data[`${section}.${name}`] = value;
+        }
+      });
+    });
+    return data;
+  }
+
+  add(report, time = Date.now()) {
+    const sample = {
+      key: this.key,
+      time,
+      expires: time + this.retention,
+      count: 1,
+      data: MetricsStore.flatten(report),
+    };
+    this.samples.push(sample);
+    this.addColumns(sample);
+    this.write([sample], []);
+
+    if (time - this.lastCompaction >= METRICS_COMPACT_INTERVAL) {
+      this.compact(time);
+    }
+  }
+
+  addEvent(type, label, time = Date.now()) {
+    const event = {
+      key: this.key,
+      time,
+      expires: time + this.retention,
+      type,
+      label,
+    };
+    this.events.push(event);
+    if (!this.db) return;
+
+    try {
+      this.db
+        .transaction(METRICS_EVENTS_STORE_NAME, "readwrite")
+        .objectStore(METRICS_EVENTS_STORE_NAME)
+        .put(event);
+    } catch (error) {
+      console.warn("Error saving metrics event:", error);
+    }
+  }
+
+  getEvents(since = 0) {
+    return this.events.filter((e) => e.time >= since);
+  }
+
+  addColumns(sample) {
+    Object.keys(sample.data).forEach((column) => this.columns.add(column));
+  }
+
+  // [{ time, value }] for one column, e.g. "video.bitrate"
+  getSeries(column, since = 0) {
+    return this.samples
+      .filter((s) => s.time >= since && column in s.data)
+      .map((s) => ({ time: s.time, value: s.data[column] }));
+  }
+
+  // Drop samples past the retention and average the ones past the raw window
+  // into buckets
+  compact(now = Date.now()) {
+    this.lastCompaction = now;
+    const expired = now - this.retention;
+    const cutoff =
+      Math.floor((now - METRICS_RAW_WINDOW) / METRICS_BUCKET_SIZE) *
+      METRICS_BUCKET_SIZE;
+
+    const removed = [];
+    const buckets = new Map();
+    const kept = [];
+    this.samples.forEach((sample) => {
+      if (sample.time < expired) {
+        removed.push(sample);
+      } else if (sample.time < cutoff && !sample.bucket) {
+        const start =
+          Math.floor(sample.time / METRICS_BUCKET_SIZE) * METRICS_BUCKET_SIZE;
+        if (!buckets.has(start)) buckets.set(start, []);
+        buckets.get(start).push(sample);
+        removed.push(sample);
+      } else {
+        kept.push(sample);
+      }
+    });
+
+    const merged = [...buckets.entries()].map(([start, samples]) =>
+      this.merge(start, samples)
+    );
+    this.samples = [...kept, ...merged].sort((a, b) => a.time - b.time);
+    this.events = this.events.filter((e) => e.time >= expired);
+    this.write(merged, removed);
+    this.expire(now);
+  }
+
+  // Count-weighted average of numbers; other values keep the latest one
+  merge(time, samples) {
+    const count = samples.reduce((sum, s) => sum + s.count, 0);
+    const data = {};
+    const sums = {};
+    const weights = {};
+
+    samples.forEach((sample) => {
+      Object.entries(sample.data).forEach(([column, value]) => {
+        if (typeof value === "number" && isFinite(value)) {
+          sums[column] = (sums[column] || 0) + value * sample.count;
+          weights[column] = (weights[column] || 0) + sample.count;
+        } else {
+          data[column] = value;
+        }
+      });
+    });
+    Object.keys(sums).forEach((column) => {
+      data[column] = sums[column] / weights[column];
+    });
+
+    return {
+      key: this.key,
+      time,
+      expires: time + this.retention,
+      count,
+      data,
+      bucket: true,
+    };
+  }
+
+  close() {
+    this.closed = true;
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  // Export
+  toCSV() {
+    const columns = [...this.columns];
+    const escape = (value) => {
+      if (value === null || value === undefined) return "";
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = this.samples.map((s) =>
+      [
+        new Date(s.time).toISOString(),
+        s.count,
+        ...columns.map((column) => escape(s.data[column])),
+      ].join(",")
+    );
+    return [["time", "samples", ...columns].join(","), ...rows].join("\n");
+  }
+
+  toNDJSON() {
+    return this.samples
+      .map((s) =>
+        JSON.stringify({
+          time: new Date(s.time).toISOString(),
+          samples: s.count,
+          ...s.data,
+        })
+      )
+      .join("\n");
+  }
+
+  // IndexedDB
+  open() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(METRICS_DB_NAME, METRICS_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(METRICS_STORE_NAME)) {
+          db.createObjectStore(METRICS_STORE_NAME, {
+            keyPath: ["key", "time"],
+          }).createIndex("time", "time");
+        }
+        if (!db.objectStoreNames.contains(METRICS_EVENTS_STORE_NAME)) {
+          db.createObjectStore(METRICS_EVENTS_STORE_NAME, {
+            keyPath: ["key", "time", "type"],
+          }).createIndex("time", "time");
+        }
+        [METRICS_STORE_NAME, METRICS_EVENTS_STORE_NAME].forEach((storeName) =>
+          MetricsStore.addExpiresIndex(
+            request.transaction.objectStore(storeName)
+          )
+        );
+      };
+      request.onsuccess = () => {
+        if (this.closed) {
+          request.result.close();
+          reject(new Error("Metrics store closed"));
+          return;
+        }
+        this.db = request.result;
+        resolve();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Records written before expires existed get the default retention
+  static addExpiresIndex(store) {
+    if (store.indexNames.contains("expires")) return;
+
+    store.createIndex("expires", "expires");
+    const request = store.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      if (cursor.value.expires === undefined) {
+        cursor.update({
+          ...cursor.value,
+          expires: cursor.value.time + METRICS_RETENTION_HOURS * 3600 * 1000,
+        });
+      }
+      cursor.continue();
+    };
+  }
+
+  async load() {
+    const [stored, storedEvents] = await Promise.all([
+      this.getAllStored(METRICS_STORE_NAME),
+      this.getAllStored(METRICS_EVENTS_STORE_NAME),
+    ]);
+
+    // Reports added while opening weren't written yet
+    const pending = this.samples;
+    const added = new Set(pending.map((s) => s.time));
+    this.samples = [...stored.filter((s) => !added.has(s.time)), ...pending];
+    this.samples.sort((a, b) => a.time - b.time);
+    this.samples.forEach((sample) => this.addColumns(sample));
+    this.write(pending, []);
+
+    const pendingEvents = this.events;
+    this.events = [...storedEvents, ...pendingEvents];
+    this.events.sort((a, b) => a.time - b.time);
+    const store = this.db
+      .transaction(METRICS_EVENTS_STORE_NAME, "readwrite")
+      .objectStore(METRICS_EVENTS_STORE_NAME);
+    pendingEvents.forEach((event) => store.put(event));
+
+    this.compact();
+  }
+
+  getAllStored(storeName) {
+    return new Promise((resolve, reject) => {
+      const request = this.db
+        .transaction(storeName)
+        .objectStore(storeName)
+        .getAll(
+          IDBKeyRange.bound(
+            [this.key, Date.now() - this.retention],
+            [this.key, Infinity, Infinity]
+          )
+        );
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  write(added, removed) {
+    if (!this.db || (!added.length && !removed.length)) return;
+
+    try {
+      const store = this.db
+        .transaction(METRICS_STORE_NAME, "readwrite")
+        .objectStore(METRICS_STORE_NAME);
+      removed.forEach((s) => store.delete([s.key, s.time]));
+      added.forEach((s) => store.put(s));
+    } catch (error) {
+      console.warn("Error saving metrics:", error);
+    }
+  }
+
+  // Every stream's history expires by the retention it was written with,
+  // even if the stream is never played again. This stream's also by the
+  // current retention, when that is shorter.
+  expire(now) {
+    if (!this.db) return;
+
+    const transaction = this.db.transaction(
+      [METRICS_STORE_NAME, METRICS_EVENTS_STORE_NAME],
+      "readwrite"
+    );
+    [METRICS_STORE_NAME, METRICS_EVENTS_STORE_NAME].forEach((storeName) => {
+      const store = transaction.objectStore(storeName);
+      store.delete(
+        IDBKeyRange.bound(
+          [this.key, -Infinity],
+          [this.key, now - this.retention],
+          false,
+          true
+        )
+      );
+      const request = store
+        .index("expires")
+        .openCursor(IDBKeyRange.upperBound(now, true));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+    });
+  }
+}
@@ -0,0 +1,790 @@
+// WebRTCPublisher.js
+"use strict";
+
+// Signaling protocol: "whip" (SRS 6 /rtc/v1/whip/) or "srs" (SrsRtcPublisherAsync)
+const PUBLISH_PROTOCOL = params.get("protocol") === "srs" ? "srs" : "whip";
+const WHIP_URL =
+  params.get("url") ||
+  `${SRS_API_BASE}/rtc/v1/whip/?app=${encodeURIComponent(
+    app
+  )}&stream=${encodeURIComponent(stream)}`;
+
+const PUBLISH_RESOLUTIONS = {
+  "2160p": { width: 3840, height: 2160 },
+  "1080p": { width: 1920, height: 1080 },
+  "720p": { width: 1280, height: 720 },
+  "480p": { width: 854, height: 480 },
+  "360p": { width: 640, height: 360 },
+};
+
+// Class for publishing camera, screen or canvas to SRS. Reuses the player's
+// status, debug panel and graph handling; only capture, signaling and the
+// outbound statistics differ.
+class WebRTCPublisher extends WebRTCPlayer {
+  getElements() {
+    return {
+      ...super.getElements(),
+      liveBtn: this.container.querySelector(".live-btn"),
+      micBtn: this.container.querySelector(".mic-btn"),
+      sourceSelect: this.container.querySelector(".source-select"),
+      resolutionSelect: this.container.querySelector(".resolution-select"),
+      framerateSelect: this.container.querySelector(".framerate-select"),
+      codecSelect: this.container.querySelector(".codec-select"),
+      bitrateSelect: this.container.querySelector(".bitrate-select"),
+    };
+  }
+
+  initializeState() {
+    return {
+      ...super.initializeState(),
+      isPublishing: false,
+      micEnabled: true,
+    };
+  }
+
+  init() {
+    this.localStream = null;
+    this.canvasTimer = null;
+
+    this.checkDependencies();
+    this.populateCodecs();
+    this.setupEventListeners();
+    if (this.options.keyboard) {
+      this.setupKeyboardShortcuts();
+    }
+    this.loadPlayerSettings();
+    this.updateConnectionStatus("connecting", "Offline");
+    this.startPreview();
+  }
+
+  checkDependencies() {
+    if (PUBLISH_PROTOCOL === "srs") {
+      if (typeof SrsRtcPublisherAsync === "undefined") {
+        this.showError(
+          "SRS SDK not loaded. Please check your internet connection."
+        );
+        throw new Error("SrsRtcPublisherAsync is not defined");
+      }
+
+      // The SRS SDK captures the camera itself, other sources need WHIP
+      this.elements.sourceSelect
+        .querySelectorAll('option:not([value="camera"])')
+        .forEach((option) => (option.disabled = true));
+      return;
+    }
+
+    if (typeof WhipPublisherAsync === "undefined") {
+      this.showError("WHIP client not loaded. Please reload the page.");
+      throw new Error("WhipPublisherAsync is not defined");
+    }
+  }
+
+  populateCodecs() {
+    if (typeof RTCRtpSender.getCapabilities !== "function") return;
+
+    const mimeTypes = new Set(
+      RTCRtpSender.getCapabilities("video")
+        .codecs.map((codec) => codec.mimeType)
+        .filter((mimeType) => !NON_MEDIA_CODECS.includes(mimeType))
+    );
+
+    mimeTypes.forEach((mimeType) => {
+      const option = document.createElement("option");
+      option.value = mimeType;
+      option.textContent = mimeType.replace("video/", "");
+      this.elements.codecSelect.appendChild(option);
+    });
+  }
+
+  setupEventListeners() {
+    const { signal } = this.abortController;
+
+    this.elements.liveBtn.addEventListener("click", () => this.toggleLive(), {
+      signal,
+    });
+    this.elements.micBtn.addEventListener("click", () => this.toggleMic(), {
+      signal,
+    });
+
+    // Capture settings restart the preview (and swap tracks while live)
+    [
+      this.elements.sourceSelect,
+      this.elements.resolutionSelect,
+      this.elements.framerateSelect,
+    ].forEach((select) =>
+      select.addEventListener(
+        "change",
+        () => {
+          this.savePlayerSettings();
+          this.startPreview();
+        },
+        { signal }
+      )
+    );
+
+    // Codec is negotiated once, so it only applies to the next session
+    this.elements.codecSelect.addEventListener(
+      "change",
+      () => this.savePlayerSettings(),
+      { signal }
+    );
+    this.elements.bitrateSelect.addEventListener(
+      "change",
+      () => {
+        this.savePlayerSettings();
+        this.applyMaxBitrate();
+      },
+      { signal }
+    );
+
+    this.elements.fullscreenBtn.addEventListener(
+      "click",
+      () => this.toggleFullscreen(),
+      { signal }
+    );
+    this.setupDebugPanel();
+
+    document.addEventListener(
+      "fullscreenchange",
+      () => this.onFullscreenChange(),
+      { signal }
+    );
+
+    window.addEventListener(
+      "pagehide",
+      () => {
+        if (this.sdk) {
+          this.sdk.close();
+        }
+      },
+      { signal }
+    );
+  }
+
+  setupKeyboardShortcuts() {
+    document.addEventListener(
+      "keydown",
+      (e) => {
+        // Prevent shortcuts when typing
+        if (
+          e.target.tagName === "INPUT" ||
+          e.target.tagName === "TEXTAREA" ||
+          e.target.tagName === "SELECT"
+        )
+          return;
+
+        switch (e.key.toLowerCase()) {
+          case " ":
+            e.preventDefault();
+            this.toggleLive();
+            break;
+          case "f":
+            this.toggleFullscreen();
+            break;
+          case "m":
+            this.toggleMic();
+            break;
+          case "d":
+            this.toggleDebugPanel();
+            break;
+        }
+      },
+      { signal: this.abortController.signal }
+    );
+  }
+
+  // Capture
+  getCaptureConstraints() {
+    const { width, height } =
+      PUBLISH_RESOLUTIONS[this.elements.resolutionSelect.value];
+    const frameRate = parseInt(this.elements.framerateSelect.value);
+
+    return {
+      width: { ideal: width },
+      height: { ideal: height },
+      frameRate: { ideal: frameRate },
+    };
+  }
+
+  async captureMedia() {
+    const video = this.getCaptureConstraints();
+    const source = this.elements.sourceSelect.value;
+    let stream;
+
+    if (source !== "canvas") {
+      clearInterval(this.canvasTimer);
+    }
+
+    switch (source) {
+      case "screen":
+        stream = await navigator.mediaDevices.getDisplayMedia({
+          video,
+          audio: false,
+        });
+        break;
+      case "canvas":
+        stream = this.createTestPatternStream(
+          video.width.ideal,
+          video.height.ideal,
+          video.frameRate.ideal
+        );
+        break;
+      default:
+        stream = await navigator.mediaDevices.getUserMedia({ video });
+        break;
+    }
+
+    // Microphone is captured separately so it can accompany every source
+    try {
+      const audio = await navigator.mediaDevices.getUserMedia({
+        audio: true,
+      });
+      audio.getAudioTracks().forEach((track) => {
+        track.enabled = this.state.micEnabled;
+        stream.addTrack(track);
+      });
+    } catch (error) {
+      console.warn("Microphone unavailable:", error);
+    }
+
+    // The browser's "Stop sharing" button ends the screen track
+    stream.getVideoTracks().forEach((track) =>
+      track.addEventListener("ended", () => {
+        if (this.state.isPublishing) {
+          this.stopPublishing();
+        }
+      })
+    );
+
+    return stream;
+  }
+
+  createTestPatternStream(width, height, frameRate) {
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d");
+    const colors = [
+      "#c0c0c0",
+      "#c0c000",
+      "#00c0c0",
+      "#00c000",
+      "#c000c0",
+      "#c00000",
+      "#0000c0",
+    ];
+
+    const draw = () => {
+      const barWidth = width / colors.length;
+      colors.forEach((color, i) => {
+        ctx.fillStyle = color;
+        ctx.fillRect(i * barWidth, 0, barWidth + 1, height);
+      });
+
+      // Moving marker and clock make freezes and latency visible
+      const t = Date.now();
+      ctx.fillStyle = "#000";
+      ctx.fillRect(0, height * 0.75, width, height * 0.25);
+      ctx.fillStyle = "#fff";
+      ctx.fillRect(((t / 10) % width) - 10, height * 0.75, 20, height * 0.05);
+      ctx.font = `${Math.round(height / 12)}px monospace`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(
+        new Date(t).toISOString().slice(11, 23),
+        width / 2,
+        height * 0.9
+      );
+
+      // Machine-readable clock for the player's latency calibration
+      if (typeof drawTimestampOverlay !== "undefined") {
+        drawTimestampOverlay(ctx, width, height, t);
+      }
+    };
+
+    draw();
+    clearInterval(this.canvasTimer);
+    this.canvasTimer = setInterval(draw, 1000 / frameRate);
+    return canvas.captureStream(frameRate);
+  }
+
+  async startPreview() {
+    // The SRS SDK owns its capture while live
+    if (this.state.isPublishing && PUBLISH_PROTOCOL === "srs") {
+      this.showError("Stop publishing to change capture settings.");
+      return;
+    }
+
+    try {
+      const stream = await this.captureMedia();
+      const previous = this.localStream;
+      this.localStream = stream;
+      this.elements.video.srcObject = stream;
+
+      if (this.state.isPublishing) {
+        await this.replaceTracks(stream);
+      }
+      this.stopStream(previous);
+    } catch (error) {
+      console.error("Capture error:", error);
+      this.showError(`Failed to capture media: ${error.message}`);
+    }
+  }
+
+  // Swap tracks on the live session without renegotiation
+  async replaceTracks(stream) {
+    const senders = this.sdk.pc.getSenders();
+    for (const track of stream.getTracks()) {
+      const sender = senders.find((s) => s.track?.kind === track.kind);
+      if (sender) {
+        await sender.replaceTrack(track);
+      }
+    }
+    this.applyMaxBitrate();
+  }
+
+  stopStream(stream) {
+    if (!stream || stream === this.localStream) return;
+    stream.getTracks().forEach((track) => track.stop());
+  }
+
+  // Publishing
+  toggleLive() {
+    if (this.state.isPublishing) {
+      this.stopPublishing();
+    } else {
+      this.startPublishing();
+    }
+  }
+
+  async startPublishing() {
+    this.showLoading(true);
+    this.updateConnectionStatus("connecting", "Connecting...");
+    this.elements.liveBtn.disabled = true;
+
+    try {
+      const rtcConfig = await this.getRtcConfig();
+      this.sdk =
+        PUBLISH_PROTOCOL === "srs"
+          ? new SrsRtcPublisherAsync()
+          : new WhipPublisherAsync();
+
+      // Override the default RTC configuration
+      if (this.sdk.pc) {
+        this.sdk.pc.close();
+      }
+      this.sdk.pc = new RTCPeerConnection(rtcConfig);
+      this.hookSessionDescriptions(this.sdk.pc);
+      this.hookCodecPreference(this.sdk.pc);
+      this.monitorConnection();
+
+      if (PUBLISH_PROTOCOL === "srs") {
+        // The SDK calls getUserMedia itself, so hand the camera over
+        this.localStream.getTracks().forEach((track) => track.stop());
+        this.sdk.constraints = {
+          audio: this.state.micEnabled,
+          video: this.getCaptureConstraints(),
+        };
+        await this.sdk.publish(WEBRTC_URL);
+        this.localStream = this.sdk.stream;
+        this.elements.video.srcObject = this.localStream;
+      } else {
+        await this.sdk.publish(WHIP_URL, this.localStream);
+      }
+
+      await this.applyMaxBitrate();
+
+      this.showLoading(false);
+      this.updateConnectionStatus("good", "Live");
+      this.state.isPublishing = true;
+      this.state.streamStartTime = Date.now();
+      this.updateLiveButton();
+      this.startStatsMonitoring();
+    } catch (error) {
+      if (this.sdk) {
+        this.sdk.close();
+        this.sdk = null;
+      }
+      this.handlePlaybackError(error);
+    } finally {
+      this.elements.liveBtn.disabled = false;
+    }
+  }
+
+  stopPublishing() {
+    this.stopStatsMonitoring();
+    if (this.sdk) {
+      this.sdk.close();
+      this.sdk = null;
+    }
+    this.resetSessionStats();
+
+    this.state.isPublishing = false;
+    this.updateLiveButton();
+    this.updateConnectionStatus("connecting", "Offline");
+
+    // Restart the preview if the session owned the capture
+    if (
+      !this.localStream ||
+      this.localStream.getVideoTracks().every((t) => t.readyState === "ended")
+    ) {
+      this.startPreview();
+    }
+  }
+
+  updateLiveButton() {
+    this.elements.liveBtn.textContent = this.state.isPublishing
+      ? "STOP"
+      : "GO LIVE";
+    this.elements.liveBtn.classList.toggle("active", this.state.isPublishing);
+  }
+
+  // The codec is chosen in the toolbar; decoding isn't this page's concern
+  renderCodecSupport() {
+    return "";
+  }
+
+  // Prefer the selected codec in the offer, keeping the rest as fallback
+  hookCodecPreference(pc) {
+    const originalCreateOffer = pc.createOffer.bind(pc);
+    pc.createOffer = async (options) => {
+      const mimeType = this.elements.codecSelect.value;
+      if (mimeType) {
+        pc.getTransceivers().forEach((transceiver) => {
+          if (transceiver.sender.track?.kind !== "video") return;
+          if (typeof transceiver.setCodecPreferences !== "function") return;
+
+          const codecs = RTCRtpReceiver.getCapabilities("video").codecs;
+          try {
+            transceiver.setCodecPreferences([
+              ...codecs.filter((c) => c.mimeType === mimeType),
+              ...codecs.filter((c) => c.mimeType !== mimeType),
+            ]);
+          } catch (error) {
+            console.warn("Failed to set codec preference:", error);
+          }
+        });
+      }
+      return originalCreateOffer(options);
+    };
+  }
+
+  async applyMaxBitrate() {
+    if (!this.sdk || !this.sdk.pc) return;
+
+    const maxBitrate = parseInt(this.elements.bitrateSelect.value);
+    const sender = this.sdk.pc
+      .getSenders()
+      .find((s) => s.track?.kind === "video");
+    if (!sender) return;
+
+    const parameters = sender.getParameters();
+    if (!parameters.encodings || parameters.encodings.length === 0) return;
+
+    parameters.encodings.forEach((encoding) => {
+      if (maxBitrate > 0) {
+        encoding.maxBitrate = maxBitrate;
+      } else {
+        delete encoding.maxBitrate;
+      }
+    });
+
+    try {
+      await sender.setParameters(parameters);
+    } catch (error) {
+      console.warn("Failed to apply max bitrate:", error);
+    }
+  }
+
+  toggleMic() {
+    this.state.micEnabled = !this.state.micEnabled;
+    if (this.localStream) {
+      this.localStream
+        .getAudioTracks()
+        .forEach((track) => (track.enabled = this.state.micEnabled));
+    }
+    this.elements.micBtn.classList.toggle("active", !this.state.micEnabled);
+    this.elements.micBtn.setAttribute(
+      "aria-label",
+      this.state.micEnabled ? "Mute Microphone" : "Unmute Microphone"
+    );
+  }
+
+  // Connection state drives the live status; the player would reconnect
+  monitorConnection() {
+    if (!this.sdk || !this.sdk.pc) return;
+
+    const pc = this.sdk.pc;
+    pc.addEventListener("connectionstatechange", () => {
+      if (!this.sdk || this.sdk.pc !== pc) return;
+      console.log("Connection state changed:", pc.connectionState);
+
+      switch (pc.connectionState) {
+        case "connected":
+          this.updateConnectionStatus("good", "Live");
+          break;
+        case "disconnected":
+          this.updateConnectionStatus("bad", "Disconnected");
+          break;
+        case "failed":
+          this.updateConnectionStatus("bad", "Connection Failed");
+          this.stopPublishing();
+          this.showError("Publishing stopped: connection failed.");
+          break;
+      }
+    });
+  }
+
+  // Debug Panel
+  parseStats(stats) {
+    const report = super.parseStats(stats);
+    const remote = {};
+
+    stats.forEach((stat) => {
+      if (stat.type === "remote-inbound-rtp") {
+        remote[stat.kind] = stat;
+      }
+    });
+
+    stats.forEach((stat) => {
+      if (stat.type !== "outbound-rtp") return;
+
+      const prev = this.lastStats[stat.kind] || {};
+      const timeDiff = (stat.timestamp - prev.timestamp) / 1000 || 1;
+      const bitrate = ((stat.bytesSent - (prev.bytesSent || 0)) * 8) / timeDiff;
+      const remoteStat = remote[stat.kind] || {};
+
+      if (stat.kind === "video") {
+        report.video = {
+          resolution: `${stat.frameWidth || 0}x${stat.frameHeight || 0}`,
+          fps: stat.framesPerSecond || 0,
+          bitrate,
+          targetBitrate: stat.targetBitrate || 0,
+          bytesSent: stat.bytesSent || 0,
+          packetsSent: stat.packetsSent || 0,
+          packetsLost: remoteStat.packetsLost || 0,
+          jitter: (remoteStat.jitter || 0) * 1000,
+          encoder: stat.encoderImplementation || "N/A",
+          framesEncoded: stat.framesEncoded || 0,
+          keyFramesEncoded: stat.keyFramesEncoded || 0,
+          avgEncodeTime:
+            stat.framesEncoded > 0
+              ? ((stat.totalEncodeTime / stat.framesEncoded) * 1000).toFixed(2)
+              : "N/A",
+          qualityLimitationReason: stat.qualityLimitationReason || "none",
+          retransmittedPacketsSent: stat.retransmittedPacketsSent || 0,
+          pliCount: stat.pliCount || 0,
+          nackCount: stat.nackCount || 0,
+          firCount: stat.firCount || 0,
+          timestamp: stat.timestamp,
+        };
+      } else if (stat.kind === "audio") {
+        report.audio = {
+          bitrate,
+          bytesSent: stat.bytesSent || 0,
+          packetsSent: stat.packetsSent || 0,
+          packetsLost: remoteStat.packetsLost || 0,
+          jitter: (remoteStat.jitter || 0) * 1000,
+          timestamp: stat.timestamp,
+        };
+      }
+
+      this.lastStats[stat.kind] = stat;
+    });
+
+    return report;
+  }
+
+  renderStatsTab(report) {
+    let html = "";
+
+    if (report.video.resolution) {
+      const packetLossRate =
+        report.video.packetsSent > 0
+          ? (
+              (report.video.packetsLost / report.video.packetsSent) *
+              100
+            ).toFixed(2)
+          : 0;
+
+      html += `
+                <div class="debug-section">
+                    <div class="debug-section-title">Outgoing Video ${
+                      this.state.codecType ? `(${this.state.codecType})` : ""
+                    }</div>
+                    <div class="debug-item">
+                        <span class="debug-label">Resolution:</span>
+                        <span class="debug-value">${
+                          report.video.resolution
+                        }</span>
+                    </div>
+                    <div class="debug-item">
+                        <span class="debug-label">Encoded FPS:</span>
+                        <span class="debug-value ${this.getQualityClass(
+                          report.video.fps,
+                          "fps"
+                        )}">${report.video.fps.toFixed(1)} fps</span>
+                    </div>
+                    <div class="debug-item">
+                        <span class="debug-label">Bitrate:</span>
+                        <span class="debug-value">${this.formatBitrate(
+                          report.video.bitrate
+                        )}</span>
+                    </div>
+                    <div class="debug-item">
+                        <span class="debug-label">Target Bitrate:</span>
+                        <span class="debug-value">${this.formatBitrate(
+                          report.video.targetBitrate
+                        )}</span>
+                    </div>
+                    <div class="debug-item">
+                        <span class="debug-label">Encoder:</span>
+                        <span class="debug-value">${report.video.encoder}</span>
+                    </div>
+                    <div class="debug-item">
+                        <span class="debug-label">Avg Encode Time:</span>
+                        <span class="debug-value">${
+                          report.video.avgEncodeTime
+                        } ms</span>
+                    </div>
+                    <div class="debug-item">
+                        <span class="debug-label">Quality Limitation:</span>
+                        <span class="debug-value ${
+                          report.video.qualityLimitationReason === "none"
+                            ? "good"
+                            : "warning"
+                        }">${report.video.qualityLimitationReason}</span>
+                    </div>
+                    <div class="debug-item">
+                        <span class="debug-label">Frames Encoded:</span>
+                        <span class="debug-value">${
+                          report.video.framesEncoded
+                        }</span>
+                    </div>
+                    <div class="debug-item">
+                        <span class="debug-label">Key Frames:</span>
+                        <span class="debug-value">${
+                          report.video.keyFramesEncoded
+                        }</span>
+                    </div>
+                    <div class="debug-item">
+                        <span class="debug-label">Packet Loss:</span>
+                        <span class="debug-value ${this.getQualityClass(
+                          packetLossRate,
+                          "packetLoss"
+                        )}">${packetLossRate}%</span>
+                    </div>
+                    <div class="debug-item">
+                        <span class="debug-label">Retransmitted Packets:</span>
+                        <span class="debug-value">${
+                          report.video.retransmittedPacketsSent
+                        }</span>
+                    </div>
+                    <div class="debug-item">
+                        <span class="debug-label">PLI/NACK/FIR:</span>
+                        <span class="debug-value">${report.video.pliCount}/${
+        report.video.nackCount
+      }/${report.video.firCount}</span>
+                    </div>
+                    <canvas class="graph-canvas" data-graph="fps-graph" width="360" height="60"></canvas>
+                    <canvas class="graph-canvas" data-graph="bitrate-graph" width="360" height="60"></canvas>
+                </div>
+            `;
+    } else {
+      html += `
+                <div class="debug-section">
+                    <div class="debug-section-title">Not Publishing</div>
+                </div>
+            `;
+    }
+
+    if (report.audio.bytesSent !== undefined) {
+      html += `
+                <div class="debug-section">
+                    <div class="debug-section-title">Outgoing Audio</div>
+                    <div class="debug-item">
+                        <span class="debug-label">Bitrate:</span>
+                        <span class="debug-value">${this.formatBitrate(
+                          report.audio.bitrate
+                        )}</span>
+                    </div>
+                    <div class="debug-item">
+                        <span class="debug-label">Packets Sent:</span>
+                        <span class="debug-value">${
+                          report.audio.packetsSent
+                        }</span>
+                    </div>
+                    <div class="debug-item">
+                        <span class="debug-label">Jitter:</span>
+                        <span class="debug-value ${this.getQualityClass(
+                          report.audio.jitter,
+                          "jitter"
+                        )}">${report.audio.jitter.toFixed(1)} ms</span>
+                    </div>
+                </div>
+            `;
+    }
+
+    html += `<button class="export-btn">Export Debug Data</button>`;
+
+    this.elements.debugContent.innerHTML = html;
+
+    requestAnimationFrame(() => {
+      this.drawGraph(
+        "fps-graph",
+        this.statsHistory.fps,
+        70,
+        "Encoded FPS",
+        parseInt(this.elements.framerateSelect.value) || null
+      );
+      this.drawGraph(
+        "bitrate-graph",
+        this.statsHistory.bitrate,
+        Math.max(...this.statsHistory.bitrate, 1000000),
+        "Video Bitrate"
+      );
+    });
+  }
+
+  // Settings persistence
+  savePlayerSettings() {
+    if (!this.options.persistSettings) return;
+
+    const settings = {
+      source: this.elements.sourceSelect.value,
+      resolution: this.elements.resolutionSelect.value,
+      framerate: this.elements.framerateSelect.value,
+      codec: this.elements.codecSelect.value,
+      bitrate: this.elements.bitrateSelect.value,
+    };
+    localStorage.setItem("webrtc-publisher-settings", JSON.stringify(settings));
+  }
+
+  loadPlayerSettings() {
+    if (!this.options.persistSettings) return;
+
+    try {
+      const settings = JSON.parse(
+        localStorage.getItem("webrtc-publisher-settings") || "{}"
+      );
+
+      const selects = {
+        source: this.elements.sourceSelect,
+        resolution: this.elements.resolutionSelect,
+        framerate: this.elements.framerateSelect,
+        codec: this.elements.codecSelect,
+        bitrate: this.elements.bitrateSelect,
+      };
+      Object.entries(selects).forEach(([key, select]) => {
+        const option = [...select.options].find(
+          (o) => o.value === settings[key] && !o.disabled
+        );
+        if (option) {
+          select.value = settings[key];
+        }
+      });
+    } catch (error) {
+      console.error("Error loading settings:", error);
+    }
+  }
+}
@@ -0,0 +1,261 @@
+// qoe.js
+"use strict";
+
+// Share of the composite score per metric. Metrics the browser doesn't
+// report are left out and the rest weigh more.
+const QUALITY_WEIGHTS = {
+  fpsStability: 15,
+  freezes: 20,
+  frameDrops: 15,
+  packetLoss: 20,
+  jitter: 10,
+  rtt: 10,
+  concealment: 10,
+};
+// Stats reports (one per second) the score looks back on
+const QUALITY_WINDOW = 60;
+const QUALITY_FPS_WINDOW = 10;
+// decoderImplementation names of software decoders
+const QUALITY_SOFTWARE_DECODERS = /libvpx|ffmpeg|openh264|dav1d|libaom|gav1/i;
+const QUALITY_FINDING_ORDER = ["bad", "warning", "info"];
+
+// 100 at the `good` threshold or better, 50 at `bad`, 0 as far past `bad`
+// again
+function getQualityScore(value, limits) {
+  const distance = Math.abs(limits.bad - limits.good) || 1;
+  const past =
+    (limits.good > limits.bad ? limits.good - value : value - limits.good) /
+    distance;
+  return Math.round(Math.max(0, Math.min(100, 100 - past * 50)));
+}
+
+// Quality of Experience from the player's stats reports: a 0-100 score
+// weighing frame rate stability, freezes, drops, loss, jitter, RTT and audio
+// concealment, and a rule-based diagnosis of what's wrong. Thresholds are the
+// player's (QUALITY_THRESHOLDS and the qualityThresholds option).
+class QualityMonitor {
+  constructor(thresholds = QUALITY_THRESHOLDS) {
+    this.thresholds = thresholds;
+    this.reports = [];
+  }
+
+  reset() {
+    this.reports = [];
+  }
+
+  // { score, level, metrics: { name: { value, score, level } }, diagnosis }
+  // or null before there is any video
+  update(report) {
+    if (!report.video || report.video.timestamp === undefined) return null;
+
+    this.reports.push(report);
+    if (this.reports.length > QUALITY_WINDOW) {
+      this.reports.shift();
+    }
+
+    const metrics = {};
+    let total = 0;
+    let weights = 0;
+    Object.entries(this.measure(report)).forEach(([name, value]) => {
+      const limits = this.thresholds[name];
+      if (value === null || !isFinite(value) || !limits) return;
+
+      const score = getQualityScore(value, limits);
+      metrics[name] = { value, score, level: getQualityLevel(value, limits) };
+      if (QUALITY_WEIGHTS[name]) {
+        total += score * QUALITY_WEIGHTS[name];
+        weights += QUALITY_WEIGHTS[name];
+      }
+    });
+    if (!weights) return null;
+
+    const score = Math.round(total / weights);
+    return {
+      score,
+      level: getQualityLevel(score, this.thresholds.score),
+      metrics,
+      diagnosis: this.diagnose(report, metrics),
+    };
+  }
+
+  // Raw metric values; counters are compared with the oldest report in the
+  // window
+  measure(report) {
+    const video = report.video;
+    const audio = report.audio || {};
+    const first = this.reports[0];
+    const delta = (section, key) =>
+      (report[section][key] || 0) - ((first[section] || {})[key] || 0);
+
+    const fps = this.reports
+      .slice(-QUALITY_FPS_WINDOW)
+      .map((r) => r.video.videoFrameCallbackFps || r.video.fps)
+      .filter((value) => typeof value === "number");
+    const meanFps = fps.reduce((sum, value) => sum + value, 0) / fps.length;
+    const deviation = Math.sqrt(
+      fps.reduce((sum, value) => sum + (value - meanFps) ** 2, 0) / fps.length
+    );
+
+    const frames = delta("video", "framesDecoded");
+    const samples = delta("audio", "totalSamplesReceived");
+    return {
+      fpsStability: fps.length >= 3 && meanFps > 0 ? deviation / meanFps : null,
+      freezes:
+        video.freezeCount !== undefined ? delta("video", "freezeCount") : null,
+      frameDrops: video.frameDropRate ?? null,
+      packetLoss: video.packetLossRate ?? null,
+      jitter: video.jitter ?? null,
+      rtt: report.connection.rtt ?? null,
+      concealment:
+        samples > 0 && audio.concealedSamples !== undefined
+          ? (delta("audio", "concealedSamples") / samples) * 100
+          : null,
+      // Share of each frame's time slot spent decoding it
+      decodeLoad:
+        frames > 0 && meanFps > 0
+          ? (delta("video", "totalDecodeTime") / frames) * meanFps
+          : null,
+      keyFrameInterval: parseFloat(video.avgKeyFrameInterval) || null,
+      latency: report.latency ? report.latency.total : null,
+    };
+  }
+
+  // Likely causes in plain language, worst first:
+  // [{ id, level: "bad" | "warning" | "info", message, detail }]
+  diagnose(report, metrics) {
+    const findings = [];
+    const add = (id, level, message, detail) =>
+      findings.push({ id, level, message, detail });
+    const value = (name) => metrics[name] && metrics[name].value;
+    const level = (name) => (metrics[name] ? metrics[name].level : "good");
+    const worst = (...names) =>
+      names.some((name) => level(name) === "bad") ? "bad" : "warning";
+    const video = report.video;
+    const connection = report.connection;
+
+    // Dropped frames on a clean network are the decoder's
+    const overloaded =
+      level("decodeLoad") !== "good" ||
+      (level("frameDrops") !== "good" && level("packetLoss") === "good");
+    if (overloaded) {
+      const software =
+        video.powerEfficientDecoder === false ||
+        QUALITY_SOFTWARE_DECODERS.test(video.decoder || "");
+      add(
+        "decoder",
+        worst("decodeLoad", "frameDrops"),
+        software
+          ? "Decoder is falling behind — hardware decoding unavailable"
+          : "Decoder is falling behind",
+        software
+          ? `Video is decoded in software (${video.decoder}). Enable hardware acceleration in the browser, or publish a codec this device decodes in hardware.`
+          : "The device can't decode frames as fast as they arrive. Other tabs or apps may be using the CPU."
+      );
+    }
+
+    if (level("packetLoss") !== "good") {
+      add(
+        "packet-loss",
+        level("packetLoss"),
+        `Network is losing ${value("packetLoss").toFixed(1)}% of packets`,
+        "Lost packets show up as blocky video and freezes until the next keyframe. Wi-Fi interference or a congested link is the usual cause."
+      );
+    }
+
+    if (level("freezes") !== "good") {
+      add(
+        "freezes",
+        level("freezes"),
+        `Video froze ${value("freezes")} times in the last minute`,
+        "The picture stopped while waiting for frames. See the other findings for the cause."
+      );
+    }
+
+    if (level("keyFrameInterval") !== "good") {
+      add(
+        "keyframe-interval",
+        level("keyFrameInterval"),
+        `Keyframe interval too long (${value(
+          "keyFrameInterval"
+        )} s) — recovery slow`,
+        "After a lost packet the picture stays broken until the next keyframe. Set the encoder's keyframe interval (GOP) to 1-2 seconds."
+      );
+    }
+
+    if (level("jitter") !== "good") {
+      add(
+        "jitter",
+        level("jitter"),
+        `Packets arrive unevenly (jitter ${value("jitter").toFixed(0)} ms)`,
+        "The jitter buffer grows to smooth this out, which adds delay."
+      );
+    }
+
+    if (level("rtt") !== "good") {
+      add(
+        "rtt",
+        level("rtt"),
+        `Long round trip to the server (${value("rtt").toFixed(0)} ms)`,
+        "Lost packets take longer to resend. The server may be far away or the path congested."
+      );
+    }
+
+    if (level("fpsStability") !== "good" && !overloaded) {
+      add(
+        "fps-stability",
+        level("fpsStability"),
+        `Frame rate is unstable (varies by ${(
+          value("fpsStability") * 100
+        ).toFixed(0)}%)`,
+        "Frames arrive in bursts. The publisher's encoder or upload may be struggling."
+      );
+    }
+
+    if (level("concealment") !== "good") {
+      add(
+        "audio-concealment",
+        level("concealment"),
+        `Audio dropouts (${value("concealment").toFixed(1)}% concealed)`,
+        "Missing audio is being filled in by the browser, which sounds like crackles or robotic speech."
+      );
+    }
+
+    if (level("latency") !== "good") {
+      add(
+        "latency",
+        level("latency"),
+        `Playback is ${(value("latency") / 1000).toFixed(
+          1
+        )} s behind the source`,
+        "Press LIVE to catch up, or pick a lower latency mode."
+      );
+    }
+
+    if (
+      connection.localCandidateType === "relay" ||
+      connection.remoteCandidateType === "relay"
+    ) {
+      add(
+        "relay",
+        "info",
+        "TURN relay in use",
+        "A direct connection failed (firewall or symmetric NAT), so media goes through a relay server. This adds latency."
+      );
+    }
+
+    if (connection.protocol === "tcp") {
+      add(
+        "tcp",
+        "info",
+        "Media over TCP",
+        "UDP is blocked, so lost packets are resent in order and show up as delay spikes instead."
+      );
+    }
+
+    return findings.sort(
+      (a, b) =>
+        QUALITY_FINDING_ORDER.indexOf(a.level) -
+        QUALITY_FINDING_ORDER.indexOf(b.level)
+    );
+  }
+}
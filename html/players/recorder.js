@@ -0,0 +1,147 @@
+// recorder.js
+"use strict";
+
+// WebM first, MP4 for browsers without WebM recording (Safari)
+const RECORDER_MIME_TYPES = [
+  "video/webm;codecs=vp9,opus",
+  "video/webm;codecs=vp8,opus",
+  "video/webm",
+  "video/mp4;codecs=avc1,mp4a.40.2",
+  "video/mp4",
+];
+const RECORDER_TIMESLICE = 1000;
+
+function getRecorderMimeType() {
+  if (typeof MediaRecorder === "undefined") return null;
+  return (
+    RECORDER_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) ||
+    null
+  );
+}
+
+// MediaRecorder collecting the whole recording in memory. stop() resolves
+// with the finished Blob.
+class StreamRecorder {
+  constructor(stream) {
+    this.stream = stream;
+    this.mimeType = getRecorderMimeType();
+    this.extension =
+      this.mimeType && this.mimeType.includes("mp4") ? "mp4" : "webm";
+    this.recorder = null;
+    this.chunks = [];
+    this.size = 0;
+    this.startTime = null;
+  }
+
+  get isRecording() {
+    return !!this.recorder && this.recorder.state !== "inactive";
+  }
+
+  get elapsed() {
+    return this.startTime ? Date.now() - this.startTime : 0;
+  }
+
+  start() {
+    if (!this.mimeType) {
+      throw new Error("MediaRecorder is not supported in this browser");
+    }
+
+    if (this.isRecording) return;
+
+    this.chunks = [];
+    this.size = 0;
+    this.recorder = new MediaRecorder(this.stream, { mimeType: this.mimeType });
+    this.recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        this.chunks.push(event.data);
+        this.size += event.data.size;
+      }
+    };
+    this.recorder.start(RECORDER_TIMESLICE);
+    this.startTime = Date.now();
+  }
+
+  stop() {
+    if (!this.isRecording) {
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve) => {
+      this.recorder.onstop = () => {
+        const blob = new Blob(this.chunks, { type: this.mimeType });
+        this.chunks = [];
+        this.startTime = null;
+        resolve(blob);
+      };
+      this.recorder.stop();
+    });
+  }
+}
+
+// Instant replay. Chunks can't be dropped from the front of a recording (the
+// header and keyframes live there), so two recorders run staggered by the
+// buffer length and restart every two lengths. One of them always holds
+// between `seconds` and 2 * `seconds` of the most recent video.
+class ReplayBuffer {
+  constructor(stream, seconds) {
+    this.stream = stream;
+    this.duration = seconds * 1000;
+    this.recorders = [];
+    this.timers = [];
+  }
+
+  get extension() {
+    return this.recorders.length ? this.recorders[0].extension : "webm";
+  }
+
+  start() {
+    this.recorders = [
+      new StreamRecorder(this.stream),
+      new StreamRecorder(this.stream),
+    ];
+    this.recorders[0].start();
+    this.rotate(0);
+    this.timers.push(
+      setTimeout(() => {
+        this.recorders[1].start();
+        this.rotate(1);
+      }, this.duration)
+    );
+  }
+
+  rotate(index) {
+    this.timers[index] = setTimeout(async () => {
+      const recorder = this.recorders[index];
+      await recorder.stop();
+      // stop() on the whole buffer may have happened meanwhile
+      if (this.recorders[index] !== recorder) return;
+      recorder.start();
+      this.rotate(index);
+    }, this.duration * 2);
+  }
+
+  // The running recording that started at least `seconds` ago (or the
+  // oldest one while the buffer is still filling up). It restarts right away.
+  async save() {
+    const recorder = this.recorders
+      .filter((r) => r.isRecording)
+      .sort((a, b) => b.elapsed - a.elapsed)[0];
+    if (!recorder) return null;
+
+    const blob = await recorder.stop();
+    const index = this.recorders.indexOf(recorder);
+    if (index >= 0) {
+      clearTimeout(this.timers[index]);
+      recorder.start();
+      this.rotate(index);
+    }
+    return blob;
+  }
+
+  stop() {
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers = [];
+    this.recorders.forEach((recorder) => recorder.stop());
+    this.recorders = [];
+  }
+}
@@ -0,0 +1,411 @@
+// sdp.js
+"use strict";
+
+const SDP_DIRECTIONS = ["sendrecv", "sendonly", "recvonly", "inactive"];
+
+// { version, origin, name, timing, ...createSdpSection() fields,
+//   media: [{ kind, port, protocol, formats, codecs, ... }] }
+// Session-level attributes (BUNDLE groups, ICE, DTLS) are on the session;
+// media sections repeat them where the SDP does.
+function parseSdp(sdp) {
+  const session = createSdpSection();
+  session.media = [];
+  let section = session;
+
+  (sdp || "").split(/\r?\n/).forEach((line) => {
+    const type = line[0];
+    const value = line.slice(2);
+    if (line[1] !== "=") return;
+
+    switch (type) {
+      case "v":
+        session.version = parseInt(value);
+        break;
+      case "o": {
+        const [
+          username,
+          sessionId,
+          sessionVersion,
+          netType,
+          addrType,
+          address,
+        ] = value.split(" ");
+        session.origin = {
+          username,
+          sessionId,
+          sessionVersion: parseInt(sessionVersion),
+          netType,
+          addrType,
+          address,
+        };
+        break;
+      }
+      case "s":
+        session.name = value;
+        break;
+      case "t":
+        session.timing = value;
+        break;
+      case "c":
+        section.connection = value;
+        break;
+      case "b":
+        section.bandwidth.push(value);
+        break;
+      case "m": {
+        const [kind, port, protocol, ...formats] = value.split(" ");
+        section = createSdpSection();
+        Object.assign(section, {
+          kind,
+          port: parseInt(port),
+          protocol,
+          formats,
+        });
+        session.media.push(section);
+        break;
+      }
+      case "a":
+        parseSdpAttribute(section, value);
+        break;
+    }
+  });
+
+  // Codecs in the order of the m= line, which is the order of preference
+  session.media.forEach((media) => {
+    media.codecs = media.formats.map(
+      (pt) =>
+        media.codecs.find((codec) => codec.payloadType === pt) ||
+        createSdpCodec(pt)
+    );
+  });
+  return session;
+}
+
+function createSdpSection() {
+  return {
+    mid: null,
+    direction: null,
+    connection: null,
+    bandwidth: [],
+    codecs: [],
+    extmaps: [],
+    candidates: [],
+    fingerprints: [],
+    groups: [],
+    ssrcs: [],
+    ssrcGroups: [],
+    setup: null,
+    iceUfrag: null,
+    icePwd: null,
+    iceOptions: null,
+    iceLite: false,
+    endOfCandidates: false,
+    rtcpMux: false,
+    rtcpRsize: false,
+    msid: null,
+    msidSemantic: null,
+    extmapAllowMixed: false,
+    framerate: null,
+    // Everything not parsed into the fields above, as [name, value]
+    other: [],
+  };
+}
+
+// Static payload types (e.g. 0 for PCMU) may come without an rtpmap
+function createSdpCodec(pt) {
+  return {
+    payloadType: pt,
+    name: null,
+    clockRate: null,
+    channels: null,
+    fmtp: null,
+    params: {},
+    rtcpFb: [],
+  };
+}
+
+function getSdpCodec(section, pt) {
+  let codec = section.codecs.find((c) => c.payloadType === pt);
+  if (!codec) {
+    codec = createSdpCodec(pt);
+    section.codecs.push(codec);
+  }
+  return codec;
+}
+
+function parseSdpAttribute(section, attribute) {
+  const colon = attribute.indexOf(":");
+  const name = colon < 0 ? attribute : attribute.slice(0, colon);
+  const value = colon < 0 ? null : attribute.slice(colon + 1);
+
+  if (SDP_DIRECTIONS.includes(name)) {
+    section.direction = name;
+    return;
+  }
+
+  switch (name) {
+    case "mid":
+      section.mid = value;
+      break;
+    case "rtpmap": {
+      const [pt, encoding] = value.split(" ");
+      const [codecName, clockRate, channels] = encoding.split("/");
+      Object.assign(getSdpCodec(section, pt), {
+        name: codecName,
+        clockRate: parseInt(clockRate),
+        channels: channels ? parseInt(channels) : null,
+      });
+      break;
+    }
+    case "fmtp": {
+      const space = value.indexOf(" ");
+      if (space < 0) break;
+      const codec = getSdpCodec(section, value.slice(0, space));
+      codec.fmtp = value.slice(space + 1);
+      codec.fmtp.split(";").forEach((param) => {
+        const [key, ...rest] = param.trim().split("=");
+        if (key) codec.params[key] = rest.join("=");
+      });
+      break;
+    }
+    case "rtcp-fb": {
+      const space = value.indexOf(" ");
+      if (space < 0) break;
+      const pt = value.slice(0, space);
+      const feedback = value.slice(space + 1);
+      // "*" applies to every codec of the section
+      if (pt === "*") {
+        section.other.push([name, value]);
+      } else {
+        getSdpCodec(section, pt).rtcpFb.push(feedback);
+      }
+      break;
+    }
+    case "extmap": {
+      const [id, uri, ...attributes] = value.split(" ");
+      const [number, direction] = id.split("/");
+      section.extmaps.push({
+        id: parseInt(number),
+        direction: direction || null,
+        uri,
+        attributes: attributes.join(" ") || null,
+      });
+      break;
+    }
+    case "candidate":
+      section.candidates.push(parseSdpCandidate(value));
+      break;
+    case "end-of-candidates":
+      section.endOfCandidates = true;
+      break;
+    case "fingerprint": {
+      const [hash, fingerprint] = value.split(" ");
+      section.fingerprints.push({ hash, fingerprint });
+      break;
+    }
+    case "setup":
+      section.setup = value;
+      break;
+    case "group": {
+      const [semantics, ...mids] = value.split(" ");
+      section.groups.push({ semantics, mids });
+      break;
+    }
+    case "ice-ufrag":
+      section.iceUfrag = value;
+      break;
+    case "ice-pwd":
+      section.icePwd = value;
+      break;
+    case "ice-options":
+      section.iceOptions = value;
+      break;
+    case "ice-lite":
+      section.iceLite = true;
+      break;
+    case "rtcp-mux":
+      section.rtcpMux = true;
+      break;
+    case "rtcp-rsize":
+      section.rtcpRsize = true;
+      break;
+    case "msid":
+      section.msid = value;
+      break;
+    case "msid-semantic":
+      section.msidSemantic = value.trim();
+      break;
+    case "extmap-allow-mixed":
+      section.extmapAllowMixed = true;
+      break;
+    case "framerate":
+      section.framerate = parseFloat(value);
+      break;
+    case "ssrc": {
+      const space = value.indexOf(" ");
+      const [key, ...rest] = value.slice(space + 1).split(":");
+      section.ssrcs.push({
+        id: value.slice(0, space),
+        attribute: key,
+        value: rest.join(":") || null,
+      });
+      break;
+    }
+    case "ssrc-group": {
+      const [semantics, ...ssrcs] = value.split(" ");
+      section.ssrcGroups.push({ semantics, ssrcs });
+      break;
+    }
+    default:
+      section.other.push([name, value]);
+  }
+}
+
+// a=candidate:<foundation> <component> <protocol> <priority> <address>
+// <port> typ <type> [raddr <address> rport <port>] [<key> <value>]...
+function parseSdpCandidate(value) {
+  const [foundation, component, protocol, priority, address, port, ...rest] =
+    value.split(" ");
+  const candidate = {
+    foundation,
+    component: parseInt(component),
+    protocol: protocol.toLowerCase(),
+    priority: parseInt(priority),
+    address,
+    port: parseInt(port),
+    type: null,
+    relatedAddress: null,
+    relatedPort: null,
+    tcpType: null,
+  };
+  for (let i = 0; i < rest.length - 1; i += 2) {
+    const key = rest[i];
+    const keyValue = rest[i + 1];
+    if (key === "typ") candidate.type = keyValue;
+    else if (key === "raddr") candidate.relatedAddress = keyValue;
+    else if (key === "rport") candidate.relatedPort = parseInt(keyValue);
+    else if (key === "tcptype") candidate.tcpType = keyValue;
+  }
+  return candidate;
+}
+
+// "H264/90000" etc. and the H.264 packetization mode and profile, which have
+// to match for the answer to pick the offered format. The level may differ.
+function getSdpCodecKey(codec) {
+  let key = `${(codec.name || codec.payloadType).toLowerCase()}/${
+    codec.clockRate
+  }/${codec.channels || 1}`;
+  if ((codec.name || "").toLowerCase() === "h264") {
+    key += `/${codec.params["packetization-mode"] || 0}/${(
+      codec.params["profile-level-id"] || ""
+    )
+      .slice(0, 4)
+      .toLowerCase()}`;
+  }
+  return key;
+}
+
+// The answer's codec for an offered one. Retransmission (rtx) formats match
+// when the codecs they repeat (apt) do.
+function findSdpCodec(answered, offered, codec) {
+  const key = getSdpCodecKey(codec);
+  const apt = codec.params.apt;
+  if (!apt) {
+    return (
+      answered.codecs.find((c) => c.name && getSdpCodecKey(c) === key) || null
+    );
+  }
+
+  const original = offered.codecs.find((c) => c.payloadType === apt);
+  const repeated = original && findSdpCodec(answered, offered, original);
+  if (!repeated) return null;
+  return (
+    answered.codecs.find(
+      (c) => getSdpCodecKey(c) === key && c.params.apt === repeated.payloadType
+    ) || null
+  );
+}
+
+// What the answer kept of the offer, per offered media section:
+// [{ mid, kind, rejected, direction: { offer, answer },
+//    codecs: [{ offer, answer, negotiated, rtcpFb: [{ value, negotiated }] }],
+//    extmaps: [{ offer, answer, negotiated }] }]
+function diffSdp(offer, answer) {
+  return offer.media.map((offered, index) => {
+    const answered =
+      answer.media.find((media) => offered.mid && media.mid === offered.mid) ||
+      answer.media[index] ||
+      null;
+    const rejected = !answered || answered.port === 0;
+
+    const codecs = offered.codecs.map((codec) => {
+      const match = rejected ? null : findSdpCodec(answered, offered, codec);
+      return {
+        offer: codec,
+        answer: match,
+        negotiated: !!match,
+        rtcpFb: codec.rtcpFb.map((value) => ({
+          value,
+          negotiated: !!match && match.rtcpFb.includes(value),
+        })),
+      };
+    });
+
+    const extmaps = offered.extmaps.map((extmap) => {
+      const match = rejected
+        ? null
+        : answered.extmaps.find((e) => e.uri === extmap.uri) || null;
+      return { offer: extmap, answer: match, negotiated: !!match };
+    });
+
+    return {
+      mid: offered.mid,
+      kind: offered.kind,
+      rejected,
+      direction: {
+        offer: offered.direction || "sendrecv",
+        answer: answered ? answered.direction || "sendrecv" : null,
+      },
+      codecs,
+      extmaps,
+    };
+  });
+}
+
+// The fields extractVideoParams() reports, from the first (negotiated) video
+// codec of an answer
+function getSdpVideoParams(session) {
+  const params = {};
+  const video = session.media.find(
+    (media) => media.kind === "video" && media.port !== 0
+  );
+  if (!video) return params;
+
+  const codec = video.codecs.find((c) => c.name);
+  if (video.framerate) {
+    params.framerate = video.framerate;
+  }
+  if (!codec) return params;
+
+  params.codec = `${codec.name}/${codec.clockRate}`;
+  const fmtp = codec.params;
+  if (fmtp["max-fr"]) {
+    params.maxFramerate = parseInt(fmtp["max-fr"]);
+  }
+  if (fmtp["profile-level-id"]) {
+    params.profileLevelId = fmtp["profile-level-id"];
+  }
+  if (fmtp["profile-id"]) {
+    params.h265ProfileId = parseInt(fmtp["profile-id"]);
+  }
+  if (fmtp["level-id"]) {
+    params.levelId = parseInt(fmtp["level-id"]);
+  }
+  if (fmtp["tier-flag"]) {
+    params.tierFlag = parseInt(fmtp["tier-flag"]);
+  }
+  if (fmtp["tx-mode"]) {
+    params.txMode = fmtp["tx-mode"];
+  }
+  return params;
+}
@@ -0,0 +1,71 @@
+// srs-api.js
+"use strict";
+
+// SRS returns 10 streams per page by default
+const SRS_API_PAGE_SIZE = 100;
+const SRS_API_TIMEOUT = 5000;
+
+// Client for the SRS HTTP API (http_api in rtc.conf). Rejects when the server
+// can't be reached, so callers can tell "server down" from "stream offline".
+// @see https://ossrs.io/lts/en-us/docs/v6/doc/http-api
+class SrsApi {
+  constructor(baseUrl = SRS_API_BASE) {
+    this.baseUrl = baseUrl;
+  }
+
+  async request(path) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), SRS_API_TIMEOUT);
+
+    try {
+      const response = await fetch(`${this.baseUrl}${path}`, {
+        signal: controller.signal,
+      });
+      if (!response.ok) {
+        const error = new Error(
+          `SRS API request failed: ${response.status} ${response.statusText}`
+        );
+        error.status = response.status;
+        throw error;
+      }
+
+      const data = await response.json();
+      if (data.code !== 0) {
+        throw new Error(`SRS API error code ${data.code}`);
+      }
+      return data;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async getStreams() {
+    const data = await this.request(
+      `/api/v1/streams/?count=${SRS_API_PAGE_SIZE}`
+    );
+    return data.streams || [];
+  }
+
+  async getClients() {
+    const data = await this.request(
+      `/api/v1/clients/?count=${SRS_API_PAGE_SIZE}`
+    );
+    return data.clients || [];
+  }
+
+  async getVhosts() {
+    const data = await this.request("/api/v1/vhosts/");
+    return data.vhosts || [];
+  }
+
+  async getStream(app, stream) {
+    const streams = await this.getStreams();
+    return streams.find((s) => s.app === app && s.name === stream) || null;
+  }
+
+  // "online" while someone publishes app/stream, "offline" otherwise
+  async getStreamStatus(app, stream) {
+    const info = await this.getStream(app, stream);
+    return info && info.publish && info.publish.active ? "online" : "offline";
+  }
+}
@@ -0,0 +1,318 @@
+// telemetry.js
+"use strict";
+
+// Bumped when a field changes meaning or goes away (docs/telemetry.schema.json)
+const TELEMETRY_SCHEMA_VERSION = 1;
+const TELEMETRY_FLUSH_INTERVAL = 10000;
+const TELEMETRY_STATS_INTERVAL = 10000;
+// Queued events beyond this are sent right away
+const TELEMETRY_BATCH_SIZE = 50;
+// Events kept while the collector is unreachable; the oldest are dropped
+const TELEMETRY_MAX_QUEUE = 1000;
+const TELEMETRY_RETRY_BASE_DELAY = 2000;
+const TELEMETRY_RETRY_MAX_DELAY = 60000;
+// parseStats() fields in the "stats" summary: averaged over the interval, or
+// the latest value
+const TELEMETRY_STATS_FIELDS = {
+  "video.bitrate": "avg",
+  "video.fps": "avg",
+  "video.videoFrameCallbackFps": "avg",
+  "video.packetLossRate": "avg",
+  "video.frameDropRate": "avg",
+  "video.jitter": "avg",
+  "video.jitterBufferDelay": "avg",
+  "video.resolution": "last",
+  "video.framesDecoded": "last",
+  "video.framesDropped": "last",
+  "video.packetsLost": "last",
+  "video.pliCount": "last",
+  "video.nackCount": "last",
+  "audio.bitrate": "avg",
+  "audio.packetLossRate": "avg",
+  "audio.jitter": "avg",
+  "audio.concealmentEvents": "last",
+  "connection.rtt": "avg",
+  "connection.availableBitrate": "avg",
+  "connection.protocol": "last",
+  "connection.localCandidateType": "last",
+  "connection.remoteCandidateType": "last",
+  "codecs.video": "last",
+  "codecs.audio": "last",
+  "latency.total": "avg",
+  "latency.source": "last",
+  "quality.score": "avg",
+  "quality.level": "last",
+};
+
+function createTelemetryId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+// Opt-in QoE telemetry for one player session: listens to the player's
+// events and posts them in batches to a collector. Bodies are JSON sent as
+// text/plain, which keeps cross-origin posts free of CORS preflights and lets
+// sendBeacon() deliver the last batch when the page goes away.
+class TelemetryClient {
+  // options: sampleRate (0-1 of sessions reported), flushInterval,
+  //          statsInterval
+  constructor(player, url, options = {}) {
+    this.player = player;
+    this.url = url;
+    this.sampleRate = options.sampleRate ?? 1;
+    this.flushInterval = options.flushInterval || TELEMETRY_FLUSH_INTERVAL;
+    this.statsInterval = options.statsInterval || TELEMETRY_STATS_INTERVAL;
+    this.abortController = new AbortController();
+    this.queue = [];
+    this.sending = false;
+    this.failures = 0;
+    this.retryAt = 0;
+    this.dropped = 0;
+    this.batch = 0;
+    this.reports = [];
+    this.lastSummary = 0;
+    this.session = null;
+
+    this.setupEventListeners();
+    this.flushTimer = setInterval(() => this.flush(), this.flushInterval);
+    this.start();
+  }
+
+  get sampled() {
+    return !!this.session && this.session.sampled;
+  }
+
+  // A session covers one stream from the player's start (or a page restored
+  // from the back/forward cache) until it switches streams or goes away
+  start() {
+    const { options } = this.player;
+    this.session = {
+      id: createTelemetryId(),
+      startTime: Date.now(),
+      sampled: Math.random() < this.sampleRate,
+      stream: {
+        app: options.app,
+        stream: options.stream,
+        protocol: options.protocol,
+        url: options.url || null,
+      },
+    };
+    this.batch = 0;
+    this.reports = [];
+    this.lastSummary = Date.now();
+    this.record("session_start", {
+      latencyMode: this.player.state.latencyMode,
+      autoplay: !!options.autoplay,
+    });
+  }
+
+  end(reason) {
+    if (!this.session) return;
+
+    this.summarizeStats();
+    this.record("session_end", {
+      reason,
+      duration: Date.now() - this.session.startTime,
+    });
+  }
+
+  // Ends the session and sends what's left
+  close(reason = "closed") {
+    this.end(reason);
+    this.flush(true);
+    this.session = null;
+    this.abortController.abort();
+    clearInterval(this.flushTimer);
+  }
+
+  setupEventListeners() {
+    const signal = this.abortController.signal;
+    const on = (type, handler) =>
+      this.player.addEventListener(type, (e) => handler(e.detail || {}), {
+        signal,
+      });
+
+    on("connected", () => this.record("state", { state: "connected" }));
+    on("disconnected", ({ reason }) =>
+      this.record("state", { state: "disconnected", reason })
+    );
+    on("stalled", ({ reason }) =>
+      this.record("state", { state: "stalled", reason })
+    );
+    on("resumed", ({ reason, duration }) =>
+      this.record("state", { state: "resumed", reason, duration })
+    );
+    on("waiting", ({ status }) =>
+      this.record("state", { state: "waiting", reason: status })
+    );
+    on("reconnecting", ({ attempt, maxAttempts, delay }) =>
+      this.record("reconnect", {
+        attempt,
+        // Infinity isn't JSON
+        maxAttempts: isFinite(maxAttempts) ? maxAttempts : null,
+        delay,
+      })
+    );
+    on("error", ({ error, message }) =>
+      this.record("error", {
+        message,
+        name: (error && error.name) || null,
+      })
+    );
+    on("codec", ({ codec }) => this.record("codec", { codec }));
+    on("stats", (report) => this.addStats(report));
+
+    // The last batch has to leave before the page does
+    window.addEventListener(
+      "pagehide",
+      () => {
+        this.end("pagehide");
+        this.flush(true);
+        this.session = null;
+      },
+      { signal }
+    );
+    window.addEventListener(
+      "pageshow",
+      (e) => {
+        if (e.persisted && !this.session) this.start();
+      },
+      { signal }
+    );
+    document.addEventListener(
+      "visibilitychange",
+      () => {
+        if (document.visibilityState === "hidden") this.flush(true);
+      },
+      { signal }
+    );
+  }
+
+  record(type, data = {}) {
+    if (!this.sampled) return;
+
+    this.queue.push({ type, time: Date.now(), ...data });
+    this.trimQueue();
+    if (this.queue.length >= TELEMETRY_BATCH_SIZE) {
+      this.flush();
+    }
+  }
+
+  trimQueue() {
+    const excess = this.queue.length - TELEMETRY_MAX_QUEUE;
+    if (excess > 0) {
+      this.queue.splice(0, excess);
+      this.dropped += excess;
+    }
+  }
+
+  addStats(report) {
+    if (!this.sampled) return;
+
+    this.reports.push(report);
+    if (Date.now() - this.lastSummary >= this.statsInterval) {
+      this.summarizeStats();
+    }
+  }
+
+  // One "stats" event for the reports since the last one
+  summarizeStats() {
+    const reports = this.reports;
+    this.reports = [];
+    this.lastSummary = Date.now();
+    if (!reports.length) return;
+
+    const summary = { samples: reports.length };
+    Object.entries(TELEMETRY_STATS_FIELDS).forEach(([field, mode]) => {
+      const [section, name] = field.split(".");
+      const values = reports
+        .map((report) => (report[section] || {})[name])
+        .filter((value) => value !== undefined && value !== null);
+      if (!values.length) return;
+
+      const numbers = values.filter(
+        (value) => typeof value === "number" && isFinite(value)
+      );
+      const value =
+        mode === "avg" && numbers.length
+          ? numbers.reduce((sum, v) => sum + v, 0) / numbers.length
+          : values[values.length - 1];
+      summary[section] = summary[section] || {};
+      summary[section][name] = value;
+    });
+    this.record("stats", summary);
+  }
+
+  getPayload(events) {
+    this.batch++;
+    const payload = {
+      schema: TELEMETRY_SCHEMA_VERSION,
+      sessionId: this.session ? this.session.id : null,
+      batch: this.batch,
+      sentAt: Date.now(),
+      client: {
+        userAgent: navigator.userAgent,
+        page: redactToken(location.href),
+      },
+      stream: this.session ? this.session.stream : null,
+      dropped: this.dropped,
+      events,
+    };
+    this.dropped = 0;
+    return JSON.stringify(payload);
+  }
+
+  // final: the page may be going away, so use sendBeacon() and don't wait
+  // for the backoff
+  flush(final = false) {
+    if (!this.queue.length || this.sending) return;
+    if (!final && Date.now() < this.retryAt) return;
+
+    const events = this.queue.splice(0, TELEMETRY_BATCH_SIZE);
+    const body = this.getPayload(events);
+
+    if (final && navigator.sendBeacon) {
+      const queued = navigator.sendBeacon(
+        this.url,
+        new Blob([body], { type: "text/plain" })
+      );
+      if (queued) {
+        if (this.queue.length) this.flush(true);
+        return;
+      }
+    }
+
+    this.sending = true;
+    fetch(this.url, {
+      method: "POST",
+      headers: { "Content-Type": "text/plain" },
+      body,
+      keepalive: true,
+    })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        this.failures = 0;
+        this.retryAt = 0;
+      })
+      .catch((error) => {
+        // Back off and send these again first
+        this.failures++;
+        this.retryAt =
+          Date.now() +
+          Math.min(
+            TELEMETRY_RETRY_BASE_DELAY * 2 ** (this.failures - 1),
+            TELEMETRY_RETRY_MAX_DELAY
+          );
+        this.queue.unshift(...events);
+        this.trimQueue();
+        console.warn("Telemetry post failed:", error);
+      })
+      .finally(() => {
+        this.sending = false;
+      });
+  }
+}
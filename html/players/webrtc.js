@@ -3,19 +3,352 @@
 
 // Constants
 const ZOOM_MIN = 1;
+// Default for the maxZoom option
 const ZOOM_MAX = 3;
-const ZOOM_STEP = 0.25;
+// Zoom factor of a button press, key or mouse wheel notch
+const ZOOM_STEP = 1.25;
+// Zooms within this of ZOOM_MIN snap back to it
+const ZOOM_SNAP = 0.02;
+// Wheel distance (px) zooming by one ZOOM_STEP. Trackpad pinches send many
+// small deltas; mouse wheel notches are capped to one step.
+const WHEEL_ZOOM_DISTANCE = 50;
+const WHEEL_LINE_HEIGHT = 16;
+// A released pan keeps gliding at the speed of the last PAN_VELOCITY_WINDOW
+// ms, losing PAN_FRICTION of it per 16 ms frame until below
+// PAN_MIN_VELOCITY (px/ms)
+const PAN_VELOCITY_WINDOW = 100;
+const PAN_FRICTION = 0.05;
+const PAN_MIN_VELOCITY = 0.02;
+// Named zoom views, per app/stream. Number keys 1-9 go to the first nine.
+const PRESETS_KEY = "webrtc-player-presets";
+const PRESET_ANIMATION_DURATION = 800;
+// Seconds per view of the tour when the tour option isn't set
+const TOUR_INTERVAL = 10;
+const MINIMAP_WIDTH = 160;
+const MINIMAP_UPDATE_INTERVAL = 1000;
 const DEBUG_UPDATE_INTERVAL = 1000;
-const RECONNECT_DELAY = 3000;
-const MAX_RECONNECT_ATTEMPTS = 5;
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+// Unattended displays keep retrying until the stream is back
+const MAX_RECONNECT_ATTEMPTS = Infinity;
+const ICE_RESTART_TIMEOUT = 5000;
+const STALL_TIMEOUT = 3000;
+const STALL_RECOVERY_TIMEOUT = 10000;
+const FROZEN_TIMEOUT = 15000;
+const FROZEN_THRESHOLD = 1;
+const OFFLINE_POLL_INTERVAL = 3000;
+// Time a session opened in the background gets to show its first frame
+// before the switch to it is abandoned
+const SWITCH_TIMEOUT = 10000;
+// Initial width of the Document Picture-in-Picture window; the height
+// follows the video's aspect ratio
+const PIP_WIDTH = 480;
+const LAST_SEEN_KEY = "webrtc-player-last-seen";
+// Tokens entered on the sign-in screen, per app/stream
+const TOKENS_KEY = "webrtc-player-tokens";
+const LATENCY_CALIBRATION_INTERVAL = 500;
+// estimatedPlayoutTimestamp is NTP time (since 1900)
+const NTP_EPOCH_OFFSET = 2208988800000;
+// Jitter buffer target per latency mode (ms). The browser still grows the
+// buffer when the network needs it, and shrinks it back towards the target.
+const LATENCY_MODES = {
+  "ultra-low": { label: "Ultra-low", target: 0 },
+  low: { label: "Low", target: 150 },
+  smooth: { label: "Smooth", target: 600 },
+};
+const DEFAULT_LATENCY_MODE = "low";
+// Jitter buffer above target + tolerance for this many stats samples in a
+// row means the player drifted behind live
+const LATENCY_DRIFT_TOLERANCE = 300;
+const LATENCY_DRIFT_SAMPLES = 3;
+const LATENCY_CATCHUP_RATE = 1.1;
+// Time "jump to live" gives the browser to drain the buffer before starting
+// a fresh session
+const LATENCY_FLUSH_TIMEOUT = 3000;
 const STATS_HISTORY_SIZE = 60;
+// Quality thresholds per metric: `good` or better is good, worse than `bad`
+// is bad, anything between is a warning. Higher is better where good > bad.
+// The qualityThresholds option overrides any of them.
+const QUALITY_THRESHOLDS = {
+  fps: { good: 55, bad: 30 },
+  // Standard deviation of the frame rate over its mean
+  fpsStability: { good: 0.05, bad: 0.2 },
+  // Per minute
+  freezes: { good: 0, bad: 3 },
+  frameDrops: { good: 1, bad: 5 },
+  packetLoss: { good: 1, bad: 5 },
+  jitter: { good: 30, bad: 100 },
+  rtt: { good: 50, bad: 150 },
+  // Share of audio samples concealed (%)
+  concealment: { good: 1, bad: 5 },
+  // Share of each frame's time slot spent decoding it
+  decodeLoad: { good: 0.5, bad: 0.9 },
+  // Seconds
+  keyFrameInterval: { good: 2, bad: 5 },
+  latency: { good: 500, bad: 1000 },
+  // Composite QoE score (qoe.js)
+  score: { good: 80, bad: 50 },
+};
+// Series offered in the debug panel's Charts tab (metrics.js columns)
+const CHART_SERIES = [
+  {
+    column: "video.bitrate",
+    label: "Video bitrate",
+    color: "#4caf50",
+    unit: "bps",
+  },
+  {
+    column: "video.packetLossRate",
+    label: "Packet loss",
+    color: "#f44336",
+    unit: "%",
+  },
+  {
+    column: "video.videoFrameCallbackFps",
+    label: "FPS",
+    color: "#2196f3",
+    unit: "fps",
+  },
+  {
+    column: "audio.bitrate",
+    label: "Audio bitrate",
+    color: "#8bc34a",
+    unit: "bps",
+  },
+  { column: "latency.total", label: "Latency", color: "#ff9800", unit: "ms" },
+  {
+    column: "video.jitterBufferDelay",
+    label: "Jitter buffer",
+    color: "#ffeb3b",
+    unit: "ms",
+  },
+  { column: "video.jitter", label: "Jitter", color: "#9c27b0", unit: "ms" },
+  { column: "connection.rtt", label: "RTT", color: "#00bcd4", unit: "ms" },
+  {
+    column: "video.frameDropRate",
+    label: "Frame drops",
+    color: "#e91e63",
+    unit: "%",
+  },
+  { column: "quality.score", label: "QoE score", color: "#ffffff", unit: "" },
+];
+// Health tab names of the QoE metrics (qoe.js)
+const QUALITY_LABELS = {
+  fpsStability: "FPS Stability",
+  freezes: "Freezes",
+  frameDrops: "Frame Drops",
+  packetLoss: "Packet Loss",
+  jitter: "Jitter",
+  rtt: "RTT",
+  concealment: "Audio Concealment",
+  decodeLoad: "Decode Load",
+  keyFrameInterval: "Keyframe Interval",
+  latency: "Latency",
+};
+const DEFAULT_CHART_SERIES = [
+  "video.bitrate",
+  "video.packetLossRate",
+  "video.videoFrameCallbackFps",
+];
+
+// The app/stream a page URL's query names
+function getQueryStream(query) {
+  return {
+    app: query.get("app") || "live",
+    stream: query.get("stream") || "livestream",
+  };
+}
 
 const params = new URLSearchParams(location.search);
-const app = params.get("app") || "live";
-const stream = params.get("stream") || "livestream";
+const { app, stream } = getQueryStream(params);
 const WEBRTC_URL = `webrtc://${location.hostname}/${app}/${stream}`;
 
-// RTC Configuration with STUN servers
+// Signaling protocol: "srs" (SrsRtcPlayerAsync) or "whep"
+const PROTOCOL = params.get("protocol") === "whep" ? "whep" : "srs";
+// Same API host the SRS SDK would use: port 1985, or the reverse proxy on https
+const SRS_API_BASE = `${location.protocol}//${
+  location.protocol === "https:" ? location.host : `${location.hostname}:1985`
+}`;
+
+function parseReconnectAttempts(value) {
+  if (value === "unlimited") return Infinity;
+  const attempts = parseInt(value);
+  return attempts >= 0 ? attempts : MAX_RECONNECT_ATTEMPTS;
+}
+
+// ?reconnect=5 gives up after that many attempts and asks for a refresh;
+// unlimited (the default) never does
+const RECONNECT_ATTEMPTS = parseReconnectAttempts(params.get("reconnect"));
+
+// ?ice=stun:host:3478,turn:host:3478 (or "none"), with ?ice_username and
+// ?ice_credential for the TURN servers. Anything but stun:, turn: and turns:
+// URLs is dropped.
+function parseIceServers(query) {
+  const value = query.get("ice");
+  if (!value) return null;
+  if (value === "none") return [];
+
+  const username = query.get("ice_username");
+  const credential = query.get("ice_credential");
+  return value
+    .split(",")
+    .map((url) => url.trim())
+    .filter((url) => {
+      if (/^(stun|turns?):[^\s<>"']+$/.test(url)) return true;
+      if (url) console.warn(`Ignoring ICE server "${url}"`);
+      return false;
+    })
+    .map((url) =>
+      /^turns?:/.test(url) && username
+        ? { urls: url, username, credential }
+        : { urls: url }
+    );
+}
+
+// VIDEO_CODECS keys from "h265,h264" ("hevc" and "avc" work too)
+function parseCodecs(value) {
+  const aliases = { hevc: "h265", avc: "h264" };
+  const codecs = (value || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .map((name) => aliases[name] || name)
+    .filter((name) => VIDEO_CODECS[name]);
+  return [...new Set(codecs)];
+}
+
+// The offer's video section with only the given codecs (in that order),
+// their retransmission payloads and FEC. For browsers without
+// RTCRtpTransceiver.setCodecPreferences().
+function filterVideoCodecs(sdp, mimeTypes) {
+  const names = mimeTypes.map((mimeType) =>
+    mimeType.split("/")[1].toLowerCase()
+  );
+  const extras = NON_MEDIA_CODECS.map((mimeType) =>
+    mimeType.split("/")[1].toLowerCase()
+  );
+  const lines = sdp.split("\r\n");
+  const start = lines.findIndex((line) => line.startsWith("m=video"));
+  if (start < 0) return sdp;
+  let end = lines.findIndex((line, i) => i > start && line.startsWith("m="));
+  if (end < 0) end = lines.length;
+
+  const section = lines.slice(start, end);
+  const codecs = {};
+  const apt = {};
+  section.forEach((line) => {
+    const rtpmap = /^a=rtpmap:(\d+) ([^/]+)/.exec(line);
+    if (rtpmap) codecs[rtpmap[1]] = rtpmap[2].toLowerCase();
+    const fmtp = /^a=fmtp:(\d+) apt=(\d+)/.exec(line);
+    if (fmtp) apt[fmtp[1]] = fmtp[2];
+  });
+
+  const payloads = section[0].split(" ").slice(3);
+  const kept = names.flatMap((name) =>
+    payloads.filter((pt) => codecs[pt] === name)
+  );
+  if (!kept.length) return sdp;
+  payloads.forEach((pt) => {
+    if (!extras.includes(codecs[pt])) return;
+    if (codecs[pt] === "rtx" && !kept.includes(apt[pt])) return;
+    kept.push(pt);
+  });
+
+  const filtered = section.filter((line) => {
+    const pt = /^a=(?:rtpmap|fmtp|rtcp-fb):(\d+)/.exec(line);
+    return !pt || kept.includes(pt[1]);
+  });
+  filtered[0] = [...section[0].split(" ").slice(0, 3), ...kept].join(" ");
+
+  return [...lines.slice(0, start), ...filtered, ...lines.slice(end)].join(
+    "\r\n"
+  );
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// url with the access token added to its query, where SRS passes it on to
+// the on_play hook as `param`
+function withToken(url, token) {
+  if (!token) return url;
+  const separator = url.includes("?") ? "&" : "?";
+  return `${url}${separator}token=${encodeURIComponent(token)}`;
+}
+
+// href without the access token, for exports and telemetry
+function redactToken(href) {
+  try {
+    const url = new URL(href);
+    if (url.searchParams.has("token")) {
+      url.searchParams.set("token", "redacted");
+    }
+    return url.href;
+  } catch (error) {
+    return href;
+  }
+}
+
+// "good", "warning" or "bad" for a value against { good, bad } thresholds
+function getQualityLevel(value, limits) {
+  const higherIsBetter = limits.good > limits.bad;
+  if (higherIsBetter ? value >= limits.good : value <= limits.good) {
+    return "good";
+  }
+  if (higherIsBetter ? value >= limits.bad : value <= limits.bad) {
+    return "warning";
+  }
+  return "bad";
+}
+
+// Events dispatched by WebRTCPlayer (event.detail in parentheses):
+//   connected ({ app, stream }), disconnected ({ app, stream, reason }),
+//   reconnecting ({ attempt, maxAttempts, delay }), stats (parseStats() report),
+//   error ({ error, message }), codec ({ codec, params }),
+//   stalled ({ reason: "no-packets" | "no-frames" | "frozen" }),
+//   resumed ({ reason, duration }),
+//   waiting ({ app, stream, status: "offline" | "unreachable", lastSeen }),
+//   quality ({ score, level, metrics, diagnosis }, when the level changes),
+//   unauthorized ({ app, stream, reason: "required" | "denied" }),
+//   rendition ({ stream, label, previous, reason })
+const PLAYER_EVENTS = [
+  "connected",
+  "disconnected",
+  "reconnecting",
+  "stats",
+  "error",
+  "codec",
+  "stalled",
+  "resumed",
+  "waiting",
+  "quality",
+  "unauthorized",
+  "rendition",
+];
+
+// Video codecs the player can ask the server for (?codec=h265,h264), in the
+// order the codec selector lists them
+const VIDEO_CODECS = {
+  h264: { mimeType: "video/H264", label: "H.264" },
+  h265: { mimeType: "video/H265", label: "H.265" },
+  vp8: { mimeType: "video/VP8", label: "VP8" },
+  vp9: { mimeType: "video/VP9", label: "VP9" },
+  av1: { mimeType: "video/AV1", label: "AV1" },
+};
+// Codecs listed by getCapabilities() that are not selectable video codecs
+const NON_MEDIA_CODECS = [
+  "video/rtx",
+  "video/red",
+  "video/ulpfec",
+  "video/flexfec-03",
+];
+
+// RTC Configuration with STUN servers. ice.js replaces the servers with the
+// page's own (ice.json, URL params, TURN REST credentials).
 const RTC_CONFIG = {
   iceServers: [
     { urls: "stun:stun.l.google.com:19302" },
@@ -27,20 +360,337 @@ const RTC_CONFIG = {
   sdpSemantics: "unified-plan",
 };
 
+// Player markup rendered into an empty container
+const PLAYER_TEMPLATE = `
+  <video class="video" autoplay playsinline muted></video>
+
+  <div class="loading">
+    <div class="spinner"></div>
+  </div>
+
+  <div class="waiting">
+    <div class="waiting-title">Waiting for broadcast…</div>
+    <div class="waiting-detail"></div>
+  </div>
+
+  <form class="auth">
+    <div class="auth-title">Sign-in required</div>
+    <div class="auth-detail"></div>
+    <div class="auth-row">
+      <input
+        class="auth-input"
+        type="password"
+        placeholder="Access token"
+        autocomplete="off"
+        aria-label="Access token"
+      />
+      <button class="auth-btn" type="submit">Watch</button>
+    </div>
+  </form>
+
+  <div class="connection-status">
+    <div class="status-indicator"></div>
+    <span class="status-text">Connecting...</span>
+  </div>
+
+  <div class="ptz">
+    <div class="minimap">
+      <canvas class="minimap-canvas"></canvas>
+      <div class="minimap-viewport"></div>
+    </div>
+
+    <div class="presets">
+      <div class="preset-list"></div>
+      <form class="preset-form">
+        <input
+          class="preset-input"
+          type="text"
+          placeholder="Name this view"
+          maxlength="40"
+          autocomplete="off"
+          aria-label="View name"
+        />
+        <button class="preset-btn" type="submit">Save</button>
+      </form>
+      <button class="preset-btn preset-tour-btn" type="button">Start tour</button>
+    </div>
+  </div>
+
+  <div class="pip-placeholder">
+    <div class="pip-placeholder-title">Playing in picture-in-picture</div>
+    <button class="pip-placeholder-btn" type="button">Back to tab</button>
+  </div>
+
+  <div class="toolbar">
+    <button class="btn play-pause" aria-label="Play/Pause">
+      <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+        <path d="M8 5v14l11-7z" />
+      </svg>
+    </button>
+
+    <button class="btn jump-live-btn" aria-label="Jump to Live">LIVE</button>
+
+    <div class="separator"></div>
+
+    <div class="volume-control">
+      <button class="btn volume-btn" aria-label="Toggle Mute">
+        <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+          <path
+            d="M3 9v6h4l5 5V4L7 9H3zm13.5 3c0-1.77-1.02-3.29-2.5-4.03v8.05c1.48-.73 2.5-2.25 2.5-4.02zM14 3.23v2.06c2.89.86 5 3.54 5 6.71s-2.11 5.85-5 6.71v2.06c4.01-.91 7-4.49 7-8.77s-2.99-7.86-7-8.77z"
+          />
+        </svg>
+      </button>
+      <input type="range" class="volume-slider" min="0" max="100" value="100" />
+    </div>
+
+    <div class="separator"></div>
+
+    <button class="btn zoom-out" aria-label="Zoom Out">−</button>
+    <span class="zoom-label">100%</span>
+    <button class="btn zoom-in" aria-label="Zoom In">+</button>
+    <button class="btn views-btn" aria-label="View Presets">VIEWS</button>
+
+    <div class="separator"></div>
+
+    <button class="btn screenshot-btn" aria-label="Take Screenshot">
+      <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+        <path
+          d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z"
+        />
+      </svg>
+    </button>
+
+    <button class="btn record-btn" aria-label="Record">
+      <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+        <circle cx="12" cy="12" r="7" />
+      </svg>
+    </button>
+    <span class="record-label"></span>
+    <button class="btn replay-btn" aria-label="Save Instant Replay">
+      REPLAY
+    </button>
+
+    <button class="btn pip-btn" aria-label="Picture-in-Picture">
+      <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+        <path
+          d="M19 11h-8v6h8v-6zm4 8V4.98C23 3.88 22.1 3 21 3H3c-1.1 0-2 .88-2 1.98V19c0 1.1.9 2 2 2h18c1.1 0 2-.9 2-2zm-2 .02H3V4.97h18v14.05z"
+        />
+      </svg>
+    </button>
+
+    <button class="btn fullscreen-btn" aria-label="Fullscreen">
+      <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+        <path
+          d="M7 14H5v5h5v-2H7v-3zm-2-4h2V7h3V5H5v5zm12 7h-3v2h5v-5h-2v3zM14 5v2h3v3h2V5h-5z"
+        />
+      </svg>
+    </button>
+
+    <div class="separator"></div>
+
+    <select class="toolbar-select stream-select" aria-label="Stream" hidden></select>
+
+    <select class="toolbar-select latency-select" aria-label="Latency">
+      <option value="ultra-low">Ultra-low</option>
+      <option value="low">Low latency</option>
+      <option value="smooth">Smooth</option>
+    </select>
+
+    <select class="toolbar-select codec-select" aria-label="Codec">
+      <option value="">Auto codec</option>
+    </select>
+
+    <select class="toolbar-select quality-select" aria-label="Quality" hidden>
+      <option value="auto">Auto</option>
+    </select>
+
+    <button class="btn debug-btn" aria-label="Debug Info">DEBUG</button>
+  </div>
+
+  <div class="error"></div>
+
+  <div class="debug-panel">
+    <div class="debug-header">
+      <span>WebRTC Debug Info</span>
+      <span class="debug-close">×</span>
+    </div>
+    <div class="debug-tabs">
+      <div class="debug-tab active" data-tab="stats">Statistics</div>
+      <div class="debug-tab" data-tab="connection">Connection</div>
+      <div class="debug-tab" data-tab="media">Media</div>
+      <div class="debug-tab" data-tab="health">Health</div>
+      <div class="debug-tab" data-tab="sdp">SDP</div>
+      <div class="debug-tab" data-tab="charts">Charts</div>
+    </div>
+    <div class="debug-content">
+      <div class="debug-section">
+        <div class="debug-section-title">Initializing...</div>
+      </div>
+    </div>
+  </div>
+`;
+
+// Mini player rendered into the Document Picture-in-Picture window. The
+// video and connection status are moved in from the page while it's open.
+const PIP_TEMPLATE = `
+  <div class="player-container pip-container">
+    <div class="pip-controls">
+      <div class="status-indicator"></div>
+
+      <button class="btn pip-volume-btn" aria-label="Toggle Mute"></button>
+      <input type="range" class="volume-slider" min="0" max="100" />
+
+      <div class="separator"></div>
+
+      <button class="btn zoom-out" aria-label="Zoom Out">−</button>
+      <span class="zoom-label">100%</span>
+      <button class="btn zoom-in" aria-label="Zoom In">+</button>
+
+      <div class="separator"></div>
+
+      <button class="btn pip-close-btn" aria-label="Back to Tab">
+        <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+          <path
+            d="M19 19H5V5h7V3H5c-1.11 0-2 .9-2 2v14c0 1.1.89 2 2 2h14c1.1 0 2-.9 2-2v-7h-2v7zM14 3v2h3.59l-9.83 9.83 1.41 1.41L19 6.41V10h2V3h-7z"
+          />
+        </svg>
+      </button>
+    </div>
+  </div>
+`;
+
 // Class for managing the WebRTC player
-class WebRTCPlayer {
-  constructor() {
+class WebRTCPlayer extends EventTarget {
+  // container: element to mount into (rendered from PLAYER_TEMPLATE if empty)
+  // options: app, stream, protocol, url, token, codec, renditionsUrl,
+  //          quality, autoplay, keyboard, streamPicker, history,
+  //          persistSettings, maxZoom, tour,
+  //          autoUnmute, maxReconnectAttempts, poster, replayBuffer,
+  //          latencyMode, metricsRetention, telemetryUrl,
+  //          telemetrySampleRate, qualityThresholds, iceConfigUrl, iceServers,
+  //          iceTransportPolicy, turnRestUrl
+  constructor(
+    container = document.querySelector(".player-container"),
+    options = {}
+  ) {
+    super();
+    this.options = {
+      app,
+      stream,
+      protocol: PROTOCOL,
+      url: params.get("url"),
+      // Access token for SRS's on_play hook; falls back to the one entered
+      // on the sign-in screen
+      token: params.get("token"),
+      // Video codecs to offer, in order ("h264", "h265,h264"); overrides the
+      // saved choice when set
+      codec: params.get("codec"),
+      // Rendition manifest (abr.js); renditions.json next to the page if
+      // unset, else <stream>_<height> streams from the SRS API
+      renditionsUrl: params.get("renditions"),
+      // "auto" (adaptive) or the stream of a rendition to stay on
+      quality: params.get("quality"),
+      autoplay: true,
+      keyboard: true,
+      // Toolbar menu of the server's live streams (needs the SRS API)
+      streamPicker: true,
+      // Keep ?app=&stream= in the page URL in step with switches, so back
+      // and forward navigate between streams (one player per page)
+      history: false,
+      persistSettings: true,
+      // Highest digital zoom, e.g. 16 for 4K cameras
+      maxZoom: parseFloat(params.get("max_zoom")) || ZOOM_MAX,
+      // Seconds per view preset of the tour started on load; off when 0
+      tour: parseFloat(params.get("tour")) || 0,
+      autoUnmute: true,
+      // Infinity (the default) never gives up
+      maxReconnectAttempts: RECONNECT_ATTEMPTS,
+      poster: params.get("poster"),
+      replayBuffer: parseInt(params.get("replay")) || 0,
+      // Overrides the saved mode when set
+      latencyMode: params.get("latency"),
+      // Hours of stats history kept in IndexedDB (metrics.js)
+      metricsRetention: parseFloat(params.get("retention")) || null,
+      // QoE collector endpoint (telemetry.js); off when unset
+      telemetryUrl: params.get("telemetry"),
+      // Share of sessions reported, 0-1
+      telemetrySampleRate: parseFloat(params.get("telemetry_sample")),
+      // { metric: { good, bad } } overriding QUALITY_THRESHOLDS
+      qualityThresholds: {},
+      // ICE (ice.js): config file, servers and policy overriding it, and a
+      // TURN REST endpoint for time-limited credentials
+      iceConfigUrl: params.get("ice_config"),
+      iceServers: parseIceServers(params),
+      iceTransportPolicy: params.get("ice_policy"),
+      turnRestUrl: params.get("turn_rest"),
+      ...options,
+    };
+    this.container = container;
+    this.ownsMarkup = !this.container.firstElementChild;
+    if (this.ownsMarkup) {
+      this.container.innerHTML = PLAYER_TEMPLATE;
+    }
+
+    // Everything registered with these is released by destroy()
+    this.abortController = new AbortController();
+    this.timeouts = new Set();
+
     this.elements = this.getElements();
     this.state = this.initializeState();
     this.sdk = null;
-    this.debugInterval = null;
-    this.performanceInterval = null;
+    // Session being opened in the background to switch to
+    this.pendingSdk = null;
+    // Open Document Picture-in-Picture window and its controls
+    this.pip = null;
+    // requestAnimationFrame of a released pan gliding on, or of a move to a
+    // view preset
+    this.viewAnimation = null;
+    this.minimapInterval = null;
+    // View presets of the stream: [{ name, scale, x, y }], x and y being the
+    // view's centre as a share of the frame
+    this.presets = [];
+    this.tourTimer = null;
+    this.tourIndex = -1;
+    this.statsInterval = null;
+    this.reconnectTimer = null;
+    this.iceRestartTimer = null;
+    this.offlineTimer = null;
+    this.recorder = null;
+    this.recordingInterval = null;
+    this.replayBuffer = null;
+    // Stream status comes from the SRS HTTP API, unless playing from a
+    // third-party WHEP url
+    this.api =
+      this.options.url || typeof SrsApi === "undefined" ? null : new SrsApi();
+    this.lastReport = null;
+    this.metrics = null;
+    this.telemetry = null;
+    this.qualityThresholds = Object.fromEntries(
+      Object.entries(QUALITY_THRESHOLDS).map(([metric, limits]) => [
+        metric,
+        { ...limits, ...(this.options.qualityThresholds || {})[metric] },
+      ])
+    );
+    // QoE score and diagnosis (optional qoe.js)
+    this.quality =
+      typeof QualityMonitor === "undefined"
+        ? null
+        : new QualityMonitor(this.qualityThresholds);
+    // Other renditions of the stream and the adaptive bitrate controller
+    // (optional abr.js)
+    this.renditions = [];
+    this.abr = null;
+    this.videoFrameCallbackId = null;
+    this.frameSampler = null;
+    this.resetWatchdog();
     this.statsHistory = {
       fps: [],
       bitrate: [],
+      audioBitrate: [],
       packetLoss: [],
       jitter: [],
       rtt: [],
+      latency: [],
       framesDecoded: [],
       framesDropped: [],
       keyFrameInterval: [],
@@ -51,11 +701,18 @@ class WebRTCPlayer {
       audio: {},
     };
     this.activeDebugTab = "stats";
+    this.chart = null;
+    this.chartView = { span: null, end: null };
+    this.chartSeries = new Set(DEFAULT_CHART_SERIES);
     this.statsStartTime = Date.now();
     this.sdpInfo = {
       local: null,
       remote: null,
     };
+    // Bumped on every description, so the SDP tab only re-renders on changes
+    this.sdpVersion = 0;
+    // ICE servers (URLs only) and policy of the current session
+    this.iceInfo = null;
     this.performanceMetrics = {
       frameCount: 0,
       lastFrameTime: 0,
@@ -67,34 +724,66 @@ class WebRTCPlayer {
       videoFrameCallbackFps: 0,
       lastPresentedFrames: 0,
       lastVideoFrameTime: 0,
+      // Per-second averages from requestVideoFrameCallback metadata (ms)
+      receiveToDisplay: null,
+      captureToDisplay: null,
+      calibratedLatency: null,
     };
+    this.calibrationCanvas = null;
 
     this.init();
   }
 
   getElements() {
+    const $ = (selector) => this.container.querySelector(selector);
     return {
-      video: document.getElementById("video"),
-      playPauseBtn: document.getElementById("play-pause"),
-      volumeBtn: document.getElementById("volume-btn"),
-      volumeSlider: document.getElementById("volume-slider"),
-      zoomInBtn: document.getElementById("zoom-in"),
-      zoomOutBtn: document.getElementById("zoom-out"),
-      zoomLabel: document.getElementById("zoom-label"),
-      screenshotBtn: document.getElementById("screenshot"),
-      fullscreenBtn: document.getElementById("fullscreen"),
-      debugBtn: document.getElementById("debug-btn"),
-      debugPanel: document.getElementById("debug-panel"),
-      debugContent: document.getElementById("debug-content"),
-      debugClose: document.querySelector(".debug-close"),
-      debugTabs: document.querySelectorAll(".debug-tab"),
-      errorBox: document.getElementById("error"),
-      loading: document.getElementById("loading"),
-      connectionStatus: document.getElementById("connection-status"),
-      statusIndicator: document.querySelector(".status-indicator"),
-      statusText: document.querySelector(".status-text"),
-      container: document.getElementById("player-container"),
-      toolbar: document.getElementById("toolbar"),
+      video: $(".video"),
+      playPauseBtn: $(".play-pause"),
+      volumeBtn: $(".volume-btn"),
+      volumeSlider: $(".volume-slider"),
+      zoomInBtn: $(".zoom-in"),
+      zoomOutBtn: $(".zoom-out"),
+      zoomLabel: $(".zoom-label"),
+      viewsBtn: $(".views-btn"),
+      minimap: $(".minimap"),
+      minimapCanvas: $(".minimap-canvas"),
+      minimapViewport: $(".minimap-viewport"),
+      presets: $(".presets"),
+      presetList: $(".preset-list"),
+      presetForm: $(".preset-form"),
+      presetInput: $(".preset-input"),
+      presetTourBtn: $(".preset-tour-btn"),
+      screenshotBtn: $(".screenshot-btn"),
+      recordBtn: $(".record-btn"),
+      recordLabel: $(".record-label"),
+      replayBtn: $(".replay-btn"),
+      jumpLiveBtn: $(".jump-live-btn"),
+      latencySelect: $(".latency-select"),
+      codecSelect: $(".codec-select"),
+      qualitySelect: $(".quality-select"),
+      streamSelect: $(".stream-select"),
+      pipBtn: $(".pip-btn"),
+      pipPlaceholder: $(".pip-placeholder"),
+      pipPlaceholderBtn: $(".pip-placeholder-btn"),
+      fullscreenBtn: $(".fullscreen-btn"),
+      debugBtn: $(".debug-btn"),
+      debugPanel: $(".debug-panel"),
+      debugContent: $(".debug-content"),
+      debugClose: $(".debug-close"),
+      debugTabs: this.container.querySelectorAll(".debug-tab"),
+      errorBox: $(".error"),
+      loading: $(".loading"),
+      waiting: $(".waiting"),
+      waitingDetail: $(".waiting-detail"),
+      auth: $(".auth"),
+      authTitle: $(".auth-title"),
+      authDetail: $(".auth-detail"),
+      authInput: $(".auth-input"),
+      connectionStatus: $(".connection-status"),
+      statusIndicator: $(".status-indicator"),
+      statusText: $(".status-text"),
+      container: this.container,
+      toolbar: $(".toolbar"),
     };
   }
 
@@ -109,6 +798,7 @@ class WebRTCPlayer {
       dragStart: { x: 0, y: 0 },
       dragOffset: { x: 0, y: 0 },
       isPlaying: false,
+      isWaiting: false,
       reconnectAttempts: 0,
       connectionQuality: "connecting",
       totalFramesDecoded: 0,
@@ -118,18 +808,282 @@ class WebRTCPlayer {
       actualFpsCount: 0,
       lastKeyFrameCount: 0,
       codecType: null,
+      calibrating: false,
+      latencyMode: LATENCY_MODES[this.options.latencyMode]
+        ? this.options.latencyMode
+        : DEFAULT_LATENCY_MODE,
+      behindLive: false,
+      driftSamples: 0,
+      flushUntil: 0,
+      codecs: parseCodecs(this.options.codec),
+      quality: this.options.quality || "auto",
+      // Stream being played: options.stream or one of its renditions
+      rendition: this.options.stream,
     };
   }
 
   init() {
+    if (this.options.poster) {
+      this.elements.video.poster = this.options.poster;
+    }
+    this.elements.replayBtn.classList.toggle(
+      "show",
+      this.options.replayBuffer > 0
+    );
+    this.elements.pipBtn?.classList.toggle(
+      "show",
+      this.isPictureInPictureSupported()
+    );
+    this.elements.latencySelect.value = this.state.latencyMode;
     this.checkDependencies();
     this.setupEventListeners();
-    this.setupKeyboardShortcuts();
+    if (this.options.keyboard) {
+      this.setupKeyboardShortcuts();
+    }
     this.loadPlayerSettings();
-    this.startPlaying();
+    this.populateCodecs();
+    this.findRenditions();
+    this.populateStreams();
+    this.loadPresets();
+    this.openMetrics();
+    this.openTelemetry();
+    if (this.options.autoplay) {
+      this.startPlaying();
+    }
+  }
+
+  // Public API
+  play() {
+    if (this.state.isPlaying) return Promise.resolve();
+    return this.startPlaying();
+  }
+
+  stop(reason = "stopped") {
+    this.cancelReconnect();
+    this.stopWaiting();
+    this.hideAuth();
+    this.state.reconnectAttempts = 0;
+
+    const wasConnected = !!this.sdk;
+    this.closeSession();
+    this.state.isPlaying = false;
+    this.showLoading(false);
+    this.updateConnectionStatus("connecting", "Stopped");
+
+    if (wasConnected) {
+      this.emit("disconnected", {
+        app: this.options.app,
+        stream: this.options.stream,
+        reason,
+      });
+    }
+  }
+
+  // Plays with a new access token, e.g. one refreshed after an
+  // "unauthorized" event
+  setToken(token) {
+    this.options.token = token || null;
+    this.saveToken(this.options.token);
+    this.stop("switching");
+    return this.startPlaying();
+  }
+
+  // While playing, the new stream connects in the background and takes over
+  // the video on its first frame, so zoom, volume and the debug panel carry
+  // over without a black screen. Otherwise, or if that fails (e.g. the stream
+  // is offline), it starts over as a new session. Only streams that play go
+  // into the history.
+  async switchStream(app, stream) {
+    let sdk = null;
+    if (this.state.isPlaying) {
+      try {
+        sdk = await this.openInBackground(this.getPlayUrl(stream, app, stream));
+        // stop() or another switch came first
+        if (!sdk) return;
+      } catch (error) {
+        console.warn(`Couldn't switch to ${app}/${stream} seamlessly:`, error);
+      }
+    }
+
+    if (sdk) {
+      this.emit("disconnected", {
+        app: this.options.app,
+        stream: this.options.stream,
+        reason: "switching",
+      });
+    } else {
+      this.stop("switching");
+    }
+    this.options.app = app;
+    this.options.stream = stream;
+    this.state.rendition = stream;
+    this.findRenditions();
+    this.populateStreams();
+    this.loadPresets();
+    this.openMetrics();
+    this.openTelemetry("switching");
+
+    if (!sdk) {
+      this.resetSessionStats();
+      await this.startPlaying();
+      // Unless it failed, waits for the broadcast or another switch replaced it
+      if (
+        this.state.isPlaying &&
+        this.options.app === app &&
+        this.options.stream === stream
+      ) {
+        this.updateHistory(app, stream);
+      }
+      return;
+    }
+    this.adoptSession(sdk);
+    this.updateHistory(app, stream);
+    this.emit("connected", { app, stream });
+  }
+
+  destroy() {
+    this.stop("destroyed");
+    if (this.metrics) {
+      this.metrics.close();
+    }
+    if (this.telemetry) {
+      this.telemetry.close("destroyed");
+    }
+    this.stopViewAnimation();
+    this.stopTour();
+    clearInterval(this.minimapInterval);
+    this.abortController.abort();
+    this.timeouts.forEach((id) => clearTimeout(id));
+    this.timeouts.clear();
+
+    this.closeDocumentPictureInPicture();
+    if (document.pictureInPictureElement === this.elements.video) {
+      document.exitPictureInPicture();
+    }
+    if (document.fullscreenElement === this.elements.container) {
+      document.exitFullscreen();
+    }
+    if (this.ownsMarkup) {
+      this.container.innerHTML = "";
+    }
+  }
+
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  // setTimeout that is cleared on destroy()
+  schedule(callback, delay) {
+    const id = setTimeout(() => {
+      this.timeouts.delete(id);
+      callback();
+    }, delay);
+    this.timeouts.add(id);
+    return id;
+  }
+
+  // Close the SDK (its RTCPeerConnection and WHEP resource) and everything
+  // that samples it
+  closeSession() {
+    // The next session is a new MediaStream, so recordings end here
+    this.stopRecording();
+    this.stopReplayBuffer();
+    this.stopStatsMonitoring();
+    this.stopVideoFrameMonitoring();
+    this.resetLatencyControl();
+    if (this.sdk) {
+      this.sdk.close();
+      this.sdk = null;
+    }
+    this.closePendingSession();
+    this.elements.video.srcObject = null;
+  }
+
+  closePendingSession() {
+    if (this.pendingSdk) {
+      this.pendingSdk.close();
+      this.pendingSdk = null;
+    }
+  }
+
+  // Forget per-session counters so deltas don't span two sessions
+  resetSessionStats() {
+    this.lastStats = { video: {}, audio: {} };
+    this.lastReport = null;
+    if (this.quality) {
+      this.quality.reset();
+    }
+    this.state.lastKeyFrameCount = 0;
+    this.state.codecType = null;
+    this.sdpInfo = { local: null, remote: null };
+    this.sdpVersion++;
+    this.performanceMetrics.keyFrameTimestamps = [];
+    this.performanceMetrics.lastKeyFrameTime = 0;
+    this.performanceMetrics.maxFpsAchieved = 0;
+    this.performanceMetrics.receiveToDisplay = null;
+    this.performanceMetrics.captureToDisplay = null;
+    this.performanceMetrics.calibratedLatency = null;
+  }
+
+  // Long-range stats history per stream (optional metrics.js)
+  openMetrics() {
+    if (typeof MetricsStore === "undefined") return;
+
+    if (this.metrics) {
+      this.metrics.close();
+    }
+    this.metrics = new MetricsStore(
+      `${this.options.app}/${this.options.stream}`,
+      { retentionHours: this.options.metricsRetention }
+    );
+  }
+
+  // One telemetry session per stream (optional telemetry.js)
+  openTelemetry(reason) {
+    if (this.telemetry) {
+      this.telemetry.close(reason);
+      this.telemetry = null;
+    }
+    if (!this.options.telemetryUrl || typeof TelemetryClient === "undefined") {
+      return;
+    }
+
+    const sampleRate = this.options.telemetrySampleRate;
+    this.telemetry = new TelemetryClient(this, this.options.telemetryUrl, {
+      sampleRate: sampleRate >= 0 && sampleRate <= 1 ? sampleRate : 1,
+    });
+  }
+
+  // RTC_CONFIG with the page's ICE servers, policy and TURN credentials
+  // (optional ice.js)
+  async getRtcConfig() {
+    const config =
+      typeof getIceConfiguration === "undefined"
+        ? RTC_CONFIG
+        : await getIceConfiguration(RTC_CONFIG, {
+            configUrl: this.options.iceConfigUrl || ICE_CONFIG_URL,
+            iceServers: this.options.iceServers,
+            iceTransportPolicy: this.options.iceTransportPolicy,
+            turnRestUrl: this.options.turnRestUrl,
+          });
+
+    // Credentials stay out of the debug panel and its export
+    this.iceInfo = {
+      servers: (config.iceServers || []).flatMap((server) => server.urls),
+      policy: config.iceTransportPolicy || "all",
+    };
+    return config;
   }
 
   checkDependencies() {
+    if (this.options.protocol === "whep") {
+      if (typeof WhepPlayerAsync === "undefined") {
+        this.showError("WHEP client not loaded. Please reload the page.");
+        throw new Error("WhepPlayerAsync is not defined");
+      }
+      return;
+    }
+
     if (typeof SrsRtcPlayerAsync === "undefined") {
       this.showError(
         "SRS SDK not loaded. Please check your internet connection."
@@ -139,232 +1093,545 @@ class WebRTCPlayer {
   }
 
   setupEventListeners() {
+    const { signal } = this.abortController;
+
     // Playback controls
-    this.elements.playPauseBtn.addEventListener("click", () =>
-      this.togglePlayPause()
+    this.elements.playPauseBtn.addEventListener(
+      "click",
+      () => this.togglePlayPause(),
+      { signal }
     );
 
     // Volume controls
-    this.elements.volumeBtn.addEventListener("click", () => this.toggleMute());
-    this.elements.volumeSlider.addEventListener("input", (e) =>
-      this.setVolume(e.target.value)
+    this.elements.volumeBtn.addEventListener("click", () => this.toggleMute(), {
+      signal,
+    });
+    this.elements.volumeSlider.addEventListener(
+      "input",
+      (e) => this.setVolume(e.target.value),
+      { signal }
     );
 
     // Zoom controls
-    this.elements.zoomInBtn.addEventListener("click", () =>
-      this.zoom(ZOOM_STEP)
+    this.elements.zoomInBtn.addEventListener(
+      "click",
+      () => this.zoom(ZOOM_STEP),
+      { signal }
+    );
+    this.elements.zoomOutBtn.addEventListener(
+      "click",
+      () => this.zoom(1 / ZOOM_STEP),
+      { signal }
     );
-    this.elements.zoomOutBtn.addEventListener("click", () =>
-      this.zoom(-ZOOM_STEP)
+    this.elements.video.addEventListener(
+      "dblclick",
+      (e) => this.toggleZoom({ x: e.clientX, y: e.clientY }),
+      { signal }
     );
-    this.elements.video.addEventListener("dblclick", () => this.toggleZoom());
 
     // Pan controls
     this.setupPanControls();
 
+    // Digital PTZ
+    this.elements.viewsBtn?.addEventListener(
+      "click",
+      () => this.togglePresets(),
+      { signal }
+    );
+    if (this.elements.minimap) {
+      this.setupMinimapControls();
+    }
+    if (this.elements.presets) {
+      this.setupPresetControls();
+    }
+
     // Other controls
-    this.elements.screenshotBtn.addEventListener("click", () =>
-      this.takeScreenshot()
+    this.elements.screenshotBtn.addEventListener(
+      "click",
+      () => this.takeScreenshot(),
+      { signal }
     );
-    this.elements.fullscreenBtn.addEventListener("click", () =>
-      this.toggleFullscreen()
+    this.elements.recordBtn.addEventListener(
+      "click",
+      () => this.toggleRecording(),
+      { signal }
     );
-    this.elements.debugBtn.addEventListener("click", () =>
-      this.toggleDebugPanel()
+    this.elements.replayBtn.addEventListener("click", () => this.saveReplay(), {
+      signal,
+    });
+    this.elements.jumpLiveBtn.addEventListener(
+      "click",
+      () => this.jumpToLive(),
+      { signal }
     );
-    this.elements.debugClose.addEventListener("click", () =>
-      this.toggleDebugPanel()
+    this.elements.latencySelect.addEventListener(
+      "change",
+      (e) => this.setLatencyMode(e.target.value),
+      { signal }
     );
-
-    // Debug tabs
-    this.elements.debugTabs.forEach((tab) => {
-      tab.addEventListener("click", () => {
-        this.activeDebugTab = tab.dataset.tab;
-        this.elements.debugTabs.forEach((t) => t.classList.remove("active"));
-        tab.classList.add("active");
-        this.updateDebugInfo();
-      });
-    });
+    this.elements.codecSelect.addEventListener(
+      "change",
+      (e) => this.setCodec(e.target.value),
+      { signal }
+    );
+    this.elements.qualitySelect.addEventListener(
+      "change",
+      (e) => this.setQuality(e.target.value),
+      { signal }
+    );
+    this.elements.streamSelect.addEventListener(
+      "change",
+      (e) => {
+        // Stream names have no slashes, app names may
+        const value = e.target.value;
+        const slash = value.lastIndexOf("/");
+        this.switchStream(value.slice(0, slash), value.slice(slash + 1));
+      },
+      { signal }
+    );
+    this.elements.streamSelect.addEventListener(
+      "focus",
+      () => this.populateStreams(),
+      { signal }
+    );
+    this.elements.fullscreenBtn.addEventListener(
+      "click",
+      () => this.toggleFullscreen(),
+      { signal }
+    );
+    this.elements.pipBtn?.addEventListener(
+      "click",
+      () => this.togglePictureInPicture(),
+      { signal }
+    );
+    this.elements.pipPlaceholderBtn?.addEventListener(
+      "click",
+      () => this.togglePictureInPicture(),
+      { signal }
+    );
+    this.elements.auth?.addEventListener(
+      "submit",
+      (e) => {
+        e.preventDefault();
+        const token = this.elements.authInput.value.trim();
+        if (token) this.setToken(token);
+      },
+      { signal }
+    );
+    this.setupDebugPanel();
 
     // Video events
-    this.elements.video.addEventListener("loadedmetadata", () =>
-      this.onVideoLoaded()
+    this.elements.video.addEventListener(
+      "loadedmetadata",
+      () => this.onVideoLoaded(),
+      { signal }
+    );
+    this.elements.video.addEventListener(
+      "play",
+      () => this.updatePlayPauseIcon(true),
+      { signal }
     );
-    this.elements.video.addEventListener("play", () =>
-      this.updatePlayPauseIcon(true)
+    this.elements.video.addEventListener(
+      "pause",
+      () => this.updatePlayPauseIcon(false),
+      { signal }
+    );
+
+    // Video Picture-in-Picture (the Document Picture-in-Picture window
+    // is tracked by togglePictureInPicture())
+    this.elements.video.addEventListener(
+      "enterpictureinpicture",
+      () => this.onPictureInPictureChange(),
+      { signal }
     );
-    this.elements.video.addEventListener("pause", () =>
-      this.updatePlayPauseIcon(false)
+    this.elements.video.addEventListener(
+      "leavepictureinpicture",
+      () => this.onPictureInPictureChange(),
+      { signal }
     );
 
     // Fullscreen change
-    document.addEventListener("fullscreenchange", () =>
-      this.onFullscreenChange()
+    document.addEventListener(
+      "fullscreenchange",
+      () => this.onFullscreenChange(),
+      { signal }
+    );
+
+    // Back and forward between streams switched to (options.history)
+    if (this.options.history) {
+      window.addEventListener(
+        "popstate",
+        () => {
+          const { app, stream } = getQueryStream(
+            new URLSearchParams(location.search)
+          );
+          if (app !== this.options.app || stream !== this.options.stream) {
+            this.switchStream(app, stream);
+          }
+        },
+        { signal }
+      );
+    }
+
+    // Skip the remaining backoff once the network is likely usable again
+    window.addEventListener("online", () => this.retryNow(), { signal });
+    if (navigator.connection) {
+      navigator.connection.addEventListener("change", () => this.retryNow(), {
+        signal,
+      });
+    }
+    document.addEventListener(
+      "visibilitychange",
+      () => {
+        if (document.visibilityState === "visible") {
+          this.retryNow();
+        }
+      },
+      { signal }
+    );
+
+    // Release the server-side session (WHEP DELETE) when leaving the page
+    window.addEventListener(
+      "pagehide",
+      () => {
+        if (this.sdk) {
+          this.sdk.close();
+        }
+        this.closePendingSession();
+      },
+      { signal }
     );
   }
 
-  setupKeyboardShortcuts() {
-    document.addEventListener("keydown", (e) => {
-      // Prevent shortcuts when typing
-      if (e.target.tagName === "INPUT" || e.target.tagName === "TEXTAREA")
-        return;
+  setupDebugPanel() {
+    const { signal } = this.abortController;
 
-      switch (e.key.toLowerCase()) {
-        case " ":
-          e.preventDefault();
-          this.togglePlayPause();
-          break;
-        case "f":
-          this.toggleFullscreen();
-          break;
-        case "m":
-          this.toggleMute();
-          break;
-        case "d":
-          this.toggleDebugPanel();
-          break;
-        case "s":
-          if (e.ctrlKey || e.metaKey) {
-            e.preventDefault();
-            this.takeScreenshot();
+    this.elements.debugContent.addEventListener(
+      "click",
+      (e) => {
+        if (e.target.closest(".calibrate-btn")) {
+          this.toggleCalibration();
+        } else if (e.target.closest(".chart-pause-btn")) {
+          this.toggleChartPause();
+        } else if (e.target.closest("[data-zoom]")) {
+          this.chart.zoom(
+            e.target.closest("[data-zoom]").dataset.zoom === "in"
+              ? 1 / CHART_ZOOM_STEP
+              : CHART_ZOOM_STEP
+          );
+        } else if (e.target.closest(".export-btn")) {
+          const format = e.target.closest(".export-btn").dataset.format;
+          if (format) {
+            this.exportMetrics(format);
+          } else {
+            this.exportDebugData();
           }
-          break;
-        case "+":
-        case "=":
-          this.zoom(ZOOM_STEP);
-          break;
-        case "-":
-          this.zoom(-ZOOM_STEP);
-          break;
-        case "0":
-          this.resetZoom();
-          break;
-        case "arrowup":
-          e.preventDefault();
-          this.adjustVolume(5);
-          break;
-        case "arrowdown":
-          e.preventDefault();
-          this.adjustVolume(-5);
-          break;
-      }
+        }
+      },
+      { signal }
+    );
+    this.elements.debugContent.addEventListener(
+      "change",
+      (e) => {
+        if (e.target.matches(".chart-series input")) {
+          this.toggleChartSeries(e.target.value, e.target.checked);
+        }
+      },
+      { signal }
+    );
+    // The debug viewer's panels are always open
+    this.elements.debugBtn?.addEventListener(
+      "click",
+      () => this.toggleDebugPanel(),
+      { signal }
+    );
+    this.elements.debugClose?.addEventListener(
+      "click",
+      () => this.toggleDebugPanel(),
+      { signal }
+    );
+
+    // Debug tabs
+    this.elements.debugTabs.forEach((tab) => {
+      tab.addEventListener(
+        "click",
+        () => {
+          this.activeDebugTab = tab.dataset.tab;
+          this.elements.debugTabs.forEach((t) => t.classList.remove("active"));
+          tab.classList.add("active");
+          this.updateDebugInfo();
+        },
+        { signal }
+      );
     });
   }
 
+  // target: the page's document, or the Picture-in-Picture window's
+  setupKeyboardShortcuts(target = document) {
+    target.addEventListener(
+      "keydown",
+      (e) => {
+        // Prevent shortcuts when typing
+        if (
+          e.target.tagName === "INPUT" ||
+          e.target.tagName === "TEXTAREA" ||
+          e.target.tagName === "SELECT"
+        )
+          return;
+
+        switch (e.key.toLowerCase()) {
+          case " ":
+            e.preventDefault();
+            this.togglePlayPause();
+            break;
+          case "f":
+            this.toggleFullscreen();
+            break;
+          case "p":
+            this.togglePictureInPicture();
+            break;
+          case "m":
+            this.toggleMute();
+            break;
+          case "d":
+            this.toggleDebugPanel();
+            break;
+          case "s":
+            if (e.ctrlKey || e.metaKey) {
+              e.preventDefault();
+              this.takeScreenshot();
+            }
+            break;
+          case "r":
+            // Leave Ctrl+R / Cmd+R to reload the page
+            if (!e.ctrlKey && !e.metaKey) {
+              this.toggleRecording();
+            }
+            break;
+          case "i":
+            this.saveReplay();
+            break;
+          case "l":
+            this.jumpToLive();
+            break;
+          case "+":
+          case "=":
+            this.zoom(ZOOM_STEP);
+            break;
+          case "-":
+            this.zoom(1 / ZOOM_STEP);
+            break;
+          case "0":
+            this.resetZoom();
+            break;
+          case "v":
+            this.togglePresets();
+            break;
+          case "t":
+            this.toggleTour();
+            break;
+          case "1":
+          case "2":
+          case "3":
+          case "4":
+          case "5":
+          case "6":
+          case "7":
+          case "8":
+          case "9":
+            // Leave Ctrl+1 / Cmd+1 to switch tabs
+            if (!e.ctrlKey && !e.metaKey && !e.altKey) {
+              this.goToPreset(parseInt(e.key) - 1);
+            }
+            break;
+          case "arrowup":
+            e.preventDefault();
+            this.adjustVolume(5);
+            break;
+          case "arrowdown":
+            e.preventDefault();
+            this.adjustVolume(-5);
+            break;
+        }
+      },
+      { signal: this.abortController.signal }
+    );
+  }
+
+  // One pointer pans while zoomed in; two pinch-zoom around the point
+  // between them and pan with it. ctrl+wheel (and trackpad pinch) zooms at
+  // the cursor, plain wheel and two-finger scrolling pan while zoomed in.
   setupPanControls() {
-    let isPanning = false;
-    let startX = 0;
-    let startY = 0;
+    const video = this.elements.video;
+    // Up to two pointers, by pointerId
+    const pointers = new Map();
+    // Where the pointers' centre, their distance and the zoom were when the
+    // current one- or two-pointer gesture started
+    let gesture = null;
+    // Recent centre positions, for the speed a released pan glides on at
+    let samples = [];
+
+    const getCentre = () => {
+      const [a, b = a] = [...pointers.values()];
+      return {
+        x: (a.x + b.x) / 2,
+        y: (a.y + b.y) / 2,
+        distance: Math.hypot(a.x - b.x, a.y - b.y),
+      };
+    };
+
+    const startGesture = () => {
+      gesture = { ...getCentre(), ...this.state.zoom };
+      samples = [];
+    };
 
     const handlePointerDown = (e) => {
-      if (this.state.zoom.scale === 1) return;
-      isPanning = true;
-      startX = e.clientX - this.state.zoom.translateX;
-      startY = e.clientY - this.state.zoom.translateY;
-      this.elements.video.style.cursor = "grabbing";
-      this.elements.video.setPointerCapture(e.pointerId);
+      if (pointers.size >= 2) return;
+      // A mouse only drags what's zoomed in; touch may pinch from 100%
+      if (
+        e.pointerType === "mouse" &&
+        (e.button !== 0 || this.state.zoom.scale === 1)
+      ) {
+        return;
+      }
+      this.stopViewAnimation();
+      this.stopTour();
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      video.setPointerCapture(e.pointerId);
+      video.classList.add("gesturing");
+      video.style.cursor = "grabbing";
+      startGesture();
     };
 
     const handlePointerMove = (e) => {
-      if (!isPanning) return;
-      this.state.zoom.translateX = e.clientX - startX;
-      this.state.zoom.translateY = e.clientY - startY;
+      if (!pointers.has(e.pointerId)) return;
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+      const centre = getCentre();
+      const scale =
+        pointers.size > 1 && gesture.distance
+          ? Math.max(
+              ZOOM_MIN,
+              Math.min(
+                this.options.maxZoom,
+                (gesture.scale * centre.distance) / gesture.distance
+              )
+            )
+          : gesture.scale;
+      // Keep the point of the video that was under the centre under it
+      const start = this.getViewportOffset(gesture);
+      const offset = this.getViewportOffset(centre);
+      const ratio = scale / gesture.scale;
+      this.state.zoom = {
+        scale,
+        translateX: offset.x - (start.x - gesture.translateX) * ratio,
+        translateY: offset.y - (start.y - gesture.translateY) * ratio,
+      };
       this.clampPan();
       this.applyTransform();
+
+      const now = performance.now();
+      samples.push({ x: centre.x, y: centre.y, time: now });
+      samples = samples.filter(
+        (sample) => now - sample.time <= PAN_VELOCITY_WINDOW
+      );
     };
 
     const handlePointerUp = (e) => {
-      isPanning = false;
-      this.elements.video.style.cursor = "";
+      if (!pointers.delete(e.pointerId)) return;
       try {
-        this.elements.video.releasePointerCapture(e.pointerId);
+        video.releasePointerCapture(e.pointerId);
       } catch {}
-    };
-
-    this.elements.video.addEventListener("pointerdown", handlePointerDown);
-    this.elements.video.addEventListener("pointermove", handlePointerMove);
-    this.elements.video.addEventListener("pointerup", handlePointerUp);
-    this.elements.video.addEventListener("pointercancel", handlePointerUp);
-  }
-
-  async startPlaying() {
-    this.showLoading(true);
-    this.updateConnectionStatus("connecting", "Connecting...");
 
-    try {
-      // Create SDK instance with optimized RTC config
-      this.sdk = new SrsRtcPlayerAsync();
+      // Lifting one of two fingers carries on as a pan with the other
+      if (pointers.size) {
+        startGesture();
+        return;
+      }
+      video.classList.remove("gesturing");
+      video.style.cursor = "";
 
-      // Override the default RTC configuration
-      if (this.sdk.pc) {
-        this.sdk.pc.close();
+      if (this.state.zoom.scale < ZOOM_MIN + ZOOM_SNAP) {
+        this.resetZoom();
+        return;
       }
-      this.sdk.pc = new RTCPeerConnection(RTC_CONFIG);
-
-      // Re-setup ontrack handler
-      this.sdk.pc.ontrack = (event) => {
-        console.log("Track received:", {
-          kind: event.track.kind,
-          id: event.track.id,
-          readyState: event.track.readyState,
-        });
-        if (this.sdk.ontrack) {
-          this.sdk.ontrack(event);
+      const now = performance.now();
+      const recent = samples.filter(
+        (sample) => now - sample.time <= PAN_VELOCITY_WINDOW
+      );
+      if (recent.length > 1) {
+        const first = recent[0];
+        const last = recent[recent.length - 1];
+        const elapsed = last.time - first.time;
+        if (elapsed > 0) {
+          this.startPanMomentum(
+            (last.x - first.x) / elapsed,
+            (last.y - first.y) / elapsed
+          );
         }
+      }
+    };
 
-        // For video tracks, monitor frame rate
-        if (event.track.kind === "video") {
-          this.monitorVideoTrack(event.track);
-        }
-      };
+    const handleWheel = (e) => {
+      // Lines (or pages) to pixels
+      const unit = e.deltaMode ? WHEEL_LINE_HEIGHT : 1;
+      if (e.ctrlKey) {
+        // Browsers report trackpad pinches as ctrl+wheel
+        e.preventDefault();
+        const distance = Math.max(
+          -WHEEL_ZOOM_DISTANCE,
+          Math.min(WHEEL_ZOOM_DISTANCE, e.deltaY * unit)
+        );
+        this.zoom(Math.pow(ZOOM_STEP, -distance / WHEEL_ZOOM_DISTANCE), {
+          x: e.clientX,
+          y: e.clientY,
+        });
+      } else if (this.state.zoom.scale > 1) {
+        e.preventDefault();
+        this.stopViewAnimation();
+        this.pan(-e.deltaX * unit, -e.deltaY * unit);
+      }
+    };
 
-      // Store local and remote SDP for debugging
-      const originalSetLocalDescription = this.sdk.pc.setLocalDescription.bind(
-        this.sdk.pc
-      );
-      this.sdk.pc.setLocalDescription = async (desc) => {
-        this.sdpInfo.local = desc.sdp;
-        console.log("Local SDP:", desc.sdp);
-        return originalSetLocalDescription(desc);
-      };
+    // Safari reports trackpad pinches as gesture events instead, and touch
+    // pinches as both (handled as pointers)
+    let gestureScale = 1;
+    const handleGestureStart = (e) => {
+      e.preventDefault();
+      gestureScale = 1;
+    };
+    const handleGestureChange = (e) => {
+      e.preventDefault();
+      if (pointers.size) return;
+      this.zoom(e.scale / gestureScale, { x: e.clientX, y: e.clientY });
+      gestureScale = e.scale;
+    };
 
-      const originalSetRemoteDescription =
-        this.sdk.pc.setRemoteDescription.bind(this.sdk.pc);
-      this.sdk.pc.setRemoteDescription = async (desc) => {
-        this.sdpInfo.remote = desc.sdp;
+    const { signal } = this.abortController;
+    video.addEventListener("pointerdown", handlePointerDown, { signal });
+    video.addEventListener("pointermove", handlePointerMove, { signal });
+    video.addEventListener("pointerup", handlePointerUp, { signal });
+    video.addEventListener("pointercancel", handlePointerUp, { signal });
+    video.addEventListener("wheel", handleWheel, { passive: false, signal });
+    video.addEventListener("gesturestart", handleGestureStart, { signal });
+    video.addEventListener("gesturechange", handleGestureChange, { signal });
+  }
 
-        // Log video parameters
-        const videoParams = this.extractVideoParams(desc.sdp);
-        console.log("Video params from SDP:", videoParams);
+  async startPlaying() {
+    this.stopWaiting();
+    this.hideAuth();
+    this.showLoading(true);
+    this.updateConnectionStatus("connecting", "Connecting...");
 
-        // Detect codec type
-        if (videoParams.codec) {
-          if (
-            videoParams.codec.toLowerCase().includes("h265") ||
-            videoParams.codec.toLowerCase().includes("hevc")
-          ) {
-            this.state.codecType = "H265/HEVC";
-          } else if (
-            videoParams.codec.toLowerCase().includes("h264") ||
-            videoParams.codec.toLowerCase().includes("avc")
-          ) {
-            this.state.codecType = "H264/AVC";
-          } else if (videoParams.codec.toLowerCase().includes("vp8")) {
-            this.state.codecType = "VP8";
-          } else if (videoParams.codec.toLowerCase().includes("vp9")) {
-            this.state.codecType = "VP9";
-          } else if (videoParams.codec.toLowerCase().includes("av1")) {
-            this.state.codecType = "AV1";
-          } else {
-            this.state.codecType = videoParams.codec;
-          }
-        } else if (videoParams.h265ProfileId !== undefined) {
-          // H265 detected from profile-id
-          this.state.codecType = "H265/HEVC";
-        }
+    let sdk = null;
+    try {
+      // Release the previous session before opening a new one
+      this.closeSession();
 
-        return originalSetRemoteDescription(desc);
-      };
+      sdk = this.sdk = this.createSdk();
+      const rtcConfig = await this.getRtcConfig();
+      if (sdk !== this.sdk) return;
+      this.setupSession(sdk, rtcConfig);
 
       this.elements.video.srcObject = this.sdk.stream;
 
@@ -372,29 +1639,362 @@ class WebRTCPlayer {
       this.monitorConnection();
 
       // Play with URL
-      await this.sdk.play(WEBRTC_URL);
+      await sdk.play(this.getPlayUrl());
+
+      // stop(), switchStream() or destroy() replaced this session meanwhile
+      if (sdk !== this.sdk) return;
 
       this.showLoading(false);
       this.updateConnectionStatus("good", "Connected");
       this.state.isPlaying = true;
       this.state.reconnectAttempts = 0;
       this.state.streamStartTime = Date.now();
+      this.startStatsMonitoring();
+      this.startReplayBuffer();
 
       // Show toolbar briefly
       this.elements.toolbar.classList.add("force-show");
-      setTimeout(() => {
+      this.schedule(() => {
         this.elements.toolbar.classList.remove("force-show");
       }, 3000);
 
       // Log codec information
       this.logCodecInfo();
     } catch (error) {
+      if (sdk && sdk !== this.sdk) return;
+
+      // Nobody publishing, or the server is down: wait instead of failing
+      const status = await this.getStreamStatus();
+      if (sdk && sdk !== this.sdk) return;
+      if (status === "offline" || status === "unreachable") {
+        this.waitForBroadcast(status);
+        return;
+      }
+
+      // Retrying won't help until there is a valid token
+      const auth = this.getAuthFailure(error);
+      if (auth) {
+        this.showAuth(auth, error);
+        return;
+      }
+
+      // A failed retry schedules the next one instead of giving up
+      if (this.state.reconnectAttempts > 0) {
+        console.warn("Reconnect failed:", error);
+        this.attemptReconnect();
+        return;
+      }
       this.handlePlaybackError(error);
     }
   }
 
-  extractVideoParams(sdp) {
-    const params = {};
+  createSdk() {
+    return this.options.protocol === "whep"
+      ? new WhepPlayerAsync()
+      : new SrsRtcPlayerAsync();
+  }
+
+  // Replace the SDK's default RTCPeerConnection with one using our RTC
+  // configuration, hooked for debugging, codec preference and latency
+  setupSession(sdk, rtcConfig) {
+    if (sdk.pc) {
+      sdk.pc.close();
+    }
+    sdk.pc = new RTCPeerConnection(rtcConfig);
+
+    // Re-setup ontrack handler
+    sdk.pc.ontrack = (event) => {
+      console.log("Track received:", {
+        kind: event.track.kind,
+        id: event.track.id,
+        readyState: event.track.readyState,
+      });
+      if (sdk.ontrack) {
+        sdk.ontrack(event);
+      }
+      this.applyLatencyTarget([event.receiver]);
+
+      // For video tracks, monitor frame rate (background sessions once they
+      // take over)
+      if (event.track.kind === "video" && sdk === this.sdk) {
+        this.monitorVideoTrack(event.track);
+      }
+    };
+
+    // Store local and remote SDP for debugging
+    this.hookSessionDescriptions(sdk.pc);
+    this.hookCodecPreference(sdk.pc);
+  }
+
+  // Make-before-break: a second session plays `url` while the current one
+  // stays on screen. Resolves with its SDK once it has a picture, or null
+  // when stop() or another switch replaced it meanwhile.
+  async openInBackground(url) {
+    this.closePendingSession();
+    const sdk = (this.pendingSdk = this.createSdk());
+
+    try {
+      const rtcConfig = await this.getRtcConfig();
+      if (sdk !== this.pendingSdk) return null;
+      this.setupSession(sdk, rtcConfig);
+
+      await sdk.play(url);
+      if (sdk !== this.pendingSdk) return null;
+      await this.waitForFirstFrame(sdk.stream);
+      if (sdk !== this.pendingSdk) return null;
+    } catch (error) {
+      if (sdk !== this.pendingSdk) return null;
+      this.closePendingSession();
+      throw error;
+    }
+
+    this.pendingSdk = null;
+    return sdk;
+  }
+
+  // Resolves once `stream` has a frame to show. It plays muted in a detached
+  // <video> meanwhile, so the visible one keeps the current session. Rejects
+  // on timeout or destroy().
+  waitForFirstFrame(stream) {
+    const { signal } = this.abortController;
+    return new Promise((resolve, reject) => {
+      const preview = document.createElement("video");
+      preview.muted = true;
+      preview.playsInline = true;
+
+      const finish = (error) => {
+        clearTimeout(timer);
+        this.timeouts.delete(timer);
+        signal.removeEventListener("abort", onAbort);
+        preview.srcObject = null;
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+      const onAbort = () => finish(new Error("Player destroyed"));
+      const timer = this.schedule(
+        () => finish(new Error("No picture from the new stream")),
+        SWITCH_TIMEOUT
+      );
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener("abort", onAbort, { once: true });
+      preview.addEventListener("loadeddata", () => finish(), { once: true });
+      preview.srcObject = stream;
+      preview.play().catch(() => {});
+    });
+  }
+
+  // Hand the video over to a session from openInBackground() and close the
+  // one it replaces. srcObject changes within the same task, so the old
+  // picture stays up until the new one is drawn.
+  adoptSession(sdk) {
+    this.closeSession();
+    this.resetSessionStats();
+    this.sdk = sdk;
+    this.elements.video.srcObject = sdk.stream;
+
+    // Its descriptions were set before it was the current session
+    const { localDescription, remoteDescription } = sdk.pc;
+    this.sdpInfo.local = localDescription ? localDescription.sdp : null;
+    if (remoteDescription) {
+      this.applyRemoteDescription(remoteDescription.sdp);
+    }
+
+    this.monitorConnection();
+    this.state.isPlaying = true;
+    this.state.streamStartTime = Date.now();
+    this.startStatsMonitoring();
+    this.startReplayBuffer();
+    const track = sdk.stream.getVideoTracks()[0];
+    if (track) {
+      this.monitorVideoTrack(track);
+    }
+    this.logCodecInfo();
+  }
+
+  // URL playing `rendition` (a stream name) of app/stream, with the token
+  // for app/stream
+  getPlayUrl(
+    rendition = this.state.rendition,
+    app = this.options.app,
+    stream = this.options.stream
+  ) {
+    const { protocol, url } = this.options;
+    const token = this.getToken(app, stream);
+    if (protocol === "whep") {
+      return withToken(
+        url ||
+          `${SRS_API_BASE}/rtc/v1/whep/?app=${encodeURIComponent(
+            app
+          )}&stream=${encodeURIComponent(rendition)}`,
+        token
+      );
+    }
+    return withToken(
+      `webrtc://${location.hostname}/${app}/${rendition}`,
+      token
+    );
+  }
+
+  getToken(app = this.options.app, stream = this.options.stream) {
+    return this.options.token || this.loadToken(app, stream);
+  }
+
+  // "required" (401), "denied" (403) or null. SRS answers a rejected on_play
+  // hook with the same generic error as any other refused play, so that is
+  // retried like other failures rather than taken for a sign-in.
+  getAuthFailure(error) {
+    const status = error && error.status;
+    if (status === 401) return "required";
+    if (status === 403) return "denied";
+    return null;
+  }
+
+  showAuth(reason, error) {
+    const { app, stream } = this.options;
+    console.warn("Playback not authorized:", error);
+
+    this.cancelReconnect();
+    this.state.reconnectAttempts = 0;
+    this.closeSession();
+    this.state.isPlaying = false;
+    this.showLoading(false);
+    this.updateConnectionStatus(
+      "bad",
+      reason === "required" ? "Sign-in required" : "Access denied"
+    );
+
+    // A stored token that stopped working is dropped
+    if (reason === "denied" && this.getToken() === this.loadToken()) {
+      this.saveToken(null);
+    }
+
+    if (this.elements.auth) {
+      this.elements.authTitle.textContent =
+        reason === "required" ? "Sign-in required" : "Access denied";
+      this.elements.authDetail.textContent =
+        reason === "required"
+          ? `Enter an access token to watch ${app}/${stream}.`
+          : "The access token is invalid or has expired. Enter a new one.";
+      this.elements.authInput.value = "";
+      this.elements.auth.classList.add("show");
+    }
+
+    this.emit("unauthorized", { app, stream, reason });
+  }
+
+  hideAuth() {
+    this.elements.auth?.classList.remove("show");
+  }
+
+  // Tokens entered by the viewer, kept across page loads
+  saveToken(token) {
+    if (!this.options.persistSettings) return;
+    try {
+      const tokens = JSON.parse(localStorage.getItem(TOKENS_KEY) || "{}");
+      const key = `${this.options.app}/${this.options.stream}`;
+      if (token) {
+        tokens[key] = token;
+      } else {
+        delete tokens[key];
+      }
+      localStorage.setItem(TOKENS_KEY, JSON.stringify(tokens));
+    } catch (error) {
+      console.warn("Error saving token:", error);
+    }
+  }
+
+  loadToken(app = this.options.app, stream = this.options.stream) {
+    if (!this.options.persistSettings) return null;
+    try {
+      const tokens = JSON.parse(localStorage.getItem(TOKENS_KEY) || "{}");
+      return tokens[`${app}/${stream}`] || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Store local and remote SDP for debugging and detect the video codec.
+  // Sessions opened in the background are picked up by adoptSession().
+  hookSessionDescriptions(pc) {
+    const isCurrent = () => this.sdk && this.sdk.pc === pc;
+
+    const originalSetLocalDescription = pc.setLocalDescription.bind(pc);
+    pc.setLocalDescription = async (desc) => {
+      if (isCurrent()) {
+        this.sdpInfo.local = desc.sdp;
+        this.sdpVersion++;
+      }
+      console.log("Local SDP:", desc.sdp);
+      return originalSetLocalDescription(desc);
+    };
+
+    const originalSetRemoteDescription = pc.setRemoteDescription.bind(pc);
+    pc.setRemoteDescription = async (desc) => {
+      if (isCurrent()) {
+        this.applyRemoteDescription(desc.sdp);
+      }
+      return originalSetRemoteDescription(desc);
+    };
+  }
+
+  applyRemoteDescription(sdp) {
+    this.sdpInfo.remote = sdp;
+    this.sdpVersion++;
+
+    // Log video parameters
+    const videoParams = this.extractVideoParams(sdp);
+    console.log("Video params from SDP:", videoParams);
+
+    // Detect codec type
+    if (videoParams.codec) {
+      if (
+        videoParams.codec.toLowerCase().includes("h265") ||
+        videoParams.codec.toLowerCase().includes("hevc")
+      ) {
+        this.state.codecType = "H265/HEVC";
+      } else if (
+        videoParams.codec.toLowerCase().includes("h264") ||
+        videoParams.codec.toLowerCase().includes("avc")
+      ) {
+        this.state.codecType = "H264/AVC";
+      } else if (videoParams.codec.toLowerCase().includes("vp8")) {
+        this.state.codecType = "VP8";
+      } else if (videoParams.codec.toLowerCase().includes("vp9")) {
+        this.state.codecType = "VP9";
+      } else if (videoParams.codec.toLowerCase().includes("av1")) {
+        this.state.codecType = "AV1";
+      } else {
+        this.state.codecType = videoParams.codec;
+      }
+    } else if (videoParams.h265ProfileId !== undefined) {
+      // H265 detected from profile-id
+      this.state.codecType = "H265/HEVC";
+    }
+
+    if (videoParams.codec) {
+      this.checkCodecSupport(videoParams.codec.split("/")[0]);
+    }
+
+    if (this.state.codecType) {
+      this.emit("codec", {
+        codec: this.state.codecType,
+        params: videoParams,
+      });
+    }
+  }
+
+  extractVideoParams(sdp) {
+    if (typeof parseSdp !== "undefined") {
+      return getSdpVideoParams(parseSdp(sdp));
+    }
+
+    const params = {};
 
     // Extract framerate from a=framerate line
     const framerateMatch = sdp.match(/a=framerate:(\d+)/);
@@ -453,11 +2053,37 @@ class WebRTCPlayer {
       let frameCount = 0;
       let lastTime = performance.now();
       let lastPresentedFrames = 0;
+      let lastCalibration = 0;
+      const delays = {
+        receive: 0,
+        receiveCount: 0,
+        capture: 0,
+        captureCount: 0,
+      };
 
       const onFrame = (now, metadata) => {
         const frameDelta = metadata.presentedFrames - lastPresentedFrames;
         frameCount += frameDelta;
 
+        // receiveTime/captureTime are only set for WebRTC sources, in the
+        // same clock as expectedDisplayTime (captureTime via RTCP SR)
+        if (metadata.receiveTime) {
+          delays.receive += metadata.expectedDisplayTime - metadata.receiveTime;
+          delays.receiveCount++;
+        }
+        if (metadata.captureTime) {
+          delays.capture += metadata.expectedDisplayTime - metadata.captureTime;
+          delays.captureCount++;
+        }
+
+        if (
+          this.state.calibrating &&
+          now - lastCalibration >= LATENCY_CALIBRATION_INTERVAL
+        ) {
+          lastCalibration = now;
+          this.readCalibration(metadata.expectedDisplayTime - now);
+        }
+
         const elapsed = now - lastTime;
         if (elapsed >= 1000) {
           const fps = (frameCount * 1000) / elapsed;
@@ -470,6 +2096,14 @@ class WebRTCPlayer {
             this.performanceMetrics.maxFpsAchieved = fps;
           }
 
+          this.performanceMetrics.receiveToDisplay = delays.receiveCount
+            ? delays.receive / delays.receiveCount
+            : null;
+          this.performanceMetrics.captureToDisplay = delays.captureCount
+            ? delays.capture / delays.captureCount
+            : null;
+          Object.keys(delays).forEach((key) => (delays[key] = 0));
+
           frameCount = 0;
           lastTime = now;
         }
@@ -478,18 +2112,29 @@ class WebRTCPlayer {
         this.performanceMetrics.lastPresentedFrames = metadata.presentedFrames;
 
         if (this.state.isPlaying) {
-          this.elements.video.requestVideoFrameCallback(onFrame);
+          this.videoFrameCallbackId =
+            this.elements.video.requestVideoFrameCallback(onFrame);
         }
       };
 
-      this.elements.video.requestVideoFrameCallback(onFrame);
+      this.stopVideoFrameMonitoring();
+      this.videoFrameCallbackId =
+        this.elements.video.requestVideoFrameCallback(onFrame);
+    }
+  }
+
+  stopVideoFrameMonitoring() {
+    if (this.videoFrameCallbackId !== null) {
+      this.elements.video.cancelVideoFrameCallback(this.videoFrameCallbackId);
+      this.videoFrameCallbackId = null;
     }
   }
 
   async logCodecInfo() {
     if (!this.sdk || !this.sdk.pc) return;
 
-    setTimeout(async () => {
+    this.schedule(async () => {
+      if (!this.sdk || !this.sdk.pc) return;
       const stats = await this.sdk.pc.getStats();
       const codecs = { video: [], audio: [] };
 
@@ -521,44 +2166,136 @@ class WebRTCPlayer {
   monitorConnection() {
     if (!this.sdk || !this.sdk.pc) return;
 
-    this.sdk.pc.addEventListener("connectionstatechange", () => {
-      const state = this.sdk.pc.connectionState;
+    const pc = this.sdk.pc;
+    pc.addEventListener("connectionstatechange", () => {
+      // Ignore late events from a session that has been replaced
+      if (!this.sdk || this.sdk.pc !== pc) return;
+
+      const state = pc.connectionState;
       console.log("Connection state changed:", state);
+      const { app, stream } = this.options;
 
       switch (state) {
         case "connected":
+          this.cancelReconnect();
+          this.state.reconnectAttempts = 0;
           this.updateConnectionStatus("good", "Connected");
+          this.emit("connected", { app, stream });
           break;
         case "connecting":
           this.updateConnectionStatus("connecting", "Connecting...");
           break;
         case "disconnected":
           this.updateConnectionStatus("bad", "Disconnected");
+          this.emit("disconnected", { app, stream, reason: state });
           this.attemptReconnect();
           break;
         case "failed":
           this.updateConnectionStatus("bad", "Connection Failed");
+          this.emit("disconnected", { app, stream, reason: state });
           this.attemptReconnect();
           break;
       }
     });
   }
 
-  async attemptReconnect() {
-    if (this.state.reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+  attemptReconnect() {
+    // "disconnected" is usually followed by "failed"; one retry at a time
+    if (this.reconnectTimer !== null) return;
+
+    const maxAttempts = this.options.maxReconnectAttempts;
+    if (this.state.reconnectAttempts >= maxAttempts) {
       this.showError("Connection lost. Please refresh the page.");
       return;
     }
 
     this.state.reconnectAttempts++;
+    const attempt = this.state.reconnectAttempts;
+    const delay = this.getReconnectDelay(attempt);
     this.updateConnectionStatus(
       "connecting",
-      `Reconnecting... (${this.state.reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})`
+      maxAttempts === Infinity
+        ? `Reconnecting... (${attempt})`
+        : `Reconnecting... (${attempt}/${maxAttempts})`
     );
+    this.emit("reconnecting", { attempt, maxAttempts, delay });
+    this.recordEvent("reconnect", `Reconnect attempt ${attempt}`);
 
-    setTimeout(() => {
-      this.startPlaying();
-    }, RECONNECT_DELAY);
+    this.reconnectTimer = this.schedule(() => {
+      this.reconnectTimer = null;
+      this.reconnect();
+    }, delay);
+  }
+
+  // Exponential backoff with jitter, so a wall of players doesn't hit the
+  // server in lockstep after an outage
+  getReconnectDelay(attempt) {
+    const delay = Math.min(
+      RECONNECT_MAX_DELAY,
+      RECONNECT_BASE_DELAY * 2 ** (attempt - 1)
+    );
+    return Math.round(delay / 2 + (Math.random() * delay) / 2);
+  }
+
+  // The first retry tries to keep the session with an ICE restart. The SRS
+  // SDK can't restart ICE, so there (or when the restart can't be sent) every
+  // retry is a full reconnect.
+  async reconnect() {
+    if (this.state.reconnectAttempts === 1 && (await this.restartIce())) {
+      return;
+    }
+
+    this.state.isPlaying = false;
+    this.closeSession();
+    this.startPlaying();
+  }
+
+  // Only WHEP can renegotiate ICE; the SRS play API has no such request.
+  // Resolves true when the restart was sent, the connection state decides
+  // whether it worked.
+  async restartIce() {
+    const sdk = this.sdk;
+    if (!sdk || !sdk.pc) return false;
+    if (typeof sdk.restartIce !== "function") {
+      console.log("No ICE restart with the SRS SDK, reconnecting instead");
+      return false;
+    }
+
+    try {
+      await sdk.restartIce();
+    } catch (error) {
+      console.warn("ICE restart failed:", error);
+      return false;
+    }
+    if (sdk !== this.sdk) return true;
+
+    clearTimeout(this.iceRestartTimer);
+    this.iceRestartTimer = this.schedule(() => {
+      if (sdk === this.sdk && sdk.pc.connectionState !== "connected") {
+        this.attemptReconnect();
+      }
+    }, ICE_RESTART_TIMEOUT);
+    return true;
+  }
+
+  cancelReconnect() {
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.iceRestartTimer);
+    this.reconnectTimer = null;
+  }
+
+  // online, network change or the tab became visible again: retry a dropped
+  // session right away instead of waiting out the backoff
+  retryNow() {
+    if (this.state.reconnectAttempts === 0) return;
+
+    console.log("Network or visibility changed, retrying now");
+    this.cancelReconnect();
+    // Conditions changed, so a player that gave up gets a fresh set of attempts
+    if (this.state.reconnectAttempts >= this.options.maxReconnectAttempts) {
+      this.state.reconnectAttempts = 0;
+    }
+    this.attemptReconnect();
   }
 
   handlePlaybackError(error) {
@@ -567,18 +2304,21 @@ class WebRTCPlayer {
     this.updateConnectionStatus("bad", "Error");
 
     let errorMessage = "Failed to start playback. ";
+    // The SRS SDK rejects with the XMLHttpRequest instead of an Error
+    const message = (error && error.message) || "";
 
-    if (error.message.includes("Permission")) {
+    if (message.includes("Permission")) {
       errorMessage += "Please allow camera/microphone access.";
-    } else if (error.message.includes("NotFound")) {
+    } else if (message.includes("NotFound")) {
       errorMessage += "Stream not found.";
-    } else if (error.message.includes("Network")) {
+    } else if (message.includes("Network")) {
       errorMessage += "Network error. Please check your connection.";
     } else {
-      errorMessage += error.message || "Unknown error.";
+      errorMessage += message || "Unknown error.";
     }
 
     this.showError(errorMessage);
+    this.emit("error", { error, message: errorMessage });
   }
 
   // UI Update Methods
@@ -590,7 +2330,7 @@ class WebRTCPlayer {
     this.elements.errorBox.textContent = message;
     this.elements.errorBox.classList.add("show");
 
-    setTimeout(() => {
+    this.schedule(() => {
       this.elements.errorBox.classList.remove("show");
     }, 5000);
   }
@@ -600,10 +2340,16 @@ class WebRTCPlayer {
     this.elements.statusIndicator.className = `status-indicator ${quality}`;
     this.elements.statusText.textContent = text;
     this.elements.connectionStatus.classList.add("show");
+    if (this.pip) {
+      this.pip.statusIndicator.className = `status-indicator ${quality}`;
+      this.pip.statusIndicator.title = text;
+    }
 
     if (quality === "good") {
-      setTimeout(() => {
-        this.elements.connectionStatus.classList.remove("show");
+      this.schedule(() => {
+        if (this.state.connectionQuality === "good") {
+          this.elements.connectionStatus.classList.remove("show");
+        }
       }, 3000);
     }
   }
@@ -660,35 +2406,59 @@ class WebRTCPlayer {
         '<path d="M3 9v6h4l5 5V4L7 9H3zm13.5 3c0-1.77-1.02-3.29-2.5-4.03v8.05c1.48-.73 2.5-2.25 2.5-4.02zM14 3.23v2.06c2.89.86 5 3.54 5 6.71s-2.11 5.85-5 6.71v2.06c4.01-.91 7-4.49 7-8.77s-2.99-7.86-7-8.77z"/>';
     }
 
-    this.elements.volumeBtn.innerHTML = `<svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">${icon}</svg>`;
+    const svg = `<svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">${icon}</svg>`;
+    this.elements.volumeBtn.innerHTML = svg;
+    if (this.pip) {
+      this.pip.volumeBtn.innerHTML = svg;
+      this.pip.volumeSlider.value = this.elements.volumeSlider.value;
+    }
   }
 
   // Zoom Controls
-  zoom(delta) {
-    const newScale = Math.max(
-      ZOOM_MIN,
-      Math.min(ZOOM_MAX, this.state.zoom.scale + delta)
-    );
-    this.state.zoom.scale = newScale;
+  // focal: { x, y } in client coordinates that stays where it is on screen,
+  // the viewport's centre by default
+  zoom(factor, focal) {
+    this.setZoom(this.state.zoom.scale * factor, focal);
+  }
 
-    if (newScale === 1) {
+  setZoom(scale, focal) {
+    const zoom = this.state.zoom;
+    const newScale = Math.max(ZOOM_MIN, Math.min(this.options.maxZoom, scale));
+    if (newScale < ZOOM_MIN + ZOOM_SNAP) {
       this.resetZoom();
-    } else {
-      this.clampPan();
-      this.applyTransform();
+      return;
     }
+
+    this.stopViewAnimation();
+    this.stopTour();
+    const offset = this.getViewportOffset(focal);
+    const ratio = newScale / zoom.scale;
+    zoom.translateX = offset.x - (offset.x - zoom.translateX) * ratio;
+    zoom.translateY = offset.y - (offset.y - zoom.translateY) * ratio;
+    zoom.scale = newScale;
+    this.clampPan();
+    this.applyTransform();
   }
 
-  toggleZoom() {
+  toggleZoom(focal) {
     if (this.state.zoom.scale === 1) {
-      this.state.zoom.scale = 2;
+      this.setZoom(2, focal);
     } else {
       this.resetZoom();
     }
+  }
+
+  pan(deltaX, deltaY) {
+    this.stopTour();
+    this.state.zoom.translateX += deltaX;
+    this.state.zoom.translateY += deltaY;
+    this.clampPan();
     this.applyTransform();
   }
 
   resetZoom() {
+    this.stopViewAnimation();
+    this.stopTour();
     this.state.zoom = {
       scale: 1,
       translateX: 0,
@@ -697,8 +2467,25 @@ class WebRTCPlayer {
     this.applyTransform();
   }
 
+  // The element the video is shown in: the player, or the Document
+  // Picture-in-Picture window's container
+  getViewport() {
+    return this.pip ? this.pip.container : this.elements.container;
+  }
+
+  // A client point's offset from the viewport's centre, which the video is
+  // scaled around; { 0, 0 } without one
+  getViewportOffset(point) {
+    if (!point) return { x: 0, y: 0 };
+    const rect = this.getViewport().getBoundingClientRect();
+    return {
+      x: point.x - rect.left - rect.width / 2,
+      y: point.y - rect.top - rect.height / 2,
+    };
+  }
+
   clampPan() {
-    const rect = this.elements.container.getBoundingClientRect();
+    const rect = this.getViewport().getBoundingClientRect();
     const maxX = Math.max(
       0,
       (rect.width * this.state.zoom.scale - rect.width) / 2
@@ -722,117 +2509,1097 @@ class WebRTCPlayer {
     const { scale, translateX, translateY } = this.state.zoom;
     this.elements.video.style.transform = `translate(${translateX}px, ${translateY}px) scale(${scale})`;
     this.elements.zoomLabel.textContent = `${Math.round(scale * 100)}%`;
+    if (this.pip) {
+      this.pip.zoomLabel.textContent = this.elements.zoomLabel.textContent;
+    }
+    this.updateMinimap();
     this.savePlayerSettings();
   }
 
-  // Screenshot
-  takeScreenshot() {
-    const canvas = document.createElement("canvas");
-    canvas.width = this.elements.video.videoWidth;
-    canvas.height = this.elements.video.videoHeight;
-
-    const ctx = canvas.getContext("2d");
-    ctx.drawImage(this.elements.video, 0, 0);
+  // Keeps a released pan moving, slowing down, until it stops or reaches
+  // the edge. velocity: px/ms.
+  startPanMomentum(velocityX, velocityY) {
+    this.stopViewAnimation();
+    if (Math.hypot(velocityX, velocityY) < PAN_MIN_VELOCITY) return;
+
+    let last = performance.now();
+    const step = (now) => {
+      const elapsed = now - last;
+      last = now;
+      const zoom = this.state.zoom;
+      const x = zoom.translateX + velocityX * elapsed;
+      const y = zoom.translateY + velocityY * elapsed;
+      zoom.translateX = x;
+      zoom.translateY = y;
+      this.clampPan();
+      // Stopped by an edge
+      if (zoom.translateX !== x) velocityX = 0;
+      if (zoom.translateY !== y) velocityY = 0;
+      this.applyTransform();
 
-    // Flash effect
-    const flash = document.createElement("div");
-    flash.className = "screenshot-flash";
-    this.elements.container.appendChild(flash);
-    setTimeout(() => flash.remove(), 300);
+      const friction = Math.pow(1 - PAN_FRICTION, elapsed / 16);
+      velocityX *= friction;
+      velocityY *= friction;
+      if (Math.hypot(velocityX, velocityY) < PAN_MIN_VELOCITY) {
+        this.stopViewAnimation();
+      } else {
+        this.viewAnimation = requestAnimationFrame(step);
+      }
+    };
+    this.elements.video.classList.add("gesturing");
+    this.viewAnimation = requestAnimationFrame(step);
+  }
 
-    // Download
-    canvas.toBlob((blob) => {
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = `screenshot-${new Date()
-        .toISOString()
-        .slice(0, 19)
-        .replace(/[:.]/g, "-")}.png`;
-      a.click();
-      URL.revokeObjectURL(url);
-    });
+  stopViewAnimation() {
+    if (this.viewAnimation) {
+      cancelAnimationFrame(this.viewAnimation);
+      this.viewAnimation = null;
+    }
+    this.elements.video.classList.remove("gesturing");
   }
 
-  // Fullscreen
-  toggleFullscreen() {
-    if (document.fullscreenElement) {
-      document.exitFullscreen();
-    } else {
-      this.elements.container.requestFullscreen();
+  // Digital PTZ: minimap and view presets
+  // The frame within the unscaled video element (object-fit: contain), in
+  // px from its top left
+  getFrameRect() {
+    const rect = this.getViewport().getBoundingClientRect();
+    const { videoWidth, videoHeight } = this.elements.video;
+    if (!videoWidth || !videoHeight) {
+      return { x: 0, y: 0, width: rect.width, height: rect.height };
     }
+    const fit = Math.min(rect.width / videoWidth, rect.height / videoHeight);
+    const width = videoWidth * fit;
+    const height = videoHeight * fit;
+    return {
+      x: (rect.width - width) / 2,
+      y: (rect.height - height) / 2,
+      width,
+      height,
+    };
   }
 
-  onFullscreenChange() {
-    const isFullscreen = !!document.fullscreenElement;
-    this.elements.container.classList.toggle("fullscreen", isFullscreen);
+  // Centre of what's on screen, as a share of the frame
+  getViewCentre() {
+    const rect = this.getViewport().getBoundingClientRect();
+    const frame = this.getFrameRect();
+    if (!frame.width || !frame.height) return { x: 0.5, y: 0.5 };
+    const { scale, translateX, translateY } = this.state.zoom;
+    return {
+      x: (rect.width / 2 - translateX / scale - frame.x) / frame.width,
+      y: (rect.height / 2 - translateY / scale - frame.y) / frame.height,
+    };
+  }
 
-    const icon = isFullscreen
-      ? '<path d="M5 16h3v3h2v-5H5v2zm3-8H5v2h5V5H8v3zm6 11h2v-3h3v-2h-5v5zm2-11V5h-2v5h5V8h-3z"/>'
-      : '<path d="M7 14H5v5h5v-2H7v-3zm-2-4h2V7h3V5H5v5zm12 7h-3v2h5v-5h-2v3zM14 5v2h3v3h2V5h-5z"/>';
+  // Pans the current zoom to put the frame's point (shares of it) in the
+  // middle, as far as the edges allow
+  centreView(x, y) {
+    const rect = this.getViewport().getBoundingClientRect();
+    const frame = this.getFrameRect();
+    const scale = this.state.zoom.scale;
+    this.state.zoom.translateX =
+      (rect.width / 2 - frame.x - x * frame.width) * scale;
+    this.state.zoom.translateY =
+      (rect.height / 2 - frame.y - y * frame.height) * scale;
+    this.clampPan();
+    this.applyTransform();
+  }
 
-    this.elements.fullscreenBtn.innerHTML = `<svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">${icon}</svg>`;
+  // Eases to { scale, x, y } (a view preset)
+  animateView(view) {
+    this.stopViewAnimation();
+    const scale = Math.max(
+      ZOOM_MIN,
+      Math.min(this.options.maxZoom, view.scale)
+    );
+    const from = { scale: this.state.zoom.scale, ...this.getViewCentre() };
+    const start = performance.now();
+
+    const step = (now) => {
+      const progress = Math.min(1, (now - start) / PRESET_ANIMATION_DURATION);
+      const eased =
+        progress < 0.5
+          ? 2 * progress * progress
+          : 1 - Math.pow(2 - 2 * progress, 2) / 2;
+      // Zooming at an even pace looks like a steady camera move
+      this.state.zoom.scale = from.scale * Math.pow(scale / from.scale, eased);
+      this.centreView(
+        from.x + (view.x - from.x) * eased,
+        from.y + (view.y - from.y) * eased
+      );
+      if (progress < 1) {
+        this.viewAnimation = requestAnimationFrame(step);
+      } else {
+        this.stopViewAnimation();
+      }
+    };
+    this.elements.video.classList.add("gesturing");
+    this.viewAnimation = requestAnimationFrame(step);
   }
 
-  // Debug Panel
-  toggleDebugPanel() {
-    const isVisible = this.elements.debugPanel.classList.toggle("show");
-    this.elements.debugBtn.classList.toggle("active", isVisible);
+  setupMinimapControls() {
+    const { minimap, minimapViewport } = this.elements;
+    // Pointer's offset from the view's centre, so dragging the rectangle
+    // doesn't make it jump; clicking elsewhere centres the view there
+    let grab = null;
+
+    const getPoint = (e) => {
+      const rect = minimap.getBoundingClientRect();
+      return {
+        x: (e.clientX - rect.left) / rect.width,
+        y: (e.clientY - rect.top) / rect.height,
+      };
+    };
 
-    if (isVisible) {
-      this.startDebugMonitoring();
-    } else {
-      this.stopDebugMonitoring();
+    const handlePointerDown = (e) => {
+      e.preventDefault();
+      this.stopViewAnimation();
+      this.stopTour();
+      const point = getPoint(e);
+      const centre = this.getViewCentre();
+      grab =
+        e.target === minimapViewport
+          ? { x: point.x - centre.x, y: point.y - centre.y }
+          : { x: 0, y: 0 };
+      minimap.setPointerCapture(e.pointerId);
+      this.elements.video.classList.add("gesturing");
+      this.centreView(point.x - grab.x, point.y - grab.y);
+    };
+
+    const handlePointerMove = (e) => {
+      if (!grab) return;
+      const point = getPoint(e);
+      this.centreView(point.x - grab.x, point.y - grab.y);
+    };
+
+    const handlePointerUp = (e) => {
+      if (!grab) return;
+      grab = null;
+      this.elements.video.classList.remove("gesturing");
+      try {
+        minimap.releasePointerCapture(e.pointerId);
+      } catch {}
+    };
+
+    const { signal } = this.abortController;
+    minimap.addEventListener("pointerdown", handlePointerDown, { signal });
+    minimap.addEventListener("pointermove", handlePointerMove, { signal });
+    minimap.addEventListener("pointerup", handlePointerUp, { signal });
+    minimap.addEventListener("pointercancel", handlePointerUp, { signal });
+  }
+
+  // Shown while zoomed in: the whole frame, refreshed every second, and the
+  // part of it on screen
+  updateMinimap() {
+    const { minimap, minimapViewport, video } = this.elements;
+    if (!minimap) return;
+    const visible = this.state.zoom.scale > 1 && video.videoWidth > 0;
+    minimap.classList.toggle("show", visible);
+
+    if (!visible) {
+      clearInterval(this.minimapInterval);
+      this.minimapInterval = null;
+      return;
+    }
+    if (!this.minimapInterval) {
+      this.drawMinimap();
+      this.minimapInterval = setInterval(
+        () => this.drawMinimap(),
+        MINIMAP_UPDATE_INTERVAL
+      );
+    }
+
+    const rect = this.getViewport().getBoundingClientRect();
+    const frame = this.getFrameRect();
+    const { scale } = this.state.zoom;
+    const centre = this.getViewCentre();
+    const width = rect.width / scale / frame.width;
+    const height = rect.height / scale / frame.height;
+    const left = Math.max(0, centre.x - width / 2);
+    const top = Math.max(0, centre.y - height / 2);
+    const right = Math.min(1, centre.x + width / 2);
+    const bottom = Math.min(1, centre.y + height / 2);
+    Object.assign(minimapViewport.style, {
+      left: `${left * 100}%`,
+      top: `${top * 100}%`,
+      width: `${(right - left) * 100}%`,
+      height: `${(bottom - top) * 100}%`,
+    });
+  }
+
+  drawMinimap() {
+    const { minimapCanvas: canvas, video } = this.elements;
+    if (video.readyState < 2) return;
+    const height = Math.round(
+      (MINIMAP_WIDTH * video.videoHeight) / video.videoWidth
+    );
+    if (canvas.width !== MINIMAP_WIDTH || canvas.height !== height) {
+      canvas.width = MINIMAP_WIDTH;
+      canvas.height = height;
     }
+    canvas.getContext("2d").drawImage(video, 0, 0, MINIMAP_WIDTH, height);
   }
 
-  startDebugMonitoring() {
-    this.updateDebugInfo();
-    this.debugInterval = setInterval(
-      () => this.updateDebugInfo(),
-      DEBUG_UPDATE_INTERVAL
+  setupPresetControls() {
+    const { signal } = this.abortController;
+    this.elements.presetList.addEventListener(
+      "click",
+      (e) => {
+        const button = e.target.closest("[data-preset]");
+        if (!button) return;
+        const index = parseInt(button.dataset.preset);
+        if (button.classList.contains("preset-delete")) {
+          this.deletePreset(index);
+        } else {
+          this.goToPreset(index);
+        }
+      },
+      { signal }
+    );
+    this.elements.presetForm.addEventListener(
+      "submit",
+      (e) => {
+        e.preventDefault();
+        this.addPreset(this.elements.presetInput.value.trim());
+        this.elements.presetInput.value = "";
+      },
+      { signal }
     );
+    this.elements.presetTourBtn.addEventListener(
+      "click",
+      () => this.toggleTour(),
+      { signal }
+    );
+  }
+
+  togglePresets() {
+    if (!this.elements.presets) return;
+    const show = this.elements.presets.classList.toggle("show");
+    this.elements.viewsBtn.classList.toggle("active", show);
   }
 
-  stopDebugMonitoring() {
-    if (this.debugInterval) {
-      clearInterval(this.debugInterval);
-      this.debugInterval = null;
+  // Saves the current view, replacing any of the same name
+  addPreset(name) {
+    const { scale } = this.state.zoom;
+    const { x, y } = this.getViewCentre();
+    const preset = {
+      name: name || `View ${this.presets.length + 1}`,
+      scale: Math.round(scale * 1000) / 1000,
+      x: Math.round(x * 10000) / 10000,
+      y: Math.round(y * 10000) / 10000,
+    };
+    const index = this.presets.findIndex((p) => p.name === preset.name);
+    if (index >= 0) {
+      this.presets[index] = preset;
+    } else {
+      this.presets.push(preset);
     }
+    this.savePresets();
+    this.renderPresets();
   }
 
-  async updateDebugInfo() {
-    if (!this.sdk || !this.sdk.pc) {
-      this.elements.debugContent.innerHTML = `
-                <div class="debug-section">
-                    <div class="debug-section-title">Not Connected</div>
-                </div>
-            `;
-      return;
+  deletePreset(index) {
+    this.presets.splice(index, 1);
+    this.savePresets();
+    this.renderPresets();
+    if (this.presets.length < 2) {
+      this.stopTour();
     }
+  }
 
-    try {
-      const stats = await this.sdk.pc.getStats();
-      const report = this.parseStats(stats);
+  goToPreset(index) {
+    const preset = this.presets[index];
+    if (!preset) return;
+    this.stopTour();
+    this.animateView(preset);
+  }
 
-      switch (this.activeDebugTab) {
-        case "stats":
-          this.renderStatsTab(report);
-          break;
+  renderPresets() {
+    if (!this.elements.presetList) return;
+    this.elements.presetList.innerHTML = this.presets
+      .map(
+        (preset, index) => `
+          <div class="preset-item">
+            <button class="preset-go" type="button" data-preset="${index}">
+              ${index < 9 ? `<span class="preset-key">${index + 1}</span>` : ""}
+              ${escapeHtml(preset.name)}
+            </button>
+            <button class="preset-delete" type="button" data-preset="${index}" aria-label="Delete ${escapeHtml(
+          preset.name
+        )}">×</button>
+          </div>
+        `
+      )
+      .join("");
+    this.elements.presetTourBtn.disabled = this.presets.length < 2;
+    this.elements.presetTourBtn.textContent = this.tourTimer
+      ? "Stop tour"
+      : "Start tour";
+    this.elements.presetTourBtn.classList.toggle("active", !!this.tourTimer);
+  }
+
+  savePresets() {
+    try {
+      const presets = JSON.parse(localStorage.getItem(PRESETS_KEY) || "{}");
+      const key = `${this.options.app}/${this.options.stream}`;
+      if (this.presets.length) {
+        presets[key] = this.presets;
+      } else {
+        delete presets[key];
+      }
+      localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+    } catch (error) {
+      console.warn("Error saving view presets:", error);
+    }
+  }
+
+  // The stream's presets; starts the tour when the tour option is set
+  loadPresets() {
+    this.stopTour();
+    try {
+      const presets = JSON.parse(localStorage.getItem(PRESETS_KEY) || "{}");
+      const saved = presets[`${this.options.app}/${this.options.stream}`];
+      this.presets = Array.isArray(saved) ? saved : [];
+    } catch (error) {
+      this.presets = [];
+    }
+    this.renderPresets();
+    if (this.options.tour > 0) {
+      this.startTour();
+    }
+  }
+
+  // Cycles through the presets until stopped, or until the view is zoomed
+  // or panned by hand
+  startTour() {
+    if (this.presets.length < 2) return;
+    this.stopTour();
+    const interval = (this.options.tour || TOUR_INTERVAL) * 1000;
+    const next = () => {
+      this.tourIndex = (this.tourIndex + 1) % this.presets.length;
+      this.animateView(this.presets[this.tourIndex]);
+      this.tourTimer = this.schedule(next, interval);
+    };
+    next();
+    this.renderPresets();
+  }
+
+  stopTour() {
+    if (!this.tourTimer) return;
+    clearTimeout(this.tourTimer);
+    this.tourTimer = null;
+    this.renderPresets();
+  }
+
+  toggleTour() {
+    if (this.tourTimer) {
+      this.stopTour();
+    } else {
+      this.startTour();
+    }
+  }
+
+  // Screenshot
+  takeScreenshot() {
+    const canvas = document.createElement("canvas");
+    canvas.width = this.elements.video.videoWidth;
+    canvas.height = this.elements.video.videoHeight;
+
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(this.elements.video, 0, 0);
+
+    // Flash effect
+    const flash = document.createElement("div");
+    flash.className = "screenshot-flash";
+    this.elements.container.appendChild(flash);
+    this.schedule(() => flash.remove(), 300);
+
+    // Download
+    canvas.toBlob((blob) => {
+      this.downloadBlob(blob, this.getFileName("screenshot", "png"));
+    });
+  }
+
+  getFileName(prefix, extension) {
+    const time = new Date().toISOString().slice(0, 19).replace(/[:.]/g, "-");
+    return `${prefix}-${time}.${extension}`;
+  }
+
+  downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // Recording
+  toggleRecording() {
+    if (this.recorder) {
+      this.stopRecording();
+    } else {
+      this.startRecording();
+    }
+  }
+
+  startRecording() {
+    if (typeof StreamRecorder === "undefined") {
+      this.showError("Recorder not loaded. Please reload the page.");
+      return;
+    }
+    if (!this.sdk || !this.sdk.stream.getTracks().length) {
+      this.showError("Nothing to record yet.");
+      return;
+    }
+
+    try {
+      this.recorder = new StreamRecorder(this.sdk.stream);
+      this.recorder.start();
+    } catch (error) {
+      console.error("Recording failed:", error);
+      this.recorder = null;
+      this.showError(`Recording failed: ${error.message}`);
+      return;
+    }
+
+    console.log("Recording started:", this.recorder.mimeType);
+    this.elements.recordBtn.classList.add("active");
+    this.updateRecordingLabel();
+    this.recordingInterval = setInterval(
+      () => this.updateRecordingLabel(),
+      1000
+    );
+  }
+
+  // Downloads what was recorded so far
+  async stopRecording() {
+    const recorder = this.recorder;
+    if (!recorder) return;
+
+    this.recorder = null;
+    clearInterval(this.recordingInterval);
+    this.elements.recordBtn?.classList.remove("active");
+    if (this.elements.recordLabel) {
+      this.elements.recordLabel.textContent = "";
+    }
+
+    const blob = await recorder.stop();
+    if (blob && blob.size > 0) {
+      this.downloadBlob(
+        blob,
+        this.getFileName(`recording-${this.options.stream}`, recorder.extension)
+      );
+    }
+  }
+
+  updateRecordingLabel() {
+    const seconds = Math.floor(this.recorder.elapsed / 1000);
+    const time = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(
+      2,
+      "0"
+    )}`;
+    const size = (this.recorder.size / 1024 / 1024).toFixed(1);
+    this.elements.recordLabel.textContent = `${time} · ${size} MB`;
+  }
+
+  // Instant replay: keeps the last options.replayBuffer seconds of every
+  // session ready to save
+  startReplayBuffer() {
+    this.stopReplayBuffer();
+    if (
+      !this.options.replayBuffer ||
+      typeof ReplayBuffer === "undefined" ||
+      !getRecorderMimeType() ||
+      !this.sdk.stream.getTracks().length
+    ) {
+      return;
+    }
+
+    this.replayBuffer = new ReplayBuffer(
+      this.sdk.stream,
+      this.options.replayBuffer
+    );
+    this.replayBuffer.start();
+  }
+
+  stopReplayBuffer() {
+    if (this.replayBuffer) {
+      this.replayBuffer.stop();
+      this.replayBuffer = null;
+    }
+  }
+
+  async saveReplay() {
+    if (!this.replayBuffer) {
+      this.showError(
+        this.options.replayBuffer
+          ? "Nothing to replay yet."
+          : "Instant replay is off. Enable it with ?replay=<seconds>."
+      );
+      return;
+    }
+
+    const replayBuffer = this.replayBuffer;
+    const blob = await replayBuffer.save();
+    if (blob && blob.size > 0) {
+      this.downloadBlob(
+        blob,
+        this.getFileName(
+          `replay-${this.options.stream}`,
+          replayBuffer.extension
+        )
+      );
+    }
+  }
+
+  // Fullscreen
+  toggleFullscreen() {
+    if (document.fullscreenElement) {
+      document.exitFullscreen();
+    } else {
+      this.elements.container.requestFullscreen();
+    }
+  }
+
+  onFullscreenChange() {
+    const isFullscreen = document.fullscreenElement === this.elements.container;
+    this.elements.container.classList.toggle("fullscreen", isFullscreen);
+
+    const icon = isFullscreen
+      ? '<path d="M5 16h3v3h2v-5H5v2zm3-8H5v2h5V5H8v3zm6 11h2v-3h3v-2h-5v5zm2-11V5h-2v5h5V8h-3z"/>'
+      : '<path d="M7 14H5v5h5v-2H7v-3zm-2-4h2V7h3V5H5v5zm12 7h-3v2h5v-5h-2v3zM14 5v2h3v3h2V5h-5z"/>';
+
+    this.elements.fullscreenBtn.innerHTML = `<svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">${icon}</svg>`;
+  }
+
+  // Picture-in-Picture: a Document Picture-in-Picture window with the
+  // player's own controls where supported, else the video's
+  isPictureInPictureSupported() {
+    return (
+      "documentPictureInPicture" in window ||
+      (!!document.pictureInPictureEnabled &&
+        !this.elements.video.disablePictureInPicture)
+    );
+  }
+
+  async togglePictureInPicture() {
+    try {
+      if (this.pip) {
+        this.closeDocumentPictureInPicture();
+      } else if (document.pictureInPictureElement === this.elements.video) {
+        await document.exitPictureInPicture();
+      } else if ("documentPictureInPicture" in window) {
+        await this.openDocumentPictureInPicture();
+      } else if (document.pictureInPictureEnabled) {
+        await this.elements.video.requestPictureInPicture();
+      }
+    } catch (error) {
+      console.warn("Picture-in-Picture failed:", error);
+    }
+  }
+
+  async openDocumentPictureInPicture() {
+    const { video, connectionStatus } = this.elements;
+    const aspect = video.videoWidth
+      ? video.videoHeight / video.videoWidth
+      : 9 / 16;
+    const pipWindow = await documentPictureInPicture.requestWindow({
+      width: PIP_WIDTH,
+      height: Math.round(PIP_WIDTH * aspect),
+    });
+    const doc = pipWindow.document;
+
+    // Same styles as the page; cross-origin sheets can't be read, so they're
+    // linked instead
+    [...document.styleSheets].forEach((sheet) => {
+      try {
+        const style = doc.createElement("style");
+        style.textContent = [...sheet.cssRules]
+          .map((rule) => rule.cssText)
+          .join("\n");
+        doc.head.append(style);
+      } catch {
+        const link = doc.createElement("link");
+        link.rel = "stylesheet";
+        link.href = sheet.href;
+        doc.head.append(link);
+      }
+    });
+    doc.body.className = "pip-window";
+    doc.body.innerHTML = PIP_TEMPLATE;
+
+    const $ = (selector) => doc.querySelector(selector);
+    this.pip = {
+      window: pipWindow,
+      container: $(".pip-container"),
+      statusIndicator: $(".status-indicator"),
+      volumeBtn: $(".pip-volume-btn"),
+      volumeSlider: $(".volume-slider"),
+      zoomLabel: $(".zoom-label"),
+      // Where the moved elements go back to
+      slots: [video, connectionStatus].map((element) => [
+        element,
+        element.parentNode,
+        element.nextSibling,
+      ]),
+    };
+    this.pip.container.prepend(video, connectionStatus);
+
+    this.pip.volumeBtn.addEventListener("click", () => this.toggleMute());
+    this.pip.volumeSlider.addEventListener("input", (e) => {
+      this.elements.volumeSlider.value = e.target.value;
+      this.setVolume(e.target.value);
+    });
+    $(".zoom-in").addEventListener("click", () => this.zoom(ZOOM_STEP));
+    $(".zoom-out").addEventListener("click", () => this.zoom(1 / ZOOM_STEP));
+    $(".pip-close-btn").addEventListener("click", () =>
+      this.closeDocumentPictureInPicture()
+    );
+    if (this.options.keyboard) {
+      this.setupKeyboardShortcuts(doc);
+    }
+    pipWindow.addEventListener("resize", () => {
+      this.clampPan();
+      this.applyTransform();
+    });
+    // Closed by the user or the browser
+    pipWindow.addEventListener("pagehide", () =>
+      this.closeDocumentPictureInPicture()
+    );
+
+    this.updateConnectionStatus(
+      this.state.connectionQuality,
+      this.elements.statusText.textContent
+    );
+    this.updateVolumeIcon();
+    this.clampPan();
+    this.applyTransform();
+    this.onPictureInPictureChange();
+  }
+
+  closeDocumentPictureInPicture() {
+    if (!this.pip) return;
+    const { window: pipWindow, slots } = this.pip;
+    this.pip = null;
+    slots.forEach(([element, parent, next]) =>
+      parent.insertBefore(element, next)
+    );
+    this.clampPan();
+    this.applyTransform();
+    this.onPictureInPictureChange();
+    pipWindow.close();
+  }
+
+  onPictureInPictureChange() {
+    const active =
+      !!this.pip || document.pictureInPictureElement === this.elements.video;
+    this.elements.pipBtn?.classList.toggle("active", active);
+    this.elements.pipPlaceholder?.classList.toggle("show", active);
+  }
+
+  // Debug Panel
+  toggleDebugPanel() {
+    const isVisible = this.elements.debugPanel.classList.toggle("show");
+    this.elements.debugBtn.classList.toggle("active", isVisible);
+
+    if (isVisible) {
+      this.updateDebugInfo();
+    }
+  }
+
+  // Stats are collected while connected (for the "stats" event and the
+  // history graphs); the debug panel only renders the latest report
+  startStatsMonitoring() {
+    this.stopStatsMonitoring();
+    this.resetWatchdog();
+    this.statsInterval = setInterval(
+      () => this.collectStats(),
+      DEBUG_UPDATE_INTERVAL
+    );
+  }
+
+  stopStatsMonitoring() {
+    if (this.statsInterval) {
+      clearInterval(this.statsInterval);
+      this.statsInterval = null;
+    }
+  }
+
+  async collectStats() {
+    if (!this.sdk || !this.sdk.pc) return;
+
+    try {
+      const stats = await this.sdk.pc.getStats();
+      const report = this.parseStats(stats);
+      this.updateQuality(report);
+      this.updateAdaptiveBitrate(report);
+
+      this.updateStatsHistory(report);
+      if (this.metrics) {
+        this.metrics.add(report);
+      }
+      this.recordStatsEvents(report, this.lastReport);
+      this.lastReport = report;
+      this.emit("stats", report);
+      this.checkStall(report);
+      this.updateQualityStatus(report);
+      this.updateLatencyControl(report);
+
+      if (this.elements.debugPanel.classList.contains("show")) {
+        this.updateDebugInfo();
+      }
+    } catch (error) {
+      console.error("Error collecting stats:", error);
+    }
+  }
+
+  // Adds report.quality (null until there is video to score)
+  updateQuality(report) {
+    if (!this.quality) return;
+
+    const previous = this.lastReport && this.lastReport.quality;
+    report.quality = this.quality.update(report);
+    if (
+      report.quality &&
+      (!previous || previous.level !== report.quality.level)
+    ) {
+      this.emit("quality", report.quality);
+    }
+  }
+
+  // While connected and not stalled, the status pill shows the QoE score. It
+  // stays up unless quality is good.
+  updateQualityStatus(report) {
+    if (!report.quality || this.watchdog.reason) return;
+
+    const { score, level } = report.quality;
+    const text = `Connected · QoE ${score}`;
+    if (level !== this.state.connectionQuality) {
+      this.updateConnectionStatus(level, text);
+    } else {
+      this.elements.statusText.textContent = text;
+    }
+  }
+
+  hasDebugData() {
+    return !!(this.sdk && this.sdk.pc && this.lastReport);
+  }
+
+  updateDebugInfo() {
+    // The history stays browsable while disconnected
+    if (this.activeDebugTab === "charts") {
+      this.renderChartsTab();
+      return;
+    }
+    // So does the SDP of a failed negotiation
+    if (this.activeDebugTab === "sdp") {
+      this.renderSdpTab();
+      return;
+    }
+
+    if (!this.hasDebugData()) {
+      this.elements.debugContent.innerHTML = `
+                <div class="debug-section">
+                    <div class="debug-section-title">Not Connected</div>
+                </div>
+            `;
+      return;
+    }
+
+    try {
+      switch (this.activeDebugTab) {
+        case "stats":
+          this.renderStatsTab(this.lastReport);
+          break;
         case "connection":
-          this.renderConnectionTab(report);
+          this.renderConnectionTab(this.lastReport);
           break;
         case "media":
-          this.renderMediaTab(report);
+          this.renderMediaTab(this.lastReport);
+          break;
+        case "health":
+          this.renderHealthTab(this.lastReport);
           break;
       }
-
-      this.updateStatsHistory(report);
     } catch (error) {
       console.error("Error updating debug info:", error);
     }
   }
 
+  // Offline / waiting for broadcast
+  // "online", "offline", "unreachable" (API down) or "unknown" (no API)
+  async getStreamStatus() {
+    if (!this.api) return "unknown";
+
+    try {
+      return await this.api.getStreamStatus(
+        this.options.app,
+        this.state.rendition
+      );
+    } catch (error) {
+      console.warn("SRS API unreachable:", error);
+      return "unreachable";
+    }
+  }
+
+  // Resolves true when the stream turned out to be offline and the player
+  // switched to the waiting screen
+  async checkBroadcast() {
+    const sdk = this.sdk;
+    const status = await this.getStreamStatus();
+    if (sdk !== this.sdk || status !== "offline") return false;
+
+    this.waitForBroadcast(status);
+    return true;
+  }
+
+  // Drop the session and poll the API until someone publishes
+  waitForBroadcast(status) {
+    const { app, stream } = this.options;
+    const lastSeen = this.loadLastSeen();
+
+    this.cancelReconnect();
+    this.state.reconnectAttempts = 0;
+    this.closeSession();
+    this.state.isPlaying = false;
+    this.showLoading(false);
+    this.showWaiting(status, lastSeen);
+
+    if (!this.state.isWaiting) {
+      this.state.isWaiting = true;
+      this.updateConnectionStatus(
+        "bad",
+        status === "offline" ? "Offline" : "Server unreachable"
+      );
+      this.emit("waiting", { app, stream, status, lastSeen });
+    }
+
+    clearTimeout(this.offlineTimer);
+    this.offlineTimer = this.schedule(
+      () => this.pollBroadcast(),
+      OFFLINE_POLL_INTERVAL
+    );
+  }
+
+  async pollBroadcast() {
+    const status = await this.getStreamStatus();
+    // stop(), switchStream() or destroy() ended the wait meanwhile
+    if (!this.state.isWaiting) return;
+
+    if (status === "online") {
+      console.log("Stream is live, connecting");
+      this.stopWaiting();
+      this.startPlaying();
+      return;
+    }
+    this.waitForBroadcast(status);
+  }
+
+  stopWaiting() {
+    clearTimeout(this.offlineTimer);
+    this.state.isWaiting = false;
+    this.elements.waiting?.classList.remove("show");
+  }
+
+  showWaiting(status, lastSeen) {
+    if (!this.elements.waiting) return;
+
+    let detail = lastSeen
+      ? `Last seen ${this.formatTimeAgo(lastSeen)}`
+      : "Not seen live yet";
+    if (status === "unreachable") {
+      detail = `Server unreachable, retrying… ${detail}`;
+    }
+    this.elements.waitingDetail.textContent = detail;
+    this.elements.waiting.classList.add("show");
+  }
+
+  formatTimeAgo(timestamp) {
+    const seconds = Math.floor((Date.now() - timestamp) / 1000);
+    if (seconds < 60) return "just now";
+    if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)} h ago`;
+    return new Date(timestamp).toLocaleString();
+  }
+
+  // Last time each app/stream was seen live, kept across page loads
+  saveLastSeen() {
+    try {
+      const lastSeen = JSON.parse(localStorage.getItem(LAST_SEEN_KEY) || "{}");
+      lastSeen[`${this.options.app}/${this.options.stream}`] = Date.now();
+      localStorage.setItem(LAST_SEEN_KEY, JSON.stringify(lastSeen));
+    } catch (error) {
+      console.warn("Error saving last seen time:", error);
+    }
+  }
+
+  loadLastSeen() {
+    try {
+      const lastSeen = JSON.parse(localStorage.getItem(LAST_SEEN_KEY) || "{}");
+      return lastSeen[`${this.options.app}/${this.options.stream}`] || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Stall watchdog
+  resetWatchdog() {
+    const now = Date.now();
+    this.watchdog = {
+      packetsReceived: 0,
+      framesDecoded: 0,
+      presentedFrames: 0,
+      lastPacketTime: now,
+      lastFrameTime: now,
+      lastDecodedTime: now,
+      lastPresentedTime: now,
+      lastChangeTime: now,
+      frame: null,
+      reason: null,
+      stalledSince: null,
+      lastRecovery: 0,
+      lastSeenSaved: 0,
+    };
+  }
+
+  // Runs on every stats sample. A session can stay "connected" while no media
+  // arrives (publisher gone, SRS kept the session), so track progress of
+  // packets, decoded/presented frames and the picture itself.
+  checkStall(report) {
+    const video = report.video;
+    if (!this.state.isPlaying || !video.timestamp) return;
+
+    const now = Date.now();
+    const watchdog = this.watchdog;
+
+    if (video.packetsReceived !== watchdog.packetsReceived) {
+      watchdog.packetsReceived = video.packetsReceived;
+      watchdog.lastPacketTime = now;
+    }
+    // Decoded frames from stats, presented frames from requestVideoFrameCallback
+    const presentedFrames = this.performanceMetrics.lastPresentedFrames;
+    if (video.framesDecoded !== watchdog.framesDecoded) {
+      watchdog.framesDecoded = video.framesDecoded;
+      watchdog.lastDecodedTime = now;
+    }
+    if (presentedFrames !== watchdog.presentedFrames) {
+      watchdog.presentedFrames = presentedFrames;
+      watchdog.lastPresentedTime = now;
+    }
+    watchdog.lastFrameTime = Math.max(
+      watchdog.lastDecodedTime,
+      watchdog.lastPresentedTime
+    );
+    // A paused or hidden video legitimately shows the same picture
+    if (this.elements.video.paused || document.hidden) {
+      watchdog.lastChangeTime = now;
+    } else {
+      const frame = this.sampleFrame();
+      if (!frame || !this.isSameFrame(frame, watchdog.frame)) {
+        watchdog.lastChangeTime = now;
+      }
+      watchdog.frame = frame;
+    }
+
+    const packetAge = video.lastPacketReceivedTimestamp
+      ? video.timestamp - video.lastPacketReceivedTimestamp
+      : now - watchdog.lastPacketTime;
+    let reason = null;
+    if (packetAge > STALL_TIMEOUT) {
+      reason = "no-packets";
+    } else if (now - watchdog.lastFrameTime > STALL_TIMEOUT) {
+      reason = "no-frames";
+    } else if (
+      now - watchdog.lastChangeTime > FROZEN_TIMEOUT &&
+      this.isFrameProgressStuck(now)
+    ) {
+      reason = "frozen";
+    }
+
+    if (!reason) {
+      // SRS accepts players before anyone publishes, so "live" means packets
+      if (video.packetsReceived > 0 && now - watchdog.lastSeenSaved > 10000) {
+        watchdog.lastSeenSaved = now;
+        this.saveLastSeen();
+      }
+      if (watchdog.reason) {
+        const duration = now - watchdog.stalledSince;
+        console.log(`Stream resumed after ${duration}ms (${watchdog.reason})`);
+        this.emit("resumed", { reason: watchdog.reason, duration });
+        this.updateConnectionStatus("good", "Connected");
+        watchdog.reason = null;
+        watchdog.stalledSince = null;
+      }
+      return;
+    }
+
+    if (!watchdog.reason) {
+      console.warn("Stream stalled:", reason);
+      watchdog.stalledSince = now;
+      watchdog.lastRecovery = now;
+      this.emit("stalled", { reason });
+
+      // No packets usually means the publisher went away
+      if (reason === "no-packets") {
+        this.checkBroadcast();
+      }
+    }
+    if (reason !== watchdog.reason) {
+      watchdog.reason = reason;
+      this.updateConnectionStatus("bad", "Stream stalled");
+    }
+
+    // Still stalled: renegotiate (an ICE restart on WHEP, which also makes
+    // the server send a keyframe), then resubscribe on the next round
+    if (now - watchdog.lastRecovery > STALL_RECOVERY_TIMEOUT) {
+      watchdog.lastRecovery = now;
+      this.checkBroadcast().then((offline) => {
+        if (!offline) this.attemptReconnect();
+      });
+    }
+  }
+
+  // A still picture alone is no stall (slides, a camera at night, a test
+  // card): it only counts as frozen while decoding or presenting has stopped
+  // too. Presented frames only count where requestVideoFrameCallback runs.
+  isFrameProgressStuck(now) {
+    const watchdog = this.watchdog;
+    return (
+      now - watchdog.lastDecodedTime > STALL_TIMEOUT ||
+      (watchdog.presentedFrames > 0 &&
+        now - watchdog.lastPresentedTime > STALL_TIMEOUT)
+    );
+  }
+
+  // 16x9 thumbnail of the current picture, null before the first frame
+  sampleFrame() {
+    const video = this.elements.video;
+    if (video.readyState < 2) return null;
+
+    if (!this.frameSampler) {
+      this.frameSampler = document.createElement("canvas");
+      this.frameSampler.width = 16;
+      this.frameSampler.height = 9;
+    }
+    const ctx = this.frameSampler.getContext("2d", {
+      willReadFrequently: true,
+    });
+    ctx.drawImage(video, 0, 0, 16, 9);
+    return ctx.getImageData(0, 0, 16, 9).data;
+  }
+
+  // Mean absolute difference below FROZEN_THRESHOLD, so encoder noise on an
+  // otherwise identical picture still counts as frozen
+  isSameFrame(a, b) {
+    if (!a || !b || a.length !== b.length) return false;
+
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+      diff += Math.abs(a[i] - b[i]);
+    }
+    return diff / a.length < FROZEN_THRESHOLD;
+  }
+
   parseStats(stats) {
     const report = {
       video: {},
@@ -858,6 +3625,7 @@ class WebRTCPlayer {
           totalFramesDelta > 0
             ? (framesDroppedDelta / totalFramesDelta) * 100
             : 0;
+        const packetLossRate = this.getPacketLossRate(stat, prevVideo);
 
         // Track key frame intervals
         const keyFramesDelta =
@@ -873,6 +3641,7 @@ class WebRTCPlayer {
             }
           }
           this.performanceMetrics.lastKeyFrameTime = currentTime;
+          this.recordEvent("keyframe", "Keyframe");
           this.state.lastKeyFrameCount = stat.keyFramesDecoded;
         }
 
@@ -893,7 +3662,11 @@ class WebRTCPlayer {
           framesDecoded: stat.framesDecoded || 0,
           framesDropped: stat.framesDropped || 0,
           frameDropRate: frameDropRate,
+          packetLossRate,
           keyFramesDecoded: stat.keyFramesDecoded || 0,
+          freezeCount: stat.freezeCount,
+          totalFreezesDuration: stat.totalFreezesDuration,
+          powerEfficientDecoder: stat.powerEfficientDecoder,
           avgKeyFrameInterval:
             this.performanceMetrics.keyFrameTimestamps.length > 0
               ? (
@@ -915,107 +3688,795 @@ class WebRTCPlayer {
           headerBytesReceived: stat.headerBytesReceived || 0,
           bytesReceived: stat.bytesReceived || 0,
           lastPacketReceivedTimestamp: stat.lastPacketReceivedTimestamp || 0,
+          // Averages over the last interval, in ms
+          jitterBufferDelay: this.getAverageDelay(
+            stat,
+            prevVideo,
+            "jitterBufferDelay",
+            "jitterBufferEmittedCount"
+          ),
+          processingDelay: this.getAverageDelay(
+            stat,
+            prevVideo,
+            "totalProcessingDelay",
+            "framesDecoded"
+          ),
+          estimatedPlayoutTimestamp: stat.estimatedPlayoutTimestamp || null,
         };
 
-        // Calculate average decode time
-        if (stat.framesDecoded > 0) {
-          report.video.avgDecodeTime = (
-            (stat.totalDecodeTime / stat.framesDecoded) *
-            1000
-          ).toFixed(2);
-        }
+        // Calculate average decode time
+        if (stat.framesDecoded > 0) {
+          report.video.avgDecodeTime = (
+            (stat.totalDecodeTime / stat.framesDecoded) *
+            1000
+          ).toFixed(2);
+        }
+
+        // Track max FPS
+        const currentFps =
+          this.performanceMetrics.videoFrameCallbackFps || report.video.fps;
+        if (currentFps > this.performanceMetrics.maxFpsAchieved) {
+          this.performanceMetrics.maxFpsAchieved = currentFps;
+        }
+
+        this.lastStats.video = stat;
+      } else if (stat.type === "inbound-rtp" && stat.mediaType === "audio") {
+        const prevAudio = this.lastStats.audio || {};
+        const timeDiff = (stat.timestamp - prevAudio.timestamp) / 1000 || 1;
+
+        report.audio = {
+          packetLossRate: this.getPacketLossRate(stat, prevAudio),
+          bytesReceived: stat.bytesReceived || 0,
+          bitrate:
+            ((stat.bytesReceived - (prevAudio.bytesReceived || 0)) * 8) /
+            timeDiff,
+          packetsLost: stat.packetsLost || 0,
+          packetsReceived: stat.packetsReceived || 0,
+          jitter: stat.jitter * 1000 || 0,
+          audioLevel: stat.audioLevel || 0,
+          timestamp: stat.timestamp,
+          concealedSamples: stat.concealedSamples || 0,
+          concealmentEvents: stat.concealmentEvents || 0,
+          totalSamplesReceived: stat.totalSamplesReceived || 0,
+          silentConcealedSamples: stat.silentConcealedSamples || 0,
+          removedSamplesForAcceleration:
+            stat.removedSamplesForAcceleration || 0,
+          insertedSamplesForDeceleration:
+            stat.insertedSamplesForDeceleration || 0,
+        };
+
+        this.lastStats.audio = stat;
+      } else if (stat.type === "candidate-pair" && stat.state === "succeeded") {
+        report.connection.rtt = stat.currentRoundTripTime
+          ? stat.currentRoundTripTime * 1000
+          : 0;
+        report.connection.availableBitrate =
+          stat.availableIncomingBitrate || stat.availableOutgoingBitrate || 0;
+        // The download estimate alone; Chrome doesn't report it, and the
+        // outgoing one is the upload estimate of this receive-only connection
+        report.connection.availableIncomingBitrate =
+          stat.availableIncomingBitrate || null;
+        report.connection.localCandidateType = stat.localCandidateType;
+        report.connection.remoteCandidateType = stat.remoteCandidateType;
+        report.connection.protocol = stat.protocol;
+        report.connection.bytesSent = stat.bytesSent || 0;
+        report.connection.bytesReceived = stat.bytesReceived || 0;
+        report.connection.requestsReceived = stat.requestsReceived || 0;
+        report.connection.requestsSent = stat.requestsSent || 0;
+        report.connection.responsesReceived = stat.responsesReceived || 0;
+        report.connection.responsesSent = stat.responsesSent || 0;
+        report.connection.consentRequestsSent = stat.consentRequestsSent || 0;
+      } else if (stat.type === "transport") {
+        report.connection.dtlsState = stat.dtlsState;
+        report.connection.iceState = stat.iceState;
+        report.connection.selectedCandidatePairChanges =
+          stat.selectedCandidatePairChanges || 0;
+        report.connection.selectedCandidatePairId =
+          stat.selectedCandidatePairId;
+        report.connection.packetsReceived = stat.packetsReceived || 0;
+        report.connection.packetsSent = stat.packetsSent || 0;
+      } else if (stat.type === "codec") {
+        if (stat.mimeType && stat.mimeType.includes("video")) {
+          report.codecs.video = stat.mimeType;
+          report.codecs.videoClockRate = stat.clockRate;
+          report.codecs.videoPayloadType = stat.payloadType;
+          report.codecs.videoImplementation = stat.implementation;
+        } else if (stat.mimeType && stat.mimeType.includes("audio")) {
+          report.codecs.audio = stat.mimeType;
+          report.codecs.audioClockRate = stat.clockRate;
+          report.codecs.audioPayloadType = stat.payloadType;
+          report.codecs.audioChannels = stat.channels;
+        }
+      } else if (
+        stat.type === "local-candidate" ||
+        stat.type === "remote-candidate"
+      ) {
+        report.candidates.push({
+          type: stat.type,
+          protocol: stat.protocol,
+          ip: stat.address || stat.ip,
+          port: stat.port,
+          candidateType: stat.candidateType,
+          priority: stat.priority,
+          url: stat.url,
+          relayProtocol: stat.relayProtocol,
+        });
+      } else if (stat.type === "stream") {
+        report.streams.push({
+          id: stat.id,
+          trackIds: stat.trackIds,
+        });
+      }
+    });
+
+    this.resolveSelectedPair(stats, report);
+    report.latency = this.estimateLatency(report);
+    return report;
+  }
+
+  // The candidates of the pair in use, and the STUN or TURN server the local
+  // one was gathered from (host candidates have none)
+  resolveSelectedPair(stats, report) {
+    const connection = report.connection;
+    let pair = connection.selectedCandidatePairId
+      ? stats.get(connection.selectedCandidatePairId)
+      : null;
+    if (!pair) {
+      stats.forEach((stat) => {
+        if (stat.type === "candidate-pair" && stat.nominated && !pair) {
+          pair = stat;
+        }
+      });
+    }
+    if (!pair) return;
+
+    const local = stats.get(pair.localCandidateId);
+    const remote = stats.get(pair.remoteCandidateId);
+    if (local) {
+      connection.localCandidateType = local.candidateType;
+      connection.localAddress = `${local.address || local.ip}:${local.port}`;
+      connection.protocol = local.protocol || connection.protocol;
+      connection.iceServer = local.url || null;
+      connection.relayProtocol = local.relayProtocol || null;
+    }
+    if (remote) {
+      connection.remoteCandidateType = remote.candidateType;
+      connection.remoteAddress = `${remote.address || remote.ip}:${
+        remote.port
+      }`;
+    }
+  }
+
+  // Lost packets as a percentage of the last interval's packets
+  getPacketLossRate(stat, prev) {
+    const lost = (stat.packetsLost || 0) - (prev.packetsLost || 0);
+    const received = (stat.packetsReceived || 0) - (prev.packetsReceived || 0);
+    return lost > 0 && lost + received > 0
+      ? (lost / (lost + received)) * 100
+      : 0;
+  }
+
+  // Seconds-valued cumulative counter divided by its event counter, as ms
+  // over the last stats interval
+  getAverageDelay(stat, prev, delayKey, countKey) {
+    const count = (stat[countKey] || 0) - (prev[countKey] || 0);
+    if (stat[delayKey] === undefined || count <= 0) return null;
+    return (((stat[delayKey] || 0) - (prev[delayKey] || 0)) / count) * 1000;
+  }
+
+  // Glass-to-glass latency from the best source available:
+  //   calibrated   - timestamp overlay in the video vs. the local clock
+  //   capture-time - requestVideoFrameCallback captureTime (RTCP SR based)
+  //   sender-report - inbound-rtp estimatedPlayoutTimestamp
+  //   estimate     - RTT / 2 + receive-to-display; a lower bound, as it
+  //                  misses everything before SRS sends the packets
+  // The NTP-based sources need the sender and viewer clocks in sync.
+  estimateLatency(report) {
+    const video = report.video;
+    const metrics = this.performanceMetrics;
+    const latency = {
+      network:
+        report.connection.rtt !== undefined ? report.connection.rtt / 2 : null,
+      jitterBuffer: video.jitterBufferDelay ?? null,
+      processing: video.processingDelay ?? null,
+      receiveToDisplay: metrics.receiveToDisplay,
+      captureToDisplay: metrics.captureToDisplay,
+      senderReport: null,
+      calibrated: metrics.calibratedLatency,
+      total: null,
+      source: null,
+    };
+
+    if (video.estimatedPlayoutTimestamp) {
+      const delay =
+        Date.now() + NTP_EPOCH_OFFSET - video.estimatedPlayoutTimestamp;
+      // Anything outside this range means the clocks aren't in sync
+      if (delay > 0 && delay < 10000) {
+        latency.senderReport = delay;
+      }
+    }
+
+    const receiveToDisplay = latency.receiveToDisplay ?? latency.processing;
+    if (latency.calibrated !== null) {
+      latency.total = latency.calibrated;
+      latency.source = "calibrated";
+    } else if (latency.captureToDisplay !== null) {
+      latency.total = latency.captureToDisplay;
+      latency.source = "capture-time";
+    } else if (latency.senderReport !== null) {
+      latency.total = latency.senderReport;
+      latency.source = "sender-report";
+    } else if (receiveToDisplay !== null) {
+      latency.total = (latency.network || 0) + receiveToDisplay;
+      latency.source = "estimate";
+    }
+    return latency;
+  }
+
+  // Codec preference
+
+  // VIDEO_CODECS keys the browser can decode, or null when it can't tell
+  getDecodableCodecs() {
+    if (
+      typeof RTCRtpReceiver === "undefined" ||
+      typeof RTCRtpReceiver.getCapabilities !== "function"
+    ) {
+      return null;
+    }
+    const mimeTypes = RTCRtpReceiver.getCapabilities("video").codecs.map(
+      (codec) => codec.mimeType.toLowerCase()
+    );
+    return Object.keys(VIDEO_CODECS).filter((name) =>
+      mimeTypes.includes(VIDEO_CODECS[name].mimeType.toLowerCase())
+    );
+  }
+
+  // The selector lists the codecs this browser decodes, plus the ?codec=
+  // list if it names several
+  populateCodecs() {
+    const select = this.elements.codecSelect;
+    const decodable = this.getDecodableCodecs() || Object.keys(VIDEO_CODECS);
+    const choices = decodable.map((name) => [name]);
+    if (this.state.codecs.length > 1) {
+      choices.push(this.state.codecs);
+    }
+
+    choices.forEach((codecs) => {
+      const option = document.createElement("option");
+      option.value = codecs.join(",");
+      option.textContent = codecs
+        .map((name) => VIDEO_CODECS[name].label)
+        .join(" > ");
+      select.appendChild(option);
+    });
+    select.value = this.state.codecs.join(",");
+  }
+
+  // Codecs are negotiated once, so a new choice starts a new session
+  setCodec(value) {
+    this.state.codecs = parseCodecs(value);
+    this.elements.codecSelect.value = this.state.codecs.join(",");
+    this.savePlayerSettings();
+
+    if (this.sdk || this.state.isPlaying) {
+      this.stop("switching");
+      this.startPlaying();
+    }
+  }
+
+  // getCapabilities() entries for the chosen codecs, in order, or null for
+  // the browser's default. Codecs the browser can't decode are left out.
+  getCodecPreferences() {
+    if (!this.state.codecs.length) return null;
+
+    const decodable = this.getDecodableCodecs();
+    if (!decodable) return null;
+    const unsupported = this.state.codecs.filter(
+      (name) => !decodable.includes(name)
+    );
+    if (unsupported.length) {
+      this.showError(
+        `This browser can't decode ${unsupported
+          .map((name) => VIDEO_CODECS[name].label)
+          .join(", ")}.`
+      );
+    }
+
+    const codecs = RTCRtpReceiver.getCapabilities("video").codecs;
+    const mimeType = (codec) => codec.mimeType.toLowerCase();
+    const preferred = this.state.codecs
+      .filter((name) => decodable.includes(name))
+      .flatMap((name) =>
+        codecs.filter(
+          (codec) =>
+            mimeType(codec) === VIDEO_CODECS[name].mimeType.toLowerCase()
+        )
+      );
+    if (!preferred.length) return null;
+
+    return [
+      ...preferred,
+      ...codecs.filter((codec) =>
+        NON_MEDIA_CODECS.includes(codec.mimeType.toLowerCase())
+      ),
+    ];
+  }
+
+  // Offer only the chosen codecs: setCodecPreferences() where supported,
+  // otherwise by rewriting the offer before SRS sees it
+  hookCodecPreference(pc) {
+    const originalCreateOffer = pc.createOffer.bind(pc);
+    pc.createOffer = async (options) => {
+      const codecs = this.getCodecPreferences();
+      if (!codecs) return originalCreateOffer(options);
+
+      let applied = false;
+      pc.getTransceivers().forEach((transceiver) => {
+        if (transceiver.receiver.track.kind !== "video") return;
+        if (typeof transceiver.setCodecPreferences !== "function") return;
+
+        try {
+          transceiver.setCodecPreferences(codecs);
+          applied = true;
+        } catch (error) {
+          console.warn("Failed to set codec preference:", error);
+        }
+      });
+
+      const offer = await originalCreateOffer(options);
+      if (applied) return offer;
+      return {
+        type: offer.type,
+        sdp: filterVideoCodecs(
+          offer.sdp,
+          codecs.map((codec) => codec.mimeType)
+        ),
+      };
+    };
+  }
+
+  // Warn when the server sends a codec the browser can't decode, or not the
+  // one asked for
+  checkCodecSupport(codec) {
+    const name = parseCodecs(codec)[0];
+    if (!name) return;
+
+    const decodable = this.getDecodableCodecs();
+    if (decodable && !decodable.includes(name)) {
+      this.showError(
+        `The server sends ${VIDEO_CODECS[name].label}, which this browser can't decode. Pick another codec.`
+      );
+    } else if (this.state.codecs.length && !this.state.codecs.includes(name)) {
+      this.showError(
+        `The server sends ${VIDEO_CODECS[name].label} instead of the selected codec.`
+      );
+    }
+  }
+
+  // Stream picker and renditions
+  // Live streams on the server, for the stream picker. The current stream is
+  // listed even while offline.
+  async populateStreams() {
+    const select = this.elements.streamSelect;
+    if (!select || !this.api || !this.options.streamPicker) return;
+
+    let streams;
+    try {
+      streams = await this.api.getStreams();
+    } catch (error) {
+      console.warn("Couldn't list streams:", error);
+      return;
+    }
+
+    const current = `${this.options.app}/${this.options.stream}`;
+    const names = streams
+      .filter((info) => info.publish && info.publish.active)
+      .map((info) => `${info.app}/${info.name}`);
+    if (!names.includes(current)) {
+      names.unshift(current);
+    }
+
+    select.length = 0;
+    names.forEach((name) => {
+      const option = document.createElement("option");
+      option.value = name;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+    select.value = current;
+    select.hidden = names.length < 2;
+  }
+
+  // Push ?app=&stream= for a switch, unless the URL already names it (back
+  // and forward)
+  updateHistory(app, stream) {
+    if (!this.options.history) return;
+
+    const query = new URLSearchParams(location.search);
+    const current = getQueryStream(query);
+    if (current.app === app && current.stream === stream) return;
+
+    query.set("app", app);
+    query.set("stream", stream);
+    history.pushState(null, "", `?${query}`);
+  }
+
+  // Renditions of the current stream (optional abr.js). The quality menu
+  // shows once there are two or more.
+  async findRenditions() {
+    this.renditions = [];
+    this.abr = null;
+    this.populateRenditions();
+    if (typeof AbrController === "undefined" || this.options.url) return;
+
+    const { app, stream } = this.options;
+    let renditions;
+    try {
+      renditions = await loadRenditions(app, stream, {
+        manifestUrl: this.options.renditionsUrl || RENDITIONS_URL,
+        api: this.api,
+      });
+    } catch (error) {
+      console.warn("Couldn't look up renditions:", error);
+      return;
+    }
+    // switchStream() moved on meanwhile
+    if (app !== this.options.app || stream !== this.options.stream) return;
+    if (
+      renditions.length < 2 ||
+      !renditions.some((r) => r.stream === this.state.rendition)
+    ) {
+      return;
+    }
+
+    this.renditions = renditions;
+    this.abr = new AbrController(
+      renditions,
+      this.state.rendition,
+      this.qualityThresholds
+    );
+    this.populateRenditions();
+
+    // ?quality= names a rendition by stream or label
+    const chosen = renditions.find(
+      (r) => r.stream === this.state.quality || r.label === this.state.quality
+    );
+    if (chosen) {
+      this.switchRendition(chosen.stream, "manual");
+    } else {
+      this.state.quality = "auto";
+      this.updateQualitySelect();
+    }
+  }
+
+  populateRenditions() {
+    const select = this.elements.qualitySelect;
+    if (!select) return;
+
+    select.hidden = this.renditions.length < 2;
+    select.length = 1;
+    this.renditions.forEach((rendition) => {
+      const option = document.createElement("option");
+      option.value = rendition.stream;
+      option.textContent = rendition.label;
+      select.appendChild(option);
+    });
+    this.updateQualitySelect();
+  }
+
+  // While adaptive, the Auto entry names the rendition playing
+  updateQualitySelect() {
+    const select = this.elements.qualitySelect;
+    if (!select) return;
+
+    const auto = this.state.quality === "auto";
+    select.options[0].textContent =
+      auto && this.renditions.length
+        ? `Auto · ${this.getRenditionLabel(this.state.rendition)}`
+        : "Auto";
+    select.value = auto ? "auto" : this.state.quality;
+  }
+
+  getRenditionLabel(stream) {
+    const rendition = this.renditions.find((r) => r.stream === stream);
+    return rendition ? rendition.label : stream;
+  }
+
+  // "auto", or the stream of a rendition to stay on
+  setQuality(value) {
+    if (this.renditions.some((r) => r.stream === value)) {
+      this.switchRendition(value, "manual");
+      return;
+    }
+
+    this.state.quality = "auto";
+    if (this.abr) {
+      this.abr.setCurrent(this.state.rendition);
+    }
+    this.updateQualitySelect();
+  }
+
+  // Make-before-break while playing: the current rendition stays on screen
+  // until the new one has a picture. Otherwise the next session plays it.
+  // reason: "manual", or the ABR controller's
+  async switchRendition(stream, reason) {
+    if (stream === this.state.rendition) {
+      this.closePendingSession();
+      this.setRendition(stream, reason);
+      return;
+    }
+
+    if (!this.state.isPlaying) {
+      this.setRendition(stream, reason);
+      // A session still connecting starts over with it
+      if (this.sdk) {
+        this.stop("switching");
+        this.startPlaying();
+      }
+      return;
+    }
 
-        // Track max FPS
-        const currentFps =
-          this.performanceMetrics.videoFrameCallbackFps || report.video.fps;
-        if (currentFps > this.performanceMetrics.maxFpsAchieved) {
-          this.performanceMetrics.maxFpsAchieved = currentFps;
-        }
+    let sdk;
+    try {
+      sdk = await this.openInBackground(this.getPlayUrl(stream));
+    } catch (error) {
+      console.warn(`Couldn't switch to ${stream}:`, error);
+      if (this.abr) {
+        this.abr.hold();
+      }
+      this.updateQualitySelect();
+      return;
+    }
+    if (!sdk) return;
 
-        this.lastStats.video = stat;
-      } else if (stat.type === "inbound-rtp" && stat.mediaType === "audio") {
-        const prevAudio = this.lastStats.audio || {};
-        const timeDiff = (stat.timestamp - prevAudio.timestamp) / 1000 || 1;
+    this.adoptSession(sdk);
+    this.setRendition(stream, reason);
+  }
 
-        report.audio = {
-          bytesReceived: stat.bytesReceived || 0,
-          bitrate:
-            ((stat.bytesReceived - (prevAudio.bytesReceived || 0)) * 8) /
-            timeDiff,
-          packetsLost: stat.packetsLost || 0,
-          packetsReceived: stat.packetsReceived || 0,
-          jitter: stat.jitter * 1000 || 0,
-          audioLevel: stat.audioLevel || 0,
-          timestamp: stat.timestamp,
-          concealedSamples: stat.concealedSamples || 0,
-          concealmentEvents: stat.concealmentEvents || 0,
-          silentConcealedSamples: stat.silentConcealedSamples || 0,
-          removedSamplesForAcceleration:
-            stat.removedSamplesForAcceleration || 0,
-          insertedSamplesForDeceleration:
-            stat.insertedSamplesForDeceleration || 0,
-        };
+  setRendition(stream, reason) {
+    const previous = this.state.rendition;
+    this.state.rendition = stream;
+    if (reason === "manual") {
+      this.state.quality = stream;
+    }
+    if (this.abr) {
+      this.abr.setCurrent(stream);
+    }
+    this.updateQualitySelect();
+    if (stream === previous) return;
 
-        this.lastStats.audio = stat;
-      } else if (stat.type === "candidate-pair" && stat.state === "succeeded") {
-        report.connection.rtt = stat.currentRoundTripTime
-          ? stat.currentRoundTripTime * 1000
-          : 0;
-        report.connection.availableBitrate = stat.availableOutgoingBitrate || 0;
-        report.connection.localCandidateType = stat.localCandidateType;
-        report.connection.remoteCandidateType = stat.remoteCandidateType;
-        report.connection.protocol = stat.protocol;
-        report.connection.bytesSent = stat.bytesSent || 0;
-        report.connection.bytesReceived = stat.bytesReceived || 0;
-        report.connection.requestsReceived = stat.requestsReceived || 0;
-        report.connection.requestsSent = stat.requestsSent || 0;
-        report.connection.responsesReceived = stat.responsesReceived || 0;
-        report.connection.responsesSent = stat.responsesSent || 0;
-        report.connection.consentRequestsSent = stat.consentRequestsSent || 0;
-      } else if (stat.type === "transport") {
-        report.connection.dtlsState = stat.dtlsState;
-        report.connection.iceState = stat.iceState;
-        report.connection.selectedCandidatePairChanges =
-          stat.selectedCandidatePairChanges || 0;
-        report.connection.packetsReceived = stat.packetsReceived || 0;
-        report.connection.packetsSent = stat.packetsSent || 0;
-      } else if (stat.type === "codec") {
-        if (stat.mimeType && stat.mimeType.includes("video")) {
-          report.codecs.video = stat.mimeType;
-          report.codecs.videoClockRate = stat.clockRate;
-          report.codecs.videoPayloadType = stat.payloadType;
-          report.codecs.videoImplementation = stat.implementation;
-        } else if (stat.mimeType && stat.mimeType.includes("audio")) {
-          report.codecs.audio = stat.mimeType;
-          report.codecs.audioClockRate = stat.clockRate;
-          report.codecs.audioPayloadType = stat.payloadType;
-          report.codecs.audioChannels = stat.channels;
-        }
-      } else if (
-        stat.type === "local-candidate" ||
-        stat.type === "remote-candidate"
-      ) {
-        report.candidates.push({
-          type: stat.type,
-          protocol: stat.protocol,
-          ip: stat.address || stat.ip,
-          port: stat.port,
-          candidateType: stat.candidateType,
-          priority: stat.priority,
-        });
-      } else if (stat.type === "stream") {
-        report.streams.push({
-          id: stat.id,
-          trackIds: stat.trackIds,
-        });
+    const label = this.getRenditionLabel(stream);
+    this.recordEvent(
+      "rendition",
+      `Rendition ${this.getRenditionLabel(previous)} → ${label}`
+    );
+    this.emit("rendition", { stream, label, previous, reason });
+  }
+
+  updateAdaptiveBitrate(report) {
+    if (!this.abr || this.state.quality !== "auto") return;
+    // Stalls have their own recovery, and one switch runs at a time
+    if (this.watchdog.reason || this.pendingSdk) return;
+
+    const decision = this.abr.update(report);
+    if (decision) {
+      this.switchRendition(decision.stream, decision.reason);
+    }
+  }
+
+  // Latency control
+  setLatencyMode(mode) {
+    if (!LATENCY_MODES[mode]) return;
+
+    this.state.latencyMode = mode;
+    this.state.driftSamples = 0;
+    this.elements.latencySelect.value = mode;
+    this.applyLatencyTarget();
+    this.savePlayerSettings();
+  }
+
+  // jitterBufferTarget (ms) where supported, Chrome's older playoutDelayHint
+  // (seconds) otherwise. Zero while jumping to live.
+  applyLatencyTarget(receivers) {
+    if (!receivers) {
+      receivers = this.sdk && this.sdk.pc ? this.sdk.pc.getReceivers() : [];
+    }
+    const target = this.state.flushUntil
+      ? 0
+      : LATENCY_MODES[this.state.latencyMode].target;
+
+    receivers.forEach((receiver) => {
+      if ("jitterBufferTarget" in receiver) {
+        receiver.jitterBufferTarget = target;
+      } else if ("playoutDelayHint" in receiver) {
+        receiver.playoutDelayHint = target / 1000;
       }
     });
+  }
 
-    return report;
+  // Runs on every stats report. A jitter buffer that stays well above the
+  // target means media piled up (e.g. after a network hiccup) and the player
+  // plays behind live.
+  updateLatencyControl(report) {
+    const delay = report.video.jitterBufferDelay;
+    if (delay === null || delay === undefined) return;
+
+    const target = LATENCY_MODES[this.state.latencyMode].target;
+    const behind = delay > target + LATENCY_DRIFT_TOLERANCE;
+    this.state.driftSamples = behind ? this.state.driftSamples + 1 : 0;
+    this.setBehindLive(this.state.driftSamples >= LATENCY_DRIFT_SAMPLES);
+
+    if (this.state.flushUntil && Date.now() >= this.state.flushUntil) {
+      this.state.flushUntil = 0;
+      this.applyLatencyTarget();
+      // The browser couldn't drain the buffer; a new session starts empty
+      if (behind) {
+        console.log(`Still ${Math.round(delay)}ms behind live, reconnecting`);
+        this.startPlaying();
+      }
+    }
+  }
+
+  setBehindLive(behind) {
+    if (this.state.behindLive === behind) return;
+
+    this.state.behindLive = behind;
+    this.elements.jumpLiveBtn?.classList.toggle("behind", behind);
+
+    // With audio the browser time-stretches the backlog away on its own;
+    // video-only streams get a slight speed-up
+    const video = this.elements.video;
+    const hasAudio =
+      video.srcObject && video.srcObject.getAudioTracks().length > 0;
+    video.playbackRate = behind && !hasAudio ? LATENCY_CATCHUP_RATE : 1;
+  }
+
+  jumpToLive() {
+    if (!this.sdk || !this.state.isPlaying || this.state.flushUntil) return;
+
+    this.state.flushUntil = Date.now() + LATENCY_FLUSH_TIMEOUT;
+    this.applyLatencyTarget();
+    if (this.elements.video.paused) {
+      this.elements.video.play().catch(() => {});
+    }
+  }
+
+  resetLatencyControl() {
+    this.state.driftSamples = 0;
+    this.state.flushUntil = 0;
+    this.setBehindLive(false);
+  }
+
+  // Latency calibration
+  renderCalibrateButton() {
+    return `<button class="export-btn calibrate-btn">${
+      this.state.calibrating
+        ? "Stop Calibration"
+        : "Calibrate with Timestamp Overlay"
+    }</button>`;
+  }
+
+  toggleCalibration() {
+    if (typeof readTimestampOverlay === "undefined") {
+      this.showError("Latency calibration not loaded. Include latency.js.");
+      return;
+    }
+
+    this.state.calibrating = !this.state.calibrating;
+    this.performanceMetrics.calibratedLatency = null;
+    if (!this.calibrationCanvas) {
+      this.calibrationCanvas = document.createElement("canvas");
+    }
+    this.updateDebugInfo();
+  }
+
+  // displayOffset: ms until the current frame is actually on screen
+  readCalibration(displayOffset) {
+    const time = readTimestampOverlay(
+      this.elements.video,
+      this.calibrationCanvas
+    );
+    if (time === null) return;
+
+    const latency = Date.now() + Math.max(0, displayOffset) - time;
+    const previous = this.performanceMetrics.calibratedLatency;
+    // Smooth out the frame-interval quantization
+    this.performanceMetrics.calibratedLatency =
+      previous === null ? latency : previous * 0.8 + latency * 0.2;
+  }
+
+  renderLatencySection(report) {
+    const latency = report.latency;
+    if (!latency) return "";
+
+    const mode = LATENCY_MODES[this.state.latencyMode];
+    const modeText = `${mode.label} (target ${mode.target} ms)${
+      this.state.behindLive ? ", catching up" : ""
+    }`;
+    const format = (value) =>
+      value === null || value === undefined ? "N/A" : `${value.toFixed(0)} ms`;
+    const sources = {
+      calibrated: "timestamp overlay",
+      "capture-time": "capture time",
+      "sender-report": "RTCP sender report",
+      estimate: "network + receiver, lower bound",
+    };
+
+    return `
+                <div class="debug-section">
+                    <div class="debug-section-title">Latency</div>
+                    <div class="debug-item">
+                        <span class="debug-label">Glass-to-Glass:</span>
+                        <span class="debug-value ${
+                          latency.total === null
+                            ? ""
+                            : this.getQualityClass(latency.total, "latency")
+                        }">${format(latency.total)}</span>
+                    </div>
+                    <div class="debug-item">
+                        <span class="debug-label">Source:</span>
+                        <span class="debug-value">${
+                          sources[latency.source] || "N/A"
+                        }</span>
+                    </div>
+                    <div class="debug-item">
+                        <span class="debug-label">Mode:</span>
+                        <span class="debug-value">${modeText}</span>
+                    </div>
+                    <div class="debug-item">
+                        <span class="debug-label">Network (RTT/2):</span>
+                        <span class="debug-value">${format(
+                          latency.network
+                        )}</span>
+                    </div>
+                    <div class="debug-item">
+                        <span class="debug-label">Jitter Buffer:</span>
+                        <span class="debug-value">${format(
+                          latency.jitterBuffer
+                        )}</span>
+                    </div>
+                    <div class="debug-item">
+                        <span class="debug-label">Receive to Decoded:</span>
+                        <span class="debug-value">${format(
+                          latency.processing
+                        )}</span>
+                    </div>
+                    <div class="debug-item">
+                        <span class="debug-label">Receive to Display:</span>
+                        <span class="debug-value">${format(
+                          latency.receiveToDisplay
+                        )}</span>
+                    </div>
+                    <div class="debug-item">
+                        <span class="debug-label">Capture to Display:</span>
+                        <span class="debug-value">${format(
+                          latency.captureToDisplay
+                        )}</span>
+                    </div>
+                    <div class="debug-item">
+                        <span class="debug-label">Sender Report:</span>
+                        <span class="debug-value">${format(
+                          latency.senderReport
+                        )}</span>
+                    </div>
+                    <div class="debug-item">
+                        <span class="debug-label">Calibrated:</span>
+                        <span class="debug-value">${
+                          this.state.calibrating
+                            ? latency.calibrated === null
+                              ? "No overlay found"
+                              : format(latency.calibrated)
+                            : "Off"
+                        }</span>
+                    </div>
+                    <canvas class="graph-canvas" data-graph="latency-graph" width="360" height="60"></canvas>
+                    ${this.renderCalibrateButton()}
+                </div>
+            `;
   }
 
   renderStatsTab(report) {
-    let html = "";
+    let html = this.renderLatencySection(report);
 
     // Video Section
     if (report.video.resolution) {
@@ -1034,14 +4495,28 @@ class WebRTCPlayer {
       html += `
                 <div class="debug-section">
                     <div class="debug-section-title">Video Statistics ${
-                      this.state.codecType ? `(${this.state.codecType})` : ""
+                      this.state.codecType
+                        ? `(${escapeHtml(this.state.codecType)})`
+                        : ""
                     }</div>
                     <div class="debug-item">
                         <span class="debug-label">Resolution:</span>
-                        <span class="debug-value">${
+                        <span class="debug-value">${escapeHtml(
                           report.video.resolution
-                        }</span>
+                        )}</span>
                     </div>
+                    ${
+                      this.renditions.length
+                        ? `<div class="debug-item">
+                        <span class="debug-label">Rendition:</span>
+                        <span class="debug-value">${escapeHtml(
+                          this.getRenditionLabel(this.state.rendition)
+                        )} (${
+                            this.state.quality === "auto" ? "auto" : "manual"
+                          })</span>
+                    </div>`
+                        : ""
+                    }
                     <div class="debug-item">
                         <span class="debug-label">Actual FPS:</span>
                         <span class="debug-value ${this.getQualityClass(
@@ -1091,25 +4566,27 @@ class WebRTCPlayer {
                     </div>
                     <div class="debug-item">
                         <span class="debug-label">Decoder:</span>
-                        <span class="debug-value">${report.video.decoder}</span>
+                        <span class="debug-value">${escapeHtml(
+                          report.video.decoder
+                        )}</span>
                     </div>
                     <div class="debug-item">
                         <span class="debug-label">Avg Decode Time:</span>
-                        <span class="debug-value">${
+                        <span class="debug-value">${escapeHtml(
                           report.video.avgDecodeTime || "N/A"
-                        } ms</span>
+                        )} ms</span>
                     </div>
                     <div class="debug-item">
                         <span class="debug-label">Total Frames Decoded:</span>
-                        <span class="debug-value">${
+                        <span class="debug-value">${escapeHtml(
                           report.video.framesDecoded
-                        }</span>
+                        )}</span>
                     </div>
                     <div class="debug-item">
                         <span class="debug-label">Total Frames Dropped:</span>
-                        <span class="debug-value">${
+                        <span class="debug-value">${escapeHtml(
                           report.video.framesDropped
-                        }</span>
+                        )}</span>
                     </div>
                     <div class="debug-item">
                         <span class="debug-label">Frame Drop Rate:</span>
@@ -1123,15 +4600,15 @@ class WebRTCPlayer {
                     </div>
                     <div class="debug-item">
                         <span class="debug-label">Key Frames:</span>
-                        <span class="debug-value">${
+                        <span class="debug-value">${escapeHtml(
                           report.video.keyFramesDecoded
-                        }</span>
+                        )}</span>
                     </div>
                     <div class="debug-item">
                         <span class="debug-label">Avg Key Frame Interval:</span>
-                        <span class="debug-value">${
+                        <span class="debug-value">${escapeHtml(
                           report.video.avgKeyFrameInterval
-                        } s</span>
+                        )} s</span>
                     </div>
                     <div class="debug-item">
                         <span class="debug-label">Packet Loss:</span>
@@ -1149,11 +4626,13 @@ class WebRTCPlayer {
                     </div>
                     <div class="debug-item">
                         <span class="debug-label">PLI/NACK/FIR:</span>
-                        <span class="debug-value">${report.video.pliCount}/${
-        report.video.nackCount
-      }/${report.video.firCount}</span>
+                        <span class="debug-value">${escapeHtml(
+                          report.video.pliCount
+                        )}/${escapeHtml(report.video.nackCount)}/${escapeHtml(
+        report.video.firCount
+      )}</span>
                     </div>
-                    <canvas class="graph-canvas" id="fps-graph" width="360" height="60"></canvas>
+                    <canvas class="graph-canvas" data-graph="fps-graph" width="360" height="60"></canvas>
                 </div>
             `;
 
@@ -1180,18 +4659,18 @@ class WebRTCPlayer {
                         
                         <div style="margin-top: 8px;">Diagnostics:</div>
                         <ul style="margin: 4px 0 0 20px; padding: 0;">
-                            <li>PLI Count: ${
+                            <li>PLI Count: ${escapeHtml(
                               report.video.pliCount
-                            } (Picture Loss Indication)</li>
-                            <li>NACK Count: ${
+                            )} (Picture Loss Indication)</li>
+                            <li>NACK Count: ${escapeHtml(
                               report.video.nackCount
-                            } (Negative Acknowledgment)</li>
-                            <li>FIR Count: ${
+                            )} (Negative Acknowledgment)</li>
+                            <li>FIR Count: ${escapeHtml(
                               report.video.firCount
-                            } (Full Intra Request)</li>
-                            <li>Key Frame Interval: ${
+                            )} (Full Intra Request)</li>
+                            <li>Key Frame Interval: ${escapeHtml(
                               report.video.avgKeyFrameInterval
-                            }s</li>
+                            )}s</li>
                         </ul>
                     </div>
                 `;
@@ -1240,23 +4719,22 @@ class WebRTCPlayer {
                     </div>
                     <div class="debug-item">
                         <span class="debug-label">Concealed Samples:</span>
-                        <span class="debug-value">${
+                        <span class="debug-value">${escapeHtml(
                           report.audio.concealedSamples
-                        }</span>
+                        )}</span>
                     </div>
                     <div class="debug-item">
                         <span class="debug-label">Concealment Events:</span>
-                        <span class="debug-value">${
+                        <span class="debug-value">${escapeHtml(
                           report.audio.concealmentEvents
-                        }</span>
+                        )}</span>
                     </div>
-                    <canvas class="graph-canvas" id="audio-graph" width="360" height="60"></canvas>
+                    <canvas class="graph-canvas" data-graph="audio-graph" width="360" height="60"></canvas>
                 </div>
             `;
     }
 
-    // Export button
-    html += `<button class="export-btn" onclick="window.player.exportDebugData()">Export Debug Data</button>`;
+    html += this.renderExportButtons();
 
     this.elements.debugContent.innerHTML = html;
 
@@ -1266,11 +4744,23 @@ class WebRTCPlayer {
         this.statsHistory.videoFrameCallbackFps.length > 0
           ? this.statsHistory.videoFrameCallbackFps
           : this.statsHistory.fps;
-      this.drawGraph("fps-graph", fpsData, 70, "Actual FPS");
+      this.drawGraph(
+        "fps-graph",
+        fpsData,
+        70,
+        "Actual FPS",
+        this.getSourceFrameRate()
+      );
+      this.drawGraph(
+        "latency-graph",
+        this.statsHistory.latency,
+        1000,
+        "Latency (ms)"
+      );
       this.drawGraph(
         "audio-graph",
-        this.statsHistory.bitrate,
-        Math.max(...this.statsHistory.bitrate, 1000000),
+        this.statsHistory.audioBitrate,
+        Math.max(...this.statsHistory.audioBitrate, 128000),
         "Audio Bitrate"
       );
     });
@@ -1290,27 +4780,27 @@ class WebRTCPlayer {
       html += `
                 <div class="debug-item">
                     <span class="debug-label">Connection State:</span>
-                    <span class="debug-value">${
-                      this.sdk.pc.connectionState
-                    }</span>
+                    <span class="debug-value">${escapeHtml(
+                      this.getPlayerState().connectionState
+                    )}</span>
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">DTLS State:</span>
-                    <span class="debug-value">${
+                    <span class="debug-value">${escapeHtml(
                       report.connection.dtlsState
-                    }</span>
+                    )}</span>
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">ICE State:</span>
-                    <span class="debug-value">${
+                    <span class="debug-value">${escapeHtml(
                       report.connection.iceState
-                    }</span>
+                    )}</span>
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">Protocol:</span>
-                    <span class="debug-value">${
+                    <span class="debug-value">${escapeHtml(
                       report.connection.protocol || "N/A"
-                    }</span>
+                    )}</span>
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">RTT:</span>
@@ -1329,15 +4819,33 @@ class WebRTCPlayer {
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">Local Candidate:</span>
-                    <span class="debug-value">${
+                    <span class="debug-value">${escapeHtml(
                       report.connection.localCandidateType || "N/A"
-                    }</span>
+                    )}</span>
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">Remote Candidate:</span>
-                    <span class="debug-value">${
+                    <span class="debug-value">${escapeHtml(
                       report.connection.remoteCandidateType || "N/A"
-                    }</span>
+                    )}</span>
+                </div>
+                <div class="debug-item">
+                    <span class="debug-label">Local Address:</span>
+                    <span class="debug-value">${escapeHtml(
+                      report.connection.localAddress || "N/A"
+                    )}</span>
+                </div>
+                <div class="debug-item">
+                    <span class="debug-label">Remote Address:</span>
+                    <span class="debug-value">${escapeHtml(
+                      report.connection.remoteAddress || "N/A"
+                    )}</span>
+                </div>
+                <div class="debug-item">
+                    <span class="debug-label">ICE Server:</span>
+                    <span class="debug-value">${escapeHtml(
+                      this.formatIceServer(report.connection)
+                    )}</span>
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">Total Data Transfer:</span>
@@ -1347,33 +4855,61 @@ class WebRTCPlayer {
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">Packets Received:</span>
-                    <span class="debug-value">${
+                    <span class="debug-value">${escapeHtml(
                       report.connection.packetsReceived || 0
-                    }</span>
+                    )}</span>
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">Candidate Pair Changes:</span>
-                    <span class="debug-value">${
+                    <span class="debug-value">${escapeHtml(
                       report.connection.selectedCandidatePairChanges
-                    }</span>
+                    )}</span>
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">STUN Requests Sent:</span>
-                    <span class="debug-value">${
+                    <span class="debug-value">${escapeHtml(
                       report.connection.requestsSent || 0
-                    }</span>
+                    )}</span>
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">STUN Responses Received:</span>
-                    <span class="debug-value">${
+                    <span class="debug-value">${escapeHtml(
                       report.connection.responsesReceived || 0
-                    }</span>
+                    )}</span>
                 </div>
             `;
     }
 
     html += `</div>`;
 
+    if (this.iceInfo) {
+      html += `
+                <div class="debug-section">
+                    <div class="debug-section-title">ICE Configuration</div>
+                    <div class="debug-item">
+                        <span class="debug-label">Transport Policy:</span>
+                        <span class="debug-value">${escapeHtml(
+                          this.iceInfo.policy
+                        )}</span>
+                    </div>
+                    <div class="debug-item">
+                        <span class="debug-label">Servers:</span>
+                        <span class="debug-value">${
+                          this.iceInfo.servers.length || "None"
+                        }</span>
+                    </div>
+                    ${this.iceInfo.servers
+                      .map(
+                        (url) =>
+                          `<div style="margin-left: 16px; margin-bottom: 4px; font-size: 11px; opacity: 0.8;">${escapeHtml(
+                            url
+                          )}</div>`
+                      )
+                      .join("")}
+                </div>
+            `;
+    }
+
     // ICE Candidates
     if (report.candidates.length > 0) {
       html += `
@@ -1391,14 +4927,22 @@ class WebRTCPlayer {
       if (localCandidates.length > 0) {
         html += `<div style="margin-bottom: 12px; font-weight: 500;">Local:</div>`;
         localCandidates.forEach((c) => {
-          html += `<div style="margin-left: 16px; margin-bottom: 4px; font-size: 11px; opacity: 0.8;">${c.candidateType} - ${c.protocol} ${c.ip}:${c.port} (priority: ${c.priority})</div>`;
+          html += `<div style="margin-left: 16px; margin-bottom: 4px; font-size: 11px; opacity: 0.8;">${escapeHtml(
+            c.candidateType
+          )} - ${escapeHtml(c.protocol)} ${escapeHtml(c.ip)}:${escapeHtml(
+            c.port
+          )} (priority: ${escapeHtml(c.priority)})</div>`;
         });
       }
 
       if (remoteCandidates.length > 0) {
         html += `<div style="margin-bottom: 12px; margin-top: 12px; font-weight: 500;">Remote:</div>`;
         remoteCandidates.forEach((c) => {
-          html += `<div style="margin-left: 16px; margin-bottom: 4px; font-size: 11px; opacity: 0.8;">${c.candidateType} - ${c.protocol} ${c.ip}:${c.port}</div>`;
+          html += `<div style="margin-left: 16px; margin-bottom: 4px; font-size: 11px; opacity: 0.8;">${escapeHtml(
+            c.candidateType
+          )} - ${escapeHtml(c.protocol)} ${escapeHtml(c.ip)}:${escapeHtml(
+            c.port
+          )}</div>`;
         });
       }
 
@@ -1411,12 +4955,38 @@ class WebRTCPlayer {
       html += `
                 <div class="debug-section">
                     <div class="debug-section-title">SDP Video Parameters</div>
+                    ${
+                      videoParams.framerate
+                        ? `
+                    <div class="debug-item">
+                        <span class="debug-label">Framerate:</span>
+                        <span class="debug-value">${escapeHtml(
+                          videoParams.framerate
+                        )}</span>
+                    </div>
+                    `
+                        : ""
+                    }
+                    ${
+                      videoParams.maxFramerate
+                        ? `
+                    <div class="debug-item">
+                        <span class="debug-label">Max Framerate:</span>
+                        <span class="debug-value">${escapeHtml(
+                          videoParams.maxFramerate
+                        )}</span>
+                    </div>
+                    `
+                        : ""
+                    }
                     ${
                       videoParams.codec
                         ? `
                     <div class="debug-item">
                         <span class="debug-label">Codec:</span>
-                        <span class="debug-value">${videoParams.codec}</span>
+                        <span class="debug-value">${escapeHtml(
+                          videoParams.codec
+                        )}</span>
                     </div>
                     `
                         : ""
@@ -1426,7 +4996,9 @@ class WebRTCPlayer {
                         ? `
                     <div class="debug-item">
                         <span class="debug-label">Profile Level ID:</span>
-                        <span class="debug-value">${videoParams.profileLevelId}</span>
+                        <span class="debug-value">${escapeHtml(
+                          videoParams.profileLevelId
+                        )}</span>
                     </div>
                     `
                         : ""
@@ -1436,7 +5008,9 @@ class WebRTCPlayer {
                         ? `
                     <div class="debug-item">
                         <span class="debug-label">H265 Profile ID:</span>
-                        <span class="debug-value">${videoParams.h265ProfileId}</span>
+                        <span class="debug-value">${escapeHtml(
+                          videoParams.h265ProfileId
+                        )}</span>
                     </div>
                     `
                         : ""
@@ -1446,7 +5020,9 @@ class WebRTCPlayer {
                         ? `
                     <div class="debug-item">
                         <span class="debug-label">Level ID:</span>
-                        <span class="debug-value">${videoParams.levelId}</span>
+                        <span class="debug-value">${escapeHtml(
+                          videoParams.levelId
+                        )}</span>
                     </div>
                     `
                         : ""
@@ -1468,7 +5044,9 @@ class WebRTCPlayer {
                         ? `
                     <div class="debug-item">
                         <span class="debug-label">TX Mode:</span>
-                        <span class="debug-value">${videoParams.txMode}</span>
+                        <span class="debug-value">${escapeHtml(
+                          videoParams.txMode
+                        )}</span>
                     </div>
                     `
                         : ""
@@ -1481,7 +5059,7 @@ class WebRTCPlayer {
     html += `
             <div class="debug-section">
                 <div class="debug-section-title">Round Trip Time</div>
-                <canvas class="graph-canvas" id="rtt-graph" width="360" height="60"></canvas>
+                <canvas class="graph-canvas" data-graph="rtt-graph" width="360" height="60"></canvas>
             </div>
         `;
 
@@ -1498,6 +5076,264 @@ class WebRTCPlayer {
     });
   }
 
+  // Offer and answer as tables, with what the answer dropped struck out.
+  // The player (and publisher) always send the offer.
+  renderSdpTab() {
+    const content = this.elements.debugContent;
+    const { local, remote } = this.sdpInfo;
+    const message = (title) => {
+      content.innerHTML = `
+                <div class="debug-section">
+                    <div class="debug-section-title">${title}</div>
+                </div>
+            `;
+    };
+
+    if (typeof parseSdp === "undefined") {
+      message("SDP inspector needs sdp.js");
+      return;
+    }
+    if (!local && !remote) {
+      message("No SDP captured yet");
+      return;
+    }
+    const current = content.querySelector(".sdp-inspector");
+    if (current && current.dataset.version === String(this.sdpVersion)) return;
+
+    const offer = parseSdp(local);
+    const answer = remote ? parseSdp(remote) : null;
+    const diff = answer ? diffSdp(offer, answer) : null;
+
+    let html = `<div class="sdp-inspector" data-version="${this.sdpVersion}">`;
+    html += this.renderSdpSession(offer, answer);
+    offer.media.forEach((media, index) => {
+      html += this.renderSdpMedia(
+        media,
+        diff ? diff[index] : null,
+        answer && diff && !diff[index].rejected
+          ? answer.media.find((m) => m.mid === media.mid) || answer.media[index]
+          : null
+      );
+    });
+    html += `
+                <div class="debug-section">
+                    <div class="debug-section-title">Raw SDP</div>
+                    <details class="sdp-raw">
+                        <summary>Offer (local)</summary>
+                        <pre>${escapeHtml(local || "")}</pre>
+                    </details>
+                    <details class="sdp-raw">
+                        <summary>Answer (remote)</summary>
+                        <pre>${escapeHtml(remote || "")}</pre>
+                    </details>
+                </div>
+            </div>`;
+    content.innerHTML = html;
+  }
+
+  // Transport-level facts side by side; media sections may carry them
+  // instead of the session
+  renderSdpSession(offer, answer) {
+    const value = (session, key) => {
+      if (!session) return "";
+      const sections = [session, ...session.media];
+      const found = sections.find((s) =>
+        Array.isArray(s[key]) ? s[key].length : s[key]
+      );
+      return found ? found[key] : "";
+    };
+    const rows = [
+      [
+        "Groups",
+        (session) =>
+          value(session, "groups")
+            ? value(session, "groups")
+                .map((g) => `${g.semantics} ${g.mids.join(" ")}`)
+                .join(", ")
+            : "",
+      ],
+      ["ICE ufrag", (session) => value(session, "iceUfrag")],
+      ["ICE options", (session) => value(session, "iceOptions")],
+      ["ICE lite", (session) => (value(session, "iceLite") ? "yes" : "")],
+      ["DTLS setup", (session) => value(session, "setup")],
+      [
+        "Fingerprint",
+        (session) =>
+          value(session, "fingerprints")
+            ? value(session, "fingerprints")
+                .map((f) => `${f.hash} ${f.fingerprint}`)
+                .join(", ")
+            : "",
+      ],
+      ["msid-semantic", (session) => value(session, "msidSemantic")],
+    ];
+
+    return `
+            <div class="debug-section">
+                <div class="debug-section-title">Session</div>
+                <table class="sdp-table">
+                    <tr><th></th><th>Offer</th><th>Answer</th></tr>
+                    ${rows
+                      .map(
+                        ([label, get]) => `
+                    <tr>
+                        <td>${label}</td>
+                        <td>${escapeHtml(get(offer) || "—")}</td>
+                        <td>${escapeHtml(answer ? get(answer) || "—" : "")}</td>
+                    </tr>`
+                      )
+                      .join("")}
+                </table>
+            </div>
+        `;
+  }
+
+  renderSdpMedia(media, diff, answered) {
+    const status = !diff
+      ? "no answer yet"
+      : diff.rejected
+      ? "rejected"
+      : `${diff.direction.offer} → ${diff.direction.answer}`;
+    const removed = (negotiated) => (diff && !negotiated ? "sdp-removed" : "");
+
+    const codecs = media.codecs
+      .map((codec, i) => {
+        const entry = diff ? diff.codecs[i] : null;
+        const match = entry && entry.answer;
+        const fmtp = (match && match.fmtp) || codec.fmtp;
+        const feedback = codec.rtcpFb
+          .map((value, j) =>
+            entry && !entry.rtcpFb[j].negotiated
+              ? `<span class="sdp-removed">${escapeHtml(value)}</span>`
+              : escapeHtml(value)
+          )
+          .join(", ");
+        return `
+                    <tr class="${removed(entry && entry.negotiated)}">
+                        <td>${escapeHtml(codec.payloadType)}${
+          match && match.payloadType !== codec.payloadType
+            ? ` → ${escapeHtml(match.payloadType)}`
+            : ""
+        }</td>
+                        <td>${escapeHtml(
+                          codec.name
+                            ? `${codec.name}/${codec.clockRate}${
+                                codec.channels ? `/${codec.channels}` : ""
+                              }`
+                            : "—"
+                        )}</td>
+                        <td>${escapeHtml(fmtp || "")}</td>
+                        <td>${feedback}</td>
+                    </tr>`;
+      })
+      .join("");
+
+    const extmaps = media.extmaps
+      .map((extmap, i) => {
+        const entry = diff ? diff.extmaps[i] : null;
+        return `
+                    <tr class="${removed(entry && entry.negotiated)}">
+                        <td>${extmap.id}${
+          entry && entry.answer && entry.answer.id !== extmap.id
+            ? ` → ${entry.answer.id}`
+            : ""
+        }</td>
+                        <td>${escapeHtml(extmap.uri)}</td>
+                    </tr>`;
+      })
+      .join("");
+
+    const candidates = [
+      ...media.candidates.map((c) => ["local", c]),
+      ...(answered ? answered.candidates.map((c) => ["remote", c]) : []),
+    ]
+      .map(
+        ([side, c]) => `
+                    <tr>
+                        <td>${side}</td>
+                        <td>${escapeHtml(c.type)}</td>
+                        <td>${escapeHtml(c.protocol)}</td>
+                        <td>${escapeHtml(`${c.address}:${c.port}`)}</td>
+                        <td>${c.priority}</td>
+                    </tr>`
+      )
+      .join("");
+
+    const ssrcs = [
+      ...new Set([
+        ...media.ssrcs.map((ssrc) => ssrc.id),
+        ...(answered ? answered.ssrcs.map((ssrc) => ssrc.id) : []),
+      ]),
+    ];
+
+    return `
+            <div class="debug-section">
+                <div class="debug-section-title">${escapeHtml(
+                  `${media.kind} · mid ${media.mid ?? "—"} · ${status}`
+                )}</div>
+                <div class="debug-item">
+                    <span class="debug-label">Protocol:</span>
+                    <span class="debug-value">${escapeHtml(
+                      media.protocol
+                    )}</span>
+                </div>
+                <div class="debug-item">
+                    <span class="debug-label">RTCP mux / reduced size:</span>
+                    <span class="debug-value">${
+                      media.rtcpMux ? "yes" : "no"
+                    } / ${media.rtcpRsize ? "yes" : "no"}</span>
+                </div>
+                <div class="debug-item">
+                    <span class="debug-label">SSRCs:</span>
+                    <span class="debug-value">${escapeHtml(
+                      ssrcs.join(", ") || "None"
+                    )}</span>
+                </div>
+                <table class="sdp-table">
+                    <tr><th>PT</th><th>Codec</th><th>fmtp</th><th>rtcp-fb</th></tr>
+                    ${codecs}
+                </table>
+                ${
+                  extmaps
+                    ? `<table class="sdp-table">
+                    <tr><th>ID</th><th>Header extension</th></tr>
+                    ${extmaps}
+                </table>`
+                    : ""
+                }
+                ${
+                  candidates
+                    ? `<table class="sdp-table">
+                    <tr><th>Side</th><th>Type</th><th>Protocol</th><th>Address</th><th>Priority</th></tr>
+                    ${candidates}
+                </table>`
+                    : ""
+                }
+            </div>
+        `;
+  }
+
+  renderCodecSupport() {
+    const decodable = this.getEnvironment().decodableCodecs;
+    return `
+                <div class="debug-item">
+                    <span class="debug-label">Requested Codecs:</span>
+                    <span class="debug-value">${
+                      this.state.codecs
+                        .filter((name) => VIDEO_CODECS[name])
+                        .map((name) => VIDEO_CODECS[name].label)
+                        .join(" > ") || "Auto"
+                    }</span>
+                </div>
+                <div class="debug-item">
+                    <span class="debug-label">Browser Decodes:</span>
+                    <span class="debug-value">${escapeHtml(
+                      decodable ? decodable.join(", ") || "None" : "N/A"
+                    )}</span>
+                </div>
+            `;
+  }
+
   renderMediaTab(report) {
     let html = `
             <div class="debug-section">
@@ -1508,54 +5344,60 @@ class WebRTCPlayer {
       html += `
                 <div class="debug-item">
                     <span class="debug-label">Video Codec:</span>
-                    <span class="debug-value">${report.codecs.video} ${
-        this.state.codecType ? `(${this.state.codecType})` : ""
+                    <span class="debug-value">${escapeHtml(
+                      report.codecs.video
+                    )} ${
+        this.state.codecType ? `(${escapeHtml(this.state.codecType)})` : ""
       }</span>
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">Implementation:</span>
-                    <span class="debug-value">${
+                    <span class="debug-value">${escapeHtml(
                       report.codecs.videoImplementation || "N/A"
-                    }</span>
+                    )}</span>
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">Clock Rate:</span>
-                    <span class="debug-value">${
+                    <span class="debug-value">${escapeHtml(
                       report.codecs.videoClockRate
-                    } Hz</span>
+                    )} Hz</span>
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">Payload Type:</span>
-                    <span class="debug-value">${
+                    <span class="debug-value">${escapeHtml(
                       report.codecs.videoPayloadType
-                    }</span>
+                    )}</span>
                 </div>
             `;
     }
 
+    html += this.renderCodecSupport();
+
     if (report.codecs.audio) {
       html += `
                 <div class="debug-item" style="margin-top: 16px;">
                     <span class="debug-label">Audio Codec:</span>
-                    <span class="debug-value">${report.codecs.audio}</span>
+                    <span class="debug-value">${escapeHtml(
+                      report.codecs.audio
+                    )}</span>
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">Clock Rate:</span>
-                    <span class="debug-value">${
+                    <span class="debug-value">${escapeHtml(
                       report.codecs.audioClockRate
-                    } Hz</span>
+                    )} Hz</span>
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">Channels:</span>
-                    <span class="debug-value">${
+                    <span class="debug-value">${escapeHtml(
                       report.codecs.audioChannels || "N/A"
-                    }</span>
+                    )}</span>
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">Payload Type:</span>
-                    <span class="debug-value">${
+                    <span class="debug-value">${escapeHtml(
                       report.codecs.audioPayloadType
-                    }</span>
+                    )}</span>
                 </div>
             `;
     }
@@ -1563,7 +5405,9 @@ class WebRTCPlayer {
     html += `</div>`;
 
     // Player State
-    const uptime = Math.floor((Date.now() - this.statsStartTime) / 1000);
+    const player = this.getPlayerState();
+    const environment = this.getEnvironment();
+    const uptime = player.uptime;
     const uptimeStr = `${Math.floor(uptime / 60)}m ${uptime % 60}s`;
 
     html += `
@@ -1571,80 +5415,78 @@ class WebRTCPlayer {
                 <div class="debug-section-title">Player State</div>
                 <div class="debug-item">
                     <span class="debug-label">Uptime:</span>
-                    <span class="debug-value">${uptimeStr}</span>
+                    <span class="debug-value">${escapeHtml(uptimeStr)}</span>
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">Ready State:</span>
-                    <span class="debug-value">${
+                    <span class="debug-value">${escapeHtml(
                       [
                         "HAVE_NOTHING",
                         "HAVE_METADATA",
                         "HAVE_CURRENT_DATA",
                         "HAVE_FUTURE_DATA",
                         "HAVE_ENOUGH_DATA",
-                      ][this.elements.video.readyState]
-                    }</span>
+                      ][player.readyState]
+                    )}</span>
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">Network State:</span>
-                    <span class="debug-value">${
+                    <span class="debug-value">${escapeHtml(
                       [
                         "NETWORK_EMPTY",
                         "NETWORK_IDLE",
                         "NETWORK_LOADING",
                         "NETWORK_NO_SOURCE",
-                      ][this.elements.video.networkState]
-                    }</span>
+                      ][player.networkState]
+                    )}</span>
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">Video Width:</span>
-                    <span class="debug-value">${
-                      this.elements.video.videoWidth
-                    }</span>
+                    <span class="debug-value">${escapeHtml(
+                      player.videoWidth
+                    )}</span>
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">Video Height:</span>
-                    <span class="debug-value">${
-                      this.elements.video.videoHeight
-                    }</span>
+                    <span class="debug-value">${escapeHtml(
+                      player.videoHeight
+                    )}</span>
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">Display Size:</span>
-                    <span class="debug-value">${
-                      this.elements.video.clientWidth
-                    }x${this.elements.video.clientHeight}</span>
+                    <span class="debug-value">${escapeHtml(
+                      player.displayWidth
+                    )}x${escapeHtml(player.displayHeight)}</span>
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">Buffered:</span>
                     <span class="debug-value">${
-                      this.elements.video.buffered.length > 0
-                        ? this.elements.video.buffered.end(0).toFixed(1) + "s"
-                        : "0s"
+                      player.buffered.toFixed(1) + "s"
                     }</span>
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">Current Time:</span>
-                    <span class="debug-value">${this.elements.video.currentTime.toFixed(
+                    <span class="debug-value">${player.currentTime.toFixed(
                       1
                     )}s</span>
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">Volume:</span>
                     <span class="debug-value">${Math.round(
-                      this.elements.video.volume * 100
+                      player.volume * 100
                     )}%</span>
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">Muted:</span>
                     <span class="debug-value">${
-                      this.elements.video.muted ? "Yes" : "No"
+                      player.muted ? "Yes" : "No"
                     }</span>
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">Playback Rate:</span>
-                    <span class="debug-value">${
-                      this.elements.video.playbackRate
-                    }x</span>
+                    <span class="debug-value">${escapeHtml(
+                      player.playbackRate
+                    )}x</span>
                 </div>
             </div>
         `;
@@ -1656,13 +5498,10 @@ class WebRTCPlayer {
                 <div class="debug-item">
                     <span class="debug-label">requestVideoFrameCallback:</span>
                     <span class="debug-value ${
-                      "requestVideoFrameCallback" in HTMLVideoElement.prototype
-                        ? "good"
-                        : "bad"
+                      environment.videoFrameCallbackSupported ? "good" : "bad"
                     }">
                         ${
-                          "requestVideoFrameCallback" in
-                          HTMLVideoElement.prototype
+                          environment.videoFrameCallbackSupported
                             ? "Supported"
                             : "Not Supported"
                         }
@@ -1670,9 +5509,9 @@ class WebRTCPlayer {
                 </div>
                 <div class="debug-item">
                     <span class="debug-label">User Agent:</span>
-                    <span class="debug-value" style="font-size: 11px; word-break: break-all;">${
-                      navigator.userAgent
-                    }</span>
+                    <span class="debug-value" style="font-size: 11px; word-break: break-all;">${escapeHtml(
+                      environment.userAgent
+                    )}</span>
                 </div>
             </div>
         `;
@@ -1687,9 +5526,9 @@ class WebRTCPlayer {
         html += `
                     <div class="debug-item">
                         <span class="debug-label">Stream ${index + 1}:</span>
-                        <span class="debug-value" style="font-size: 11px;">${
+                        <span class="debug-value" style="font-size: 11px;">${escapeHtml(
                           stream.id
-                        }</span>
+                        )}</span>
                     </div>
                 `;
       });
@@ -1699,56 +5538,133 @@ class WebRTCPlayer {
     this.elements.debugContent.innerHTML = html;
   }
 
-  updateStatsHistory(report) {
-    const maxHistory = STATS_HISTORY_SIZE;
+  // The STUN or TURN server behind the selected local candidate
+  formatIceServer(connection) {
+    if (connection.localCandidateType === "host") return "None (direct)";
+    if (!connection.iceServer) return "N/A";
+    return connection.relayProtocol
+      ? `${connection.iceServer} (relay over ${connection.relayProtocol})`
+      : connection.iceServer;
+  }
 
-    if (report.video.fps !== undefined) {
-      this.statsHistory.fps.push(report.video.fps);
-      if (this.statsHistory.fps.length > maxHistory) {
-        this.statsHistory.fps.shift();
-      }
+  renderHealthTab(report) {
+    const quality = report.quality;
+    if (!quality) {
+      this.elements.debugContent.innerHTML = `
+                <div class="debug-section">
+                    <div class="debug-section-title">No video to score yet</div>
+                </div>
+            `;
+      return;
     }
 
-    if (report.video.videoFrameCallbackFps !== undefined) {
-      this.statsHistory.videoFrameCallbackFps.push(
-        report.video.videoFrameCallbackFps
-      );
-      if (this.statsHistory.videoFrameCallbackFps.length > maxHistory) {
-        this.statsHistory.videoFrameCallbackFps.shift();
-      }
-    }
+    const metrics = Object.entries(quality.metrics)
+      .map(
+        ([name, metric]) => `
+                <div class="debug-item">
+                    <span class="debug-label">${escapeHtml(
+                      QUALITY_LABELS[name] || name
+                    )}:</span>
+                    <span class="debug-value ${escapeHtml(
+                      metric.level
+                    )}">${escapeHtml(
+          this.formatQualityMetric(name, metric.value)
+        )}${
+          QUALITY_WEIGHTS[name] ? ` (${escapeHtml(metric.score)})` : ""
+        }</span>
+                </div>
+            `
+      )
+      .join("");
+    const findings = quality.diagnosis.length
+      ? quality.diagnosis
+          .map(
+            (finding) => `
+                <div class="diagnosis-item ${escapeHtml(finding.level)}">
+                    <div class="diagnosis-message">${escapeHtml(
+                      finding.message
+                    )}</div>
+                    <div class="diagnosis-detail">${escapeHtml(
+                      finding.detail
+                    )}</div>
+                </div>
+            `
+          )
+          .join("")
+      : `<div class="diagnosis-item good">
+                    <div class="diagnosis-message">No problems found</div>
+                </div>`;
+
+    this.elements.debugContent.innerHTML = `
+            <div class="debug-section">
+                <div class="debug-section-title">Quality of Experience</div>
+                <div class="qoe-score ${escapeHtml(
+                  quality.level
+                )}">${escapeHtml(quality.score)}</div>
+                ${metrics}
+            </div>
+            <div class="debug-section">
+                <div class="debug-section-title">Diagnosis</div>
+                ${findings}
+            </div>
+        `;
+  }
 
-    if (report.audio.bitrate !== undefined) {
-      this.statsHistory.bitrate.push(report.audio.bitrate);
-      if (this.statsHistory.bitrate.length > maxHistory) {
-        this.statsHistory.bitrate.shift();
-      }
+  formatQualityMetric(name, value) {
+    switch (name) {
+      case "fpsStability":
+        return `±${(value * 100).toFixed(0)}%`;
+      case "decodeLoad":
+        return `${(value * 100).toFixed(0)}%`;
+      case "freezes":
+        return `${value} / min`;
+      case "frameDrops":
+      case "packetLoss":
+      case "concealment":
+        return `${value.toFixed(2)}%`;
+      case "keyFrameInterval":
+        return `${value.toFixed(1)} s`;
+      default:
+        return `${value.toFixed(0)} ms`;
     }
+  }
 
-    if (report.connection.rtt !== undefined) {
-      this.statsHistory.rtt.push(report.connection.rtt);
-      if (this.statsHistory.rtt.length > maxHistory) {
-        this.statsHistory.rtt.shift();
+  updateStatsHistory(report) {
+    const push = (name, value) => {
+      if (value === undefined || value === null) return;
+      const history = this.statsHistory[name];
+      history.push(value);
+      if (history.length > STATS_HISTORY_SIZE) {
+        history.shift();
       }
-    }
+    };
 
-    if (report.video.framesDecoded !== undefined) {
-      this.statsHistory.framesDecoded.push(report.video.framesDecoded);
-      if (this.statsHistory.framesDecoded.length > maxHistory) {
-        this.statsHistory.framesDecoded.shift();
-      }
-    }
+    push("fps", report.video.fps);
+    push("videoFrameCallbackFps", report.video.videoFrameCallbackFps);
+    push("bitrate", report.video.bitrate);
+    push("audioBitrate", report.audio.bitrate);
+    push("packetLoss", report.video.packetLossRate);
+    push("jitter", report.video.jitter);
+    push("latency", report.latency && report.latency.total);
+    push("rtt", report.connection.rtt);
+    push("framesDecoded", report.video.framesDecoded);
+    push("framesDropped", report.video.framesDropped);
+  }
 
-    if (report.video.framesDropped !== undefined) {
-      this.statsHistory.framesDropped.push(report.video.framesDropped);
-      if (this.statsHistory.framesDropped.length > maxHistory) {
-        this.statsHistory.framesDropped.shift();
-      }
-    }
+  // Frame rate the stream is sent at, from the answer's a=framerate or
+  // max-fr, or null when it doesn't say
+  getSourceFrameRate() {
+    if (!this.sdpInfo.remote) return null;
+    const videoParams = this.extractVideoParams(this.sdpInfo.remote);
+    return videoParams.framerate || videoParams.maxFramerate || null;
   }
 
-  drawGraph(canvasId, data, maxValue, label) {
-    const canvas = document.getElementById(canvasId);
+  // target: a dashed line for the expected value (e.g. the stream's frame
+  // rate), or none when it isn't known
+  drawGraph(canvasId, data, maxValue, label, target = null) {
+    const canvas = this.elements.debugContent.querySelector(
+      `[data-graph="${canvasId}"]`
+    );
     if (!canvas || !data || data.length === 0) return;
 
     const ctx = canvas.getContext("2d");
@@ -1762,7 +5678,7 @@ class WebRTCPlayer {
     if (data.length < 2) return;
 
     // Auto-scale if needed
-    const dataMax = Math.max(...data);
+    const dataMax = Math.max(...data, target || 0);
     if (dataMax > maxValue) {
       maxValue = dataMax * 1.2;
     }
@@ -1778,12 +5694,12 @@ class WebRTCPlayer {
       ctx.stroke();
     }
 
-    // Draw target line for FPS
-    if (label.includes("FPS")) {
+    // Draw target line
+    if (target) {
       ctx.strokeStyle = "rgba(76, 175, 80, 0.3)";
       ctx.lineWidth = 1;
       ctx.setLineDash([5, 5]);
-      const targetY = height - (60 / maxValue) * height;
+      const targetY = height - (target / maxValue) * height;
       ctx.beginPath();
       ctx.moveTo(0, targetY);
       ctx.lineTo(width, targetY);
@@ -1793,10 +5709,13 @@ class WebRTCPlayer {
 
     // Draw data line
     const currentValue = data[data.length - 1];
+    const quality = label.includes("Latency")
+      ? this.getQualityClass(currentValue, "latency")
+      : this.getQualityClass(currentValue, "fps");
     ctx.strokeStyle =
-      currentValue >= 55
+      quality === "good"
         ? "#4CAF50"
-        : currentValue >= 30
+        : quality === "warning"
         ? "#FFC107"
         : "#F44336";
     ctx.lineWidth = 2;
@@ -1835,57 +5754,60 @@ class WebRTCPlayer {
     let valueText;
     if (label.includes("FPS")) {
       valueText = currentValue.toFixed(1);
-      // Add target indicator
-      ctx.fillStyle = "rgba(76, 175, 80, 0.8)";
-      ctx.fillText("Target: 60", width - 60, 15);
-      ctx.fillStyle = "rgba(255, 255, 255, 0.8)";
     } else if (label.includes("Bitrate")) {
       valueText = this.formatBitrate(currentValue);
+    } else if (label.includes("Latency")) {
+      valueText = `${currentValue.toFixed(0)} ms`;
     } else {
       valueText = currentValue.toFixed(0);
     }
     ctx.fillText(valueText, width - ctx.measureText(valueText).width - 5, 30);
+
+    if (target) {
+      const targetText = `Target: ${target}`;
+      ctx.fillStyle = "rgba(76, 175, 80, 0.8)";
+      ctx.fillText(
+        targetText,
+        width - ctx.measureText(targetText).width - 5,
+        15
+      );
+    }
   }
 
   exportDebugData() {
     const timestamp = new Date().toISOString();
-    const uptime = Math.floor((Date.now() - this.statsStartTime) / 1000);
+    const environment = this.getEnvironment();
 
     const data = {
       timestamp,
-      url: location.href,
-      userAgent: navigator.userAgent,
+      url: redactToken(location.href),
+      userAgent: environment.userAgent,
+      stream: {
+        app: this.options.app,
+        stream: this.options.stream,
+        protocol: this.options.protocol,
+      },
       codec: this.state.codecType,
       stats: {
         history: this.statsHistory,
         current: this.lastStats,
+        // Parsed form of `current`, as the debug panel shows it
+        report: this.lastReport,
         maxFpsAchieved: this.performanceMetrics.maxFpsAchieved,
         lastPresentedFrames: this.performanceMetrics.lastPresentedFrames,
+        latency: this.lastReport ? this.lastReport.latency : null,
       },
       sdp: this.sdpInfo,
-      connectionQuality: this.state.connectionQuality,
-      playerState: {
-        uptime: uptime,
-        readyState: this.elements.video.readyState,
-        networkState: this.elements.video.networkState,
-        videoWidth: this.elements.video.videoWidth,
-        videoHeight: this.elements.video.videoHeight,
-        displayWidth: this.elements.video.clientWidth,
-        displayHeight: this.elements.video.clientHeight,
-        duration: this.elements.video.duration,
-        currentTime: this.elements.video.currentTime,
-        buffered:
-          this.elements.video.buffered.length > 0
-            ? this.elements.video.buffered.end(0)
-            : 0,
-        volume: this.elements.video.volume,
-        muted: this.elements.video.muted,
-        playbackRate: this.elements.video.playbackRate,
+      ice: this.iceInfo,
+      codecSupport: {
+        requested: this.state.codecs,
+        decodable: environment.decodableCodecs,
       },
+      connectionQuality: this.state.connectionQuality,
+      playerState: this.getPlayerState(),
       performance: {
         keyFrameIntervals: this.performanceMetrics.keyFrameTimestamps,
-        videoFrameCallbackSupported:
-          "requestVideoFrameCallback" in HTMLVideoElement.prototype,
+        videoFrameCallbackSupported: environment.videoFrameCallbackSupported,
       },
     };
 
@@ -1900,6 +5822,233 @@ class WebRTCPlayer {
     URL.revokeObjectURL(url);
   }
 
+  renderExportButtons() {
+    const exportBtn = `<button class="export-btn">Export Debug Data</button>`;
+    if (!this.metrics) return exportBtn;
+
+    return `
+            ${exportBtn}
+            <div class="export-actions">
+                <button class="export-btn" data-format="csv">Export CSV</button>
+                <button class="export-btn" data-format="ndjson">Export NDJSON</button>
+            </div>
+        `;
+  }
+
+  // Charts
+  recordEvent(type, label) {
+    if (this.metrics) {
+      this.metrics.addEvent(type, label);
+    }
+  }
+
+  // Resolution and codec changes become markers on the charts' timeline
+  recordStatsEvents(report, previous) {
+    if (!previous) return;
+
+    const resolution = report.video.resolution;
+    const previousResolution = previous.video.resolution;
+    if (
+      resolution &&
+      previousResolution &&
+      previousResolution !== "0x0" &&
+      resolution !== previousResolution
+    ) {
+      this.recordEvent(
+        "resolution",
+        `Resolution ${previousResolution} → ${resolution}`
+      );
+    }
+
+    const codec = report.codecs.video;
+    if (codec && previous.codecs.video && codec !== previous.codecs.video) {
+      this.recordEvent("codec", `Codec ${previous.codecs.video} → ${codec}`);
+    }
+  }
+
+  // Built once per visit to the tab, so the chart keeps its hover and drag
+  // state; stats updates only redraw it
+  renderChartsTab() {
+    if (!this.metrics || typeof TimeSeriesChart === "undefined") {
+      this.elements.debugContent.innerHTML = `
+                <div class="debug-section">
+                    <div class="debug-section-title">Charts need metrics.js and chart.js</div>
+                </div>
+            `;
+      return;
+    }
+
+    const canvas = this.elements.debugContent.querySelector(".chart-canvas");
+    if (!canvas || !this.chart || this.chart.canvas !== canvas) {
+      this.createChart();
+    }
+
+    const series = CHART_SERIES.filter((s) => this.chartSeries.has(s.column));
+    const data = {};
+    series.forEach((s) => {
+      data[s.column] = this.metrics.getSeries(s.column);
+    });
+    this.chart.setData(series, data, this.metrics.getEvents());
+    this.chart.draw();
+    this.updateChartControls();
+  }
+
+  createChart() {
+    const markers = [
+      ["reconnect", "Reconnect"],
+      ["resolution", "Resolution"],
+      ["codec", "Codec"],
+      ["rendition", "Rendition"],
+      ["keyframe", "Keyframe"],
+    ];
+
+    this.elements.debugContent.innerHTML = `
+            <div class="debug-section">
+                <div class="chart-toolbar">
+                    <button class="chart-btn chart-pause-btn"></button>
+                    <button class="chart-btn" data-zoom="in" aria-label="Zoom In">+</button>
+                    <button class="chart-btn" data-zoom="out" aria-label="Zoom Out">−</button>
+                    <span class="chart-range"></span>
+                </div>
+                <canvas class="chart-canvas"></canvas>
+                <div class="chart-hint">Drag to scroll back, wheel to zoom, double-click to go live</div>
+                <div class="chart-series">
+                    ${CHART_SERIES.map(
+                      (s) => `
+                    <label class="chart-series-item">
+                        <input type="checkbox" value="${s.column}" ${
+                        this.chartSeries.has(s.column) ? "checked" : ""
+                      } />
+                        <span class="chart-swatch" style="background: ${
+                          s.color
+                        }"></span>
+                        ${s.label}
+                    </label>`
+                    ).join("")}
+                </div>
+                <div class="chart-series chart-markers">
+                    ${markers
+                      .map(
+                        ([type, label]) => `
+                    <span class="chart-series-item">
+                        <span class="chart-swatch" style="background: ${CHART_MARKER_COLORS[type]}"></span>
+                        ${label}
+                    </span>`
+                      )
+                      .join("")}
+                </div>
+            </div>
+        `;
+
+    this.chart = new TimeSeriesChart(
+      this.elements.debugContent.querySelector(".chart-canvas"),
+      {
+        ...this.chartView,
+        format: (value, series) => this.formatChartValue(value, series.unit),
+      }
+    );
+    this.chart.onviewchange = (chart) => {
+      this.chartView = { span: chart.span, end: chart.end };
+      this.updateChartControls();
+    };
+  }
+
+  updateChartControls() {
+    const pauseBtn =
+      this.elements.debugContent.querySelector(".chart-pause-btn");
+    const range = this.elements.debugContent.querySelector(".chart-range");
+    if (!pauseBtn || !this.chart) return;
+
+    pauseBtn.textContent = this.chart.paused ? "Live" : "Pause";
+    const [start, end] = this.chart.getRange();
+    range.textContent = `${this.chart.formatTime(start)} – ${
+      this.chart.paused ? this.chart.formatTime(end) : "now"
+    }`;
+  }
+
+  toggleChartPause() {
+    if (this.chart.paused) {
+      this.chart.resume();
+    } else {
+      this.chart.pause();
+    }
+  }
+
+  toggleChartSeries(column, enabled) {
+    if (enabled) {
+      this.chartSeries.add(column);
+    } else {
+      this.chartSeries.delete(column);
+    }
+    this.renderChartsTab();
+  }
+
+  formatChartValue(value, unit) {
+    switch (unit) {
+      case "bps":
+        return this.formatBitrate(value);
+      case "%":
+        return `${value.toFixed(2)}%`;
+      case "ms":
+        return `${value.toFixed(0)} ms`;
+      case "fps":
+        return `${value.toFixed(1)} fps`;
+      default:
+        return value.toFixed(1);
+    }
+  }
+
+  // Full stats history of the current stream, one row per sample
+  exportMetrics(format) {
+    if (!this.metrics) return;
+
+    const blob =
+      format === "csv"
+        ? new Blob([this.metrics.toCSV()], { type: "text/csv" })
+        : new Blob([this.metrics.toNDJSON()], {
+            type: "application/x-ndjson",
+          });
+    this.downloadBlob(blob, this.getFileName("metrics", format));
+  }
+
+  // What the Media tab and the debug export show about the player; see
+  // debug-viewer.js for the same read from an export
+  getPlayerState() {
+    const video = this.elements.video;
+    return {
+      uptime: Math.floor((Date.now() - this.statsStartTime) / 1000),
+      connectionState:
+        this.sdk && this.sdk.pc ? this.sdk.pc.connectionState : "closed",
+      latencyMode: this.state.latencyMode,
+      rendition: this.state.rendition,
+      quality: this.state.quality,
+      readyState: video.readyState,
+      networkState: video.networkState,
+      videoWidth: video.videoWidth,
+      videoHeight: video.videoHeight,
+      displayWidth: video.clientWidth,
+      displayHeight: video.clientHeight,
+      duration: video.duration,
+      currentTime: video.currentTime,
+      buffered: video.buffered.length > 0 ? video.buffered.end(0) : 0,
+      volume: video.volume,
+      muted: video.muted,
+      playbackRate: video.playbackRate,
+    };
+  }
+
+  getEnvironment() {
+    const decodable = this.getDecodableCodecs();
+    return {
+      userAgent: navigator.userAgent,
+      videoFrameCallbackSupported:
+        "requestVideoFrameCallback" in HTMLVideoElement.prototype,
+      decodableCodecs: decodable
+        ? decodable.map((name) => VIDEO_CODECS[name].label)
+        : null,
+    };
+  }
+
   // Helper Methods
   formatBytes(bytes) {
     if (bytes === 0) return "0 B";
@@ -1920,36 +6069,26 @@ class WebRTCPlayer {
   }
 
   getQualityClass(value, type) {
-    if (type === "fps") {
-      if (value >= 55) return "good";
-      if (value >= 30) return "warning";
-      return "bad";
-    } else if (type === "packetLoss") {
-      if (value <= 1) return "good";
-      if (value <= 5) return "warning";
-      return "bad";
-    } else if (type === "jitter") {
-      if (value <= 30) return "good";
-      if (value <= 100) return "warning";
-      return "bad";
-    } else if (type === "rtt") {
-      if (value <= 50) return "good";
-      if (value <= 150) return "warning";
-      return "bad";
-    }
-    return "";
+    const limits = this.qualityThresholds[type];
+    return limits ? getQualityLevel(value, limits) : "";
   }
 
   // Settings persistence
   savePlayerSettings() {
+    if (!this.options.persistSettings) return;
+
     const settings = {
       volume: this.elements.volumeSlider.value,
       muted: this.elements.video.muted,
+      latencyMode: this.state.latencyMode,
+      codec: this.state.codecs.join(","),
     };
     localStorage.setItem("webrtc-player-settings", JSON.stringify(settings));
   }
 
   loadPlayerSettings() {
+    if (!this.options.persistSettings) return;
+
     try {
       const settings = JSON.parse(
         localStorage.getItem("webrtc-player-settings") || "{}"
@@ -1964,6 +6103,18 @@ class WebRTCPlayer {
         this.elements.video.muted = settings.muted;
         this.updateVolumeIcon();
       }
+
+      if (
+        LATENCY_MODES[settings.latencyMode] &&
+        !LATENCY_MODES[this.options.latencyMode]
+      ) {
+        this.state.latencyMode = settings.latencyMode;
+        this.elements.latencySelect.value = settings.latencyMode;
+      }
+
+      if (settings.codec && !this.options.codec) {
+        this.state.codecs = parseCodecs(settings.codec);
+      }
     } catch (error) {
       console.error("Error loading settings:", error);
     }
@@ -1971,16 +6122,21 @@ class WebRTCPlayer {
 
   onVideoLoaded() {
     // Auto unmute after user interaction
-    document.body.addEventListener(
-      "click",
-      () => {
-        if (this.elements.video.muted && this.elements.volumeSlider.value > 0) {
-          this.elements.video.muted = false;
-          this.updateVolumeIcon();
-        }
-      },
-      { once: true }
-    );
+    if (this.options.autoUnmute) {
+      document.body.addEventListener(
+        "click",
+        () => {
+          if (
+            this.elements.video.muted &&
+            this.elements.volumeSlider.value > 0
+          ) {
+            this.elements.video.muted = false;
+            this.updateVolumeIcon();
+          }
+        },
+        { once: true, signal: this.abortController.signal }
+      );
+    }
 
     // Log video properties
     console.log("Video loaded:", {
@@ -1991,3 +6147,108 @@ class WebRTCPlayer {
     });
   }
 }
+
+// <webrtc-player app="live" stream="cam1"> wrapping WebRTCPlayer. Supports the
+// protocol, url, token, codec, renditions, quality, poster, reconnect,
+// replay, latency, telemetry, max-zoom, tour, autoplay="false", keyboard and
+// picker attributes; player events are re-dispatched on the element.
+class WebRTCPlayerElement extends HTMLElement {
+  static get observedAttributes() {
+    return ["app", "stream", "token"];
+  }
+
+  connectedCallback() {
+    if (this.player) return;
+
+    const container = document.createElement("div");
+    container.className = "player-container";
+    this.appendChild(container);
+
+    this.player = new WebRTCPlayer(container, {
+      app: this.getAttribute("app") || app,
+      stream: this.getAttribute("stream") || stream,
+      protocol: this.getAttribute("protocol") === "whep" ? "whep" : "srs",
+      url: this.getAttribute("url"),
+      token: this.getAttribute("token"),
+      codec: this.getAttribute("codec"),
+      renditionsUrl: this.getAttribute("renditions"),
+      quality: this.getAttribute("quality"),
+      poster: this.getAttribute("poster"),
+      replayBuffer: parseInt(this.getAttribute("replay")) || 0,
+      latencyMode: this.getAttribute("latency"),
+      telemetryUrl: this.getAttribute("telemetry"),
+      autoplay: this.getAttribute("autoplay") !== "false",
+      maxReconnectAttempts: this.hasAttribute("reconnect")
+        ? parseReconnectAttempts(this.getAttribute("reconnect"))
+        : RECONNECT_ATTEMPTS,
+      keyboard: this.hasAttribute("keyboard"),
+      streamPicker: this.hasAttribute("picker"),
+      maxZoom: parseFloat(this.getAttribute("max-zoom")) || ZOOM_MAX,
+      tour: parseFloat(this.getAttribute("tour")) || 0,
+      persistSettings: false,
+      autoUnmute: false,
+    });
+
+    PLAYER_EVENTS.forEach((type) =>
+      this.player.addEventListener(type, (e) =>
+        this.dispatchEvent(new CustomEvent(type, { detail: e.detail }))
+      )
+    );
+  }
+
+  disconnectedCallback() {
+    this.destroy();
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (!this.player || this.switching || oldValue === newValue) return;
+    if (name === "token") {
+      this.player.setToken(newValue);
+      return;
+    }
+    this.player.switchStream(
+      this.getAttribute("app") || app,
+      this.getAttribute("stream") || stream
+    );
+  }
+
+  play() {
+    return this.player && this.player.play();
+  }
+
+  stop() {
+    if (this.player) this.player.stop();
+  }
+
+  // One switch for both attributes, rather than one to the new app with the
+  // old stream first
+  switchStream(app, stream) {
+    this.switching = true;
+    try {
+      this.setAttribute("app", app);
+      this.setAttribute("stream", stream);
+    } finally {
+      this.switching = false;
+    }
+    if (this.player) this.player.switchStream(app, stream);
+  }
+
+  setToken(token) {
+    if (token) {
+      this.setAttribute("token", token);
+    } else {
+      this.removeAttribute("token");
+    }
+  }
+
+  destroy() {
+    if (!this.player) return;
+    this.player.destroy();
+    this.player.container.remove();
+    this.player = null;
+  }
+}
+
+if (!customElements.get("webrtc-player")) {
+  customElements.define("webrtc-player", WebRTCPlayerElement);
+}
@@ -0,0 +1,170 @@
+// whep.js
+"use strict";
+
+// ICE gathering wait before sending the offer (non-trickle WHEP)
+const WHEP_ICE_GATHERING_TIMEOUT = 1000;
+
+// WHEP (WebRTC-HTTP Egress Protocol) client. Exposes the same surface as
+// SrsRtcPlayerAsync (pc, stream, ontrack, play, close) so WebRTCPlayer can
+// drive either one.
+// @see https://datatracker.ietf.org/doc/draft-ietf-wish-whep/
+class WhepPlayerAsync {
+  constructor() {
+    this.pc = new RTCPeerConnection(null);
+    this.stream = new MediaStream();
+    this.resourceUrl = null;
+
+    this.pc.ontrack = (event) => {
+      if (this.ontrack) {
+        this.ontrack(event);
+      }
+    };
+  }
+
+  // The callback when got remote track.
+  ontrack(event) {
+    this.stream.addTrack(event.track);
+  }
+
+  async play(url) {
+    this.pc.addTransceiver("audio", { direction: "recvonly" });
+    this.pc.addTransceiver("video", { direction: "recvonly" });
+
+    const offer = await this.pc.createOffer();
+    await this.pc.setLocalDescription(offer);
+    await this.waitForIceGathering();
+
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/sdp" },
+      body: this.pc.localDescription.sdp,
+    });
+
+    if (response.status !== 201 && response.status !== 200) {
+      const error = new Error(
+        `WHEP request failed: ${response.status} ${response.statusText}`
+      );
+      error.status = response.status;
+      throw error;
+    }
+
+    // The Location header points at the session resource used for teardown
+    const location = response.headers.get("Location");
+    if (location) {
+      this.resourceUrl = new URL(location, response.url || url).href;
+    }
+
+    const answer = await response.text();
+    await this.pc.setRemoteDescription(
+      new RTCSessionDescription({ type: "answer", sdp: answer })
+    );
+
+    return { resourceUrl: this.resourceUrl, sdp: answer };
+  }
+
+  // ICE restart on the existing session: PATCH the resource with the new
+  // local ICE credentials and apply the server's credentials from the reply.
+  // Rejects when the server doesn't support it (SRS answers 4xx/5xx).
+  // @see https://www.rfc-editor.org/rfc/rfc9725#section-4.3.2
+  async restartIce() {
+    if (!this.resourceUrl) {
+      throw new Error("WHEP session has no resource URL");
+    }
+
+    const offer = await this.pc.createOffer({ iceRestart: true });
+    await this.pc.setLocalDescription(offer);
+    await this.waitForIceGathering();
+
+    const response = await fetch(this.resourceUrl, {
+      method: "PATCH",
+      headers: {
+        "Content-Type": "application/trickle-ice-sdpfrag",
+        "If-Match": "*",
+      },
+      body: this.getIceFragment(this.pc.localDescription.sdp),
+    });
+
+    if (response.status !== 200) {
+      const error = new Error(
+        `WHEP ICE restart failed: ${response.status} ${response.statusText}`
+      );
+      error.status = response.status;
+      throw error;
+    }
+
+    const fragment = await response.text();
+    await this.pc.setRemoteDescription(
+      new RTCSessionDescription({
+        type: "answer",
+        sdp: this.applyIceFragment(this.pc.remoteDescription.sdp, fragment),
+      })
+    );
+  }
+
+  // SDP fragment (RFC 8840) with the ICE credentials and candidates
+  getIceFragment(sdp) {
+    const lines = sdp.split("\r\n");
+    const fragment = [
+      lines.find((line) => line.startsWith("a=ice-ufrag:")),
+      lines.find((line) => line.startsWith("a=ice-pwd:")),
+    ];
+
+    lines.forEach((line) => {
+      if (
+        line.startsWith("m=") ||
+        line.startsWith("a=mid:") ||
+        line.startsWith("a=candidate:")
+      ) {
+        fragment.push(line);
+      }
+    });
+
+    return fragment.join("\r\n") + "\r\n";
+  }
+
+  // The previous answer with the server's new ICE credentials. Candidates are
+  // kept; the server's addresses don't change across an ICE restart.
+  applyIceFragment(sdp, fragment) {
+    const ufrag = /^a=ice-ufrag:.*$/m.exec(fragment);
+    const pwd = /^a=ice-pwd:.*$/m.exec(fragment);
+    if (!ufrag || !pwd) {
+      throw new Error("WHEP ICE restart reply has no ICE credentials");
+    }
+
+    return sdp
+      .replace(/^a=ice-ufrag:.*$/gm, ufrag[0].trim())
+      .replace(/^a=ice-pwd:.*$/gm, pwd[0].trim());
+  }
+
+  waitForIceGathering() {
+    if (this.pc.iceGatheringState === "complete") {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        this.pc.removeEventListener("icegatheringstatechange", onChange);
+        resolve();
+      };
+      const onChange = () => {
+        if (this.pc.iceGatheringState === "complete") done();
+      };
+      const timer = setTimeout(done, WHEP_ICE_GATHERING_TIMEOUT);
+      this.pc.addEventListener("icegatheringstatechange", onChange);
+    });
+  }
+
+  // Close the player and release the session resource on the server.
+  close() {
+    if (this.resourceUrl) {
+      fetch(this.resourceUrl, { method: "DELETE", keepalive: true }).catch(
+        (error) => console.warn("WHEP teardown failed:", error)
+      );
+      this.resourceUrl = null;
+    }
+
+    this.pc && this.pc.close();
+    this.pc = null;
+  }
+}
@@ -0,0 +1,99 @@
+// whip.js
+"use strict";
+
+// ICE gathering wait before sending the offer (non-trickle WHIP)
+const WHIP_ICE_GATHERING_TIMEOUT = 1000;
+
+// WHIP (WebRTC-HTTP Ingestion Protocol) client. Mirrors the
+// SrsRtcPublisherAsync surface (pc, stream, ontrack, publish, close), except
+// that publish() takes an already captured MediaStream so any source
+// (camera, screen, canvas) can be sent.
+// @see https://www.rfc-editor.org/rfc/rfc9725
+class WhipPublisherAsync {
+  constructor() {
+    this.pc = new RTCPeerConnection(null);
+    this.stream = new MediaStream();
+    this.resourceUrl = null;
+  }
+
+  // The callback when a local track is added.
+  ontrack(event) {
+    this.stream.addTrack(event.track);
+  }
+
+  async publish(url, stream) {
+    stream.getTracks().forEach((track) => {
+      this.pc.addTransceiver(track, {
+        direction: "sendonly",
+        streams: [this.stream],
+      });
+      if (this.ontrack) {
+        this.ontrack({ track });
+      }
+    });
+
+    const offer = await this.pc.createOffer();
+    await this.pc.setLocalDescription(offer);
+    await this.waitForIceGathering();
+
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/sdp" },
+      body: this.pc.localDescription.sdp,
+    });
+
+    if (response.status !== 201 && response.status !== 200) {
+      const error = new Error(
+        `WHIP request failed: ${response.status} ${response.statusText}`
+      );
+      error.status = response.status;
+      throw error;
+    }
+
+    // The Location header points at the session resource used for teardown
+    const location = response.headers.get("Location");
+    if (location) {
+      this.resourceUrl = new URL(location, response.url || url).href;
+    }
+
+    const answer = await response.text();
+    await this.pc.setRemoteDescription(
+      new RTCSessionDescription({ type: "answer", sdp: answer })
+    );
+
+    return { resourceUrl: this.resourceUrl, sdp: answer };
+  }
+
+  waitForIceGathering() {
+    if (this.pc.iceGatheringState === "complete") {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        this.pc.removeEventListener("icegatheringstatechange", onChange);
+        resolve();
+      };
+      const onChange = () => {
+        if (this.pc.iceGatheringState === "complete") done();
+      };
+      const timer = setTimeout(done, WHIP_ICE_GATHERING_TIMEOUT);
+      this.pc.addEventListener("icegatheringstatechange", onChange);
+    });
+  }
+
+  // Stop publishing and release the session resource on the server. The
+  // captured tracks belong to the caller and are left running.
+  close() {
+    if (this.resourceUrl) {
+      fetch(this.resourceUrl, { method: "DELETE", keepalive: true }).catch(
+        (error) => console.warn("WHIP teardown failed:", error)
+      );
+      this.resourceUrl = null;
+    }
+
+    this.pc && this.pc.close();
+    this.pc = null;
+  }
+}